@@ -1,3 +1,5 @@
+const fs = require('fs');
+const crypto = require('crypto');
 const net = require('net');
 const path = require('path');
 const yargs = require('yargs');
@@ -52,14 +54,110 @@ const argv = yargs.options({
         'default': 5000,
         'type': 'number'
     },
+    'l': {
+        'alias': 'locktime',
+        'describe': "Don't let the txn be mined before this block height (or UNIX time)",
+        'type': 'number'
+    },
+    'sighash': {
+        'choices': [ 'all', 'none', 'single' ],
+        'default': 'all',
+        'describe': 'Which txouts your signatures commit to: all, none, or the one at the same index',
+        'type': 'string'
+    },
+    'anyonecanpay': {
+        'describe': 'Only sign your own txin, letting others add theirs',
+        'boolean': true
+    },
+    'k': {
+        'alias': 'pubkey',
+        'describe': "Show your wallet's pubkey",
+        'boolean': true
+    },
+    'm': {
+        'alias': 'multisig',
+        'describe': 'Create an M-of-N multisig address from --pubkeys',
+        'type': 'number'
+    },
+    'pubkeys': {
+        'describe': 'Comma-separated pubkeys of the multisig holders',
+        'type': 'string'
+    },
+    'r': {
+        'alias': 'redeem',
+        'describe': 'Send from the multisig address of this redeem script; the unsigned txn is written to --out',
+        'type': 'string'
+    },
+    'o': {
+        'alias': 'out',
+        'default': 'multisig.txn',
+        'describe': 'Where to write an unsigned multisig txn',
+        'type': 'string'
+    },
+    'sign': {
+        'describe': 'Add your signature to a multisig txn file',
+        'type': 'string'
+    },
+    'broadcast': {
+        'describe': 'Broadcast a multisig txn file once it has enough signatures',
+        'type': 'string'
+    },
+    'htlc': {
+        'describe': 'Create a hash-time-locked address paying to this address, or back to you after --expiry',
+        'type': 'string'
+    },
+    'hashlock': {
+        'describe': 'sha256 hash (hex) locking an htlc; a preimage is generated if not given',
+        'type': 'string'
+    },
+    'expiry': {
+        'describe': 'Block height (or UNIX time) after which an htlc can be refunded',
+        'type': 'number'
+    },
+    'claim': {
+        'describe': 'Claim the htlc with this redeem script using --preimage',
+        'type': 'string'
+    },
+    'preimage': {
+        'describe': 'The preimage (hex) unlocking an htlc',
+        'type': 'string'
+    },
+    'refund': {
+        'describe': 'Refund the expired htlc with this redeem script',
+        'type': 'string'
+    },
+    'rbf': {
+        'describe': 'Let the txn be replaced while in the mempool, so --bump-fee can speed it up',
+        'boolean': true
+    },
+    'bump-fee': {
+        'describe': 'Replace a txn of yours sent with --rbf, still in the mempool, with one paying --fee more',
+        'type': 'string'
+    },
+    'embed': {
+        'describe': `Anchor this hex data (up to ${tc.MAX_NULL_DATA_SIZE} bytes) on chain in an unspendable output`,
+        'type': 'string'
+    },
+    'embed-file': {
+        'describe': "Anchor this file's sha256 hash on chain in an unspendable output",
+        'type': 'string'
+    },
+    'mempool-info': {
+        'describe': "Show how full the node's mempool is and the fee rate it takes to get in",
+        'boolean': true
+    },
     't': {
         'alias': 'txid',
         'describe': 'Get the `Transaction` status',
         'type': 'string'
     },
+    'proof': {
+        'describe': 'Get and check a Merkle proof that this txid is in a block, without the rest of the chain',
+        'type': 'string'
+    },
     'p': {
         'alias': 'port',
-        'default': 9999,
+        'default': tc.NETWORK.port,
         'describe': 'Set peer port',
         'type': 'number'
     },
@@ -82,6 +180,9 @@ function send_message(data) {
 
         const message = new tc.SocketMessageHandle(data => {
             resolve(data);
+        }, err => {
+            sock.destroy();
+            reject(err);
         });
 
         sock.on('data', (chunk) => {
@@ -98,33 +199,128 @@ function send_message(data) {
     });
 }
 
+/**
+ * Send `txn` to the node, throwing with its reason if the node rejects it.
+ */
+async function send_txn(txn) {
+    let reject = await send_message(txn);
+
+    if (reject instanceof tc.RejectMsg) {
+        throw new Error(`txn ${txn.id} rejected (${reject.reason}): ${reject.msg}`);
+    }
+}
+
 function get_balance(address) {
     address = address || my_address;
     return send_message(new tc.GetUTXOsMsg).then(utxos => {
-        return utxos.map(utxo => {
-            return utxo[1];
-        }).filter(utxo => {
+        return Array.from(utxos.values()).filter(utxo => {
             return utxo.to_address === address;
         });
     });
 }
 
-function make_txin(outpoint, txouts) {
-    let sequence = 0;
-    let spend_msg = tc.build_spend_message(outpoint, verifying_key, sequence, txouts);
+// What our signatures commit to; see `tc.build_spend_message`.
+const hashtype = tc['SIGHASH_' + argv.sighash.toUpperCase()]
+    | (argv.anyonecanpay ? tc.SIGHASH_ANYONECANPAY : 0);
+
+/**
+ * Sign for spending `txn.txins[txin_idx]`, which needn't be unlocked yet.
+ */
+function sign_spend(txn, txin_idx) {
+    let spend_msg = tc.build_spend_message(txn, txin_idx, verifying_key, hashtype);
 
     let sign = new rsasign.Signature({ "alg": 'SHA256withECDSA' });
     sign.init({ d: signing_key, curve: 'secp256k1' });
     sign.updateString(spend_msg);
 
-    return new tc.TxIn({
-        to_spend: outpoint,
-        unlock_pk: verifying_key,
-        unlock_sig: sign.sign(),
-        sequence: 0
+    return sign.sign() + ('0' + hashtype.toString(16)).slice(-2);
+}
+
+/**
+ * Unlock each txin of `txn` with `make_unlock_script(sig)`, given our
+ * signature for it.
+ */
+function sign_txn(txn, make_unlock_script) {
+    return new tc.Transaction({
+        txins: txn.txins.map((txin, i) => new tc.TxIn({
+            to_spend: txin.to_spend,
+            unlock_script: make_unlock_script(sign_spend(txn, i)),
+            sequence: txin.sequence
+        })),
+        txouts: txn.txouts,
+        locktime: txn.locktime
+    });
+}
+
+/**
+ * Txins only signal replaceability with --rbf. Otherwise they're final, but
+ * for a txn with a locktime, which only counts if some txin isn't.
+ */
+function txin_sequence(locktime) {
+    if (argv.rbf) {
+        return tc.MAX_BIP125_RBF_SEQUENCE;
+    }
+
+    return locktime === null ? tc.SEQUENCE_FINAL : tc.SEQUENCE_FINAL - 1;
+}
+
+function unsigned_txn(utxos, txouts, locktime = null) {
+    return new tc.Transaction({
+        txins: utxos.map(utxo => new tc.TxIn({ to_spend: utxo.outpoint, sequence: txin_sequence(locktime) })),
+        txouts: txouts,
+        locktime: locktime
     });
 }
 
+/**
+ * A multisig txn being passed around for signatures: the unsigned txn, the
+ * redeem script it spends with and, for each txin, the signatures so far
+ * keyed by pubkey.
+ */
+function read_multisig_txn(file) {
+    return tc.from_json(fs.readFileSync(file, 'utf8'));
+}
+
+function write_multisig_txn(file, multisig_txn) {
+    fs.writeFileSync(file, tc.to_json(multisig_txn));
+}
+
+function multisig_address(redeem_script) {
+    return tc.script_to_address(tc.p2sh_script(redeem_script));
+}
+
+/**
+ * Spend everything locked in the htlc with `redeem_script` to our wallet:
+ * claim it with `preimage`, or refund it if that's None.
+ */
+async function spend_htlc(redeem_script, preimage = null) {
+    let { type, solutions } = tc.solve_script(redeem_script);
+
+    if (type !== 'htlc') {
+        throw new Error('redeem script is not an htlc');
+    }
+
+    let address = tc.script_to_address(tc.p2sh_script(redeem_script));
+    let utxos = await get_balance(address);
+    let value = utxos.reduce((sum, utxo) => sum + utxo.value, 0) - argv.fee;
+
+    if (!utxos.length || value <= 0) {
+        throw new Error(`nothing to spend at ${address}`);
+    }
+
+    // Refunds must be locked until the htlc expires, for its
+    // OP_CHECKLOCKTIMEVERIFY.
+    let locktime = preimage === null ? solutions[2] : null;
+    let txouts = [ new tc.TxOut({ value: value, to_address: my_address }) ];
+    let txn = sign_txn(unsigned_txn(utxos, txouts, locktime), sig => {
+        return tc.htlc_unlock_script(redeem_script, sig, verifying_key, preimage);
+    });
+
+    await send_txn(txn);
+
+    return txn;
+}
+
 /**
  * Get the balance of a given address.
  */
@@ -145,15 +341,52 @@ if (argv.balance) {
 }
 
 /**
- * Send value to some address.
+ * Show the wallet's pubkey, to hand out for multisig addresses.
+ */
+if (argv.pubkey) {
+    logger.info('[Pubkey] %s', verifying_key);
+}
+
+/**
+ * Create a multisig address.
+ */
+if (argv.multisig) {
+    try {
+        let pubkeys = (argv.pubkeys || '').split(',').filter(pk => pk);
+
+        if (argv.multisig < 1 || argv.multisig > pubkeys.length) {
+            throw new Error(`can't require ${argv.multisig} of ${pubkeys.length} signatures`);
+        }
+
+        let redeem_script = tc.multisig_script(argv.multisig, pubkeys);
+
+        logger.info('[Multisig] %d of %d address: %s', argv.multisig, pubkeys.length,
+                    multisig_address(redeem_script));
+        logger.info('[Multisig] redeem script: %s', redeem_script);
+
+    } catch (err) {
+        logger.error('[Multisig]: %o', err);
+    }
+}
+
+/**
+ * Send value to some address. With --redeem, build an unsigned spend from a
+ * multisig address instead, for its holders to --sign.
  */
 if (argv.send) {
     (async function () {
         try {
-            let my_addr = argv._[0] || my_address;
-            let utxos = await get_balance();
+            let redeem_script = argv.redeem;
+            let my_addr = redeem_script ? multisig_address(redeem_script) : argv._[0] || my_address;
+            let utxos = await get_balance(my_addr);
             let to_address = argv.send;
             let value = argv.value;
+            let locktime = argv.locktime || null;
+
+            if (!tc.is_valid_address(to_address)) {
+                throw new Error(`${to_address} is not a ${tc.NETWORK.name} network address`);
+            }
+
             let fee = argv.fee;
             let sum = 0;
             let selected = [];
@@ -167,7 +400,6 @@ if (argv.send) {
                 }
             }
 
-            let txins = [];
             let txouts = [
                 new tc.TxOut({
                     value: value,
@@ -175,8 +407,9 @@ if (argv.send) {
                 })
             ];
 
+            // Change too small to be worth spending goes to the fee.
             let change = sum - value - fee;
-            if (change > 0) {
+            if (change >= tc.policy.dust_threshold) {
                 txouts.push(
                     new tc.TxOut({
                         value: change,
@@ -185,14 +418,15 @@ if (argv.send) {
                 );
             }
 
-            for (let utxo of selected) {
-                txins.push(make_txin(utxo.outpoint, txouts));
+            let txn = unsigned_txn(selected, txouts, locktime);
+
+            if (redeem_script) {
+                write_multisig_txn(argv.out, { txn: txn, redeem_script: redeem_script, sigs: txn.txins.map(() => ({})) });
+                logger.info('[Send value] unsigned txn from %s written to %s', my_addr, argv.out);
+                return;
             }
 
-            await send_message(new tc.Transaction({
-                txins: txins,
-                txouts: txouts
-            }));
+            await send_txn(sign_txn(txn, sig => tc.p2pkh_unlock_script(sig, verifying_key)));
 
             logger.info('[Send value] %d from %s to %s', value, my_addr, to_address);
 
@@ -202,6 +436,257 @@ if (argv.send) {
     })();
 }
 
+/**
+ * Sign a multisig txn with this wallet.
+ */
+if (argv.sign) {
+    try {
+        let { txn, redeem_script, sigs } = read_multisig_txn(argv.sign);
+        let { type, solutions } = tc.solve_script(redeem_script);
+
+        if (type !== 'multisig') {
+            throw new Error('redeem script is not multisig');
+        }
+
+        if (!solutions.slice(1, -1).some(pk => pk.toString('binary') === verifying_key)) {
+            throw new Error(`${my_address} is not one of the signers`);
+        }
+
+        sigs.forEach((input_sigs, i) => {
+            input_sigs[verifying_key] = sign_spend(txn, i);
+        });
+
+        write_multisig_txn(argv.sign, { txn: txn, redeem_script: redeem_script, sigs: sigs });
+        logger.info('[Sign] %s now has %d of %d signatures', argv.sign,
+                    Object.keys(sigs[0]).length, solutions[0]);
+
+    } catch (err) {
+        logger.error('[Sign]: %o', err);
+    }
+}
+
+/**
+ * Broadcast a fully signed multisig txn.
+ */
+if (argv.broadcast) {
+    (async function () {
+        try {
+            let { txn, redeem_script, sigs } = read_multisig_txn(argv.broadcast);
+            let signed = new tc.Transaction({
+                txins: txn.txins.map((txin, i) => new tc.TxIn({
+                    to_spend: txin.to_spend,
+                    unlock_script: tc.multisig_unlock_script(redeem_script, sigs[i]),
+                    sequence: txin.sequence
+                })),
+                txouts: txn.txouts,
+                locktime: txn.locktime
+            });
+
+            await send_txn(signed);
+            logger.info('[Broadcast] txn %s', signed.id);
+
+        } catch (err) {
+            logger.error('[Broadcast]: %o', err);
+        }
+    })();
+}
+
+/**
+ * Create a hash-time-locked address. Fund it with --send; the recipient can
+ * --claim it with the preimage, or else you can --refund it after --expiry.
+ */
+if (argv.htlc) {
+    try {
+        let preimage = null;
+        let hash = argv.hashlock;
+
+        if (!hash) {
+            preimage = crypto.randomBytes(32);
+            hash = crypto.createHash('sha256').update(preimage).digest('hex');
+        }
+
+        if (!/^[0-9a-f]{64}$/.test(hash)) {
+            throw new Error('--hashlock must be a hex sha256 hash');
+        }
+
+        if (!tc.is_valid_address(argv.htlc)
+            || tc.solve_script(tc.address_to_script(argv.htlc)).type !== 'pubkeyhash') {
+
+            throw new Error(`${argv.htlc} is not a ${tc.NETWORK.name} network pubkey address`);
+        }
+
+        if (!(argv.expiry > 0)) {
+            throw new Error('--expiry is required');
+        }
+
+        let redeem_script = tc.htlc_script({
+            hash: hash,
+            recipient: argv.htlc,
+            sender: my_address,
+            locktime: argv.expiry
+        });
+
+        logger.info('[HTLC] address: %s', tc.script_to_address(tc.p2sh_script(redeem_script)));
+        logger.info('[HTLC] redeem script: %s', redeem_script);
+
+        if (preimage) {
+            logger.info('[HTLC] preimage (keep it secret): %s', preimage.toString('hex'));
+        }
+
+    } catch (err) {
+        logger.error('[HTLC]: %o', err);
+    }
+}
+
+/**
+ * Claim an htlc by revealing its preimage.
+ */
+if (argv.claim) {
+    (async function () {
+        try {
+            if (!argv.preimage) {
+                throw new Error('--preimage is required');
+            }
+
+            let txn = await spend_htlc(argv.claim, argv.preimage);
+            logger.info('[Claim] txn %s', txn.id);
+
+        } catch (err) {
+            logger.error('[Claim]: %o', err);
+        }
+    })();
+}
+
+/**
+ * Take back an htlc that expired unclaimed.
+ */
+if (argv.refund) {
+    (async function () {
+        try {
+            let txn = await spend_htlc(argv.refund);
+            logger.info('[Refund] txn %s', txn.id);
+
+        } catch (err) {
+            logger.error('[Refund]: %o', err);
+        }
+    })();
+}
+
+/**
+ * Speed up a txn of ours stuck in the mempool by replacing it with one that
+ * takes a higher fee out of the change.
+ */
+if (argv['bump-fee']) {
+    (async function () {
+        try {
+            let txid = argv['bump-fee'];
+            let txn = await send_message(new tc.GetMempoolTxnMsg({ txid: txid }));
+
+            if (!txn) {
+                throw new Error(`txn ${txid} isn't in the mempool`);
+            }
+
+            if (!txn.txins.some(txin => txin.sequence <= tc.MAX_BIP125_RBF_SEQUENCE)) {
+                throw new Error(`txn ${txid} doesn't signal replaceability; send with --rbf to be able to bump its fee`);
+            }
+
+            let coins = await get_balance();
+            let spent = txn.txins.map(txin => coins.find(utxo => {
+                return utxo.txid === txin.to_spend.txid && utxo.txout_idx === txin.to_spend.txout_idx;
+            }));
+
+            if (spent.some(utxo => !utxo)) {
+                throw new Error(`txn ${txid} doesn't only spend coins confirmed in ${my_address}`);
+            }
+
+            let change_idx = txn.txouts.findIndex(txout => txout.to_address === my_address);
+
+            if (change_idx < 0 || txn.txouts[change_idx].value <= argv.fee) {
+                throw new Error(`txn ${txid} has no change to pay a higher fee from`);
+            }
+
+            let txouts = txn.txouts.map((txout, i) => new tc.TxOut({
+                value: i === change_idx ? txout.value - argv.fee : txout.value,
+                script_pubkey: txout.script_pubkey
+            }));
+
+            let unsigned = new tc.Transaction({
+                txins: txn.txins.map(txin => new tc.TxIn({ to_spend: txin.to_spend, sequence: txin.sequence })),
+                txouts: txouts,
+                locktime: txn.locktime
+            });
+
+            let replacement = sign_txn(unsigned, sig => tc.p2pkh_unlock_script(sig, verifying_key));
+            await send_txn(replacement);
+
+            let old_fee = spent.reduce((sum, utxo) => sum + utxo.value, 0)
+                - txn.txouts.reduce((sum, txout) => sum + txout.value, 0);
+
+            logger.info('[Bump fee] %s replaced by %s, fee %d -> %d',
+                        txid, replacement.id, old_fee, old_fee + argv.fee);
+
+        } catch (err) {
+            logger.error('[Bump fee]: %o', err);
+        }
+    })();
+}
+
+/**
+ * Anchor data (or a file's hash) on chain, paying only the fee.
+ */
+if (argv.embed || argv['embed-file']) {
+    (async function () {
+        try {
+            let data;
+
+            if (argv['embed-file']) {
+                data = crypto.createHash('sha256').update(fs.readFileSync(argv['embed-file'])).digest();
+            }
+            else if (/^([0-9a-f]{2})+$/i.test(argv.embed)) {
+                data = Buffer.from(argv.embed, 'hex');
+            }
+            else {
+                throw new Error(`${argv.embed} is not hex`);
+            }
+
+            if (data.length > tc.MAX_NULL_DATA_SIZE) {
+                throw new Error(`can't embed more than ${tc.MAX_NULL_DATA_SIZE} bytes`);
+            }
+
+            let utxos = await get_balance();
+            let selected = [];
+            let sum = 0;
+
+            for (let utxo of utxos) {
+                if (sum >= argv.fee) {
+                    break;
+                }
+
+                selected.push(utxo);
+                sum += utxo.value;
+            }
+
+            if (sum < argv.fee) {
+                throw new Error(`not enough coins to pay a fee of ${argv.fee}`);
+            }
+
+            let txouts = [ new tc.TxOut({ value: 0, script_pubkey: tc.null_data_script(data) }) ];
+
+            if (sum - argv.fee >= tc.policy.dust_threshold) {
+                txouts.push(new tc.TxOut({ value: sum - argv.fee, to_address: my_address }));
+            }
+
+            let txn = sign_txn(unsigned_txn(selected, txouts), sig => tc.p2pkh_unlock_script(sig, verifying_key));
+            await send_txn(txn);
+
+            logger.info('[Embed] %s anchored by txn %s', data.toString('hex'), txn.id);
+
+        } catch (err) {
+            logger.error('[Embed]: %o', err);
+        }
+    })();
+}
+
 /**
  * Get the status of a transaction.
  */
@@ -230,3 +715,48 @@ if (argv.txid) {
         }
     })();
 }
+
+/**
+ * Confirm a txn was mined from just its block header and Merkle branch.
+ */
+if (argv.proof) {
+    (async function () {
+        try {
+            let proof = await send_message(new tc.GetMerkleProofMsg({ txid: argv.proof }));
+
+            if (!proof) {
+                throw new Error(`txn ${argv.proof} isn't in the active chain`);
+            }
+
+            if (proof.header.version < tc.TAGGED_MERKLE_VERSION) {
+                throw new Error(`block ${proof.header.id} is too old a version to prove its txns`);
+            }
+
+            if (proof.txid !== argv.proof || !tc.verify_merkle_proof(proof)) {
+                throw new Error(`the node sent a bad proof for txn ${argv.proof}`);
+            }
+
+            logger.info('[Proof]: txn %s is txn %d in block %s, branch %s',
+                        proof.txid, proof.index, proof.header.id, proof.branch.join(','));
+
+        } catch (err) {
+            logger.error('[Proof]: %o', err);
+        }
+    })();
+}
+
+/**
+ * Get how full the mempool is.
+ */
+if (argv['mempool-info']) {
+    (async function () {
+        try {
+            let info = await send_message(new tc.GetMempoolInfoMsg);
+            logger.info('[Mempool info]: %d txns, %d of %d bytes, min fee rate %d per 1000 bytes',
+                        info.size, info.bytes, info.max_bytes, info.min_fee_rate);
+
+        } catch (err) {
+            logger.error('[Mempool info]: %o', err);
+        }
+    })();
+}
@@ -1,39 +1,44 @@
 'use strict';
 
 const assert = require('assert');
+const cp = require('child_process');
+const crypto = require('crypto');
+const path = require('path');
+const BN = require('bn.js');
+const rsasign = require('jsrsasign');
 const tc = require('../tinychain');
 const None = null;
 
 let chain1 = [
-    // Block id: 000000154275885a72c004d02aaa9524fc0c4896aef0b0f3bcde2de38f9be561
-    new tc.Block({version:0, prev_block_hash:'None', merkle_hash:'7118894203235a955a908c0abfc6d8fe6edec47b0a04ce1bf7263da3b4366d22', timestamp:1501821412, bits:24, nonce:10126761, txns:[new tc.Transaction({txins:[new tc.TxIn({to_spend:None, unlock_sig:tc.bytes(0), unlock_pk:None, sequence:0})], txouts:[new tc.TxOut({value:5000000000, to_address:'143UVyz7ooiAv1pMqbwPPpnH4BV9ifJGFF'})], locktime:None})]}),
+    // Block id: 00000006fbbd1669271d9b047757908c0edc1867936dbadf5cf8e04174b28581
+    new tc.Block({version:0, prev_block_hash:'None', merkle_hash:'cceea1f364c6d9de981348124b7c318180df66ac863441ca937823b7e5765617', timestamp:1501821412, bits:0x1e010000, nonce:10552132, txns:[new tc.Transaction({txins:[new tc.TxIn({to_spend:None, unlock_sig:tc.bytes(0), unlock_pk:None, sequence:0})], txouts:[new tc.TxOut({value:5000000000, to_address:'143UVyz7ooiAv1pMqbwPPpnH4BV9ifJGFF'})], locktime:None})]}),
 
-    // Block id: 00000095f785bc8fbd6007b36c2f1c414d66db930e2e7354076c035c8f92700b
-    new tc.Block({version:0, prev_block_hash:'000000154275885a72c004d02aaa9524fc0c4896aef0b0f3bcde2de38f9be561', merkle_hash:'27661bd9b23552832becf6c18cb6035a3d77b4e66b5520505221a93922eb82f2', timestamp:1501826444, bits:24, nonce:22488415, txns:[new tc.Transaction({txins:[new tc.TxIn({to_spend:None, unlock_sig:tc.bytes('1'), unlock_pk:None, sequence:0})], txouts:[new tc.TxOut({value:5000000000, to_address:'1Piq91dFUqSb7tdddCWvuGX5UgdzXeoAwA'})], locktime:None})]}),
+    // Block id: 00000063387c7c721adf4a0c528dde2167f65afcf479258c42ae54bc342f9d9b
+    new tc.Block({version:0, prev_block_hash:'00000006fbbd1669271d9b047757908c0edc1867936dbadf5cf8e04174b28581', merkle_hash:'fb734e6f2a9a13bcdc0bf31105d5c8730a593a0b953e9d0d8831b5102e83aca9', timestamp:1501826444, bits:0x1e010000, nonce:7876242, txns:[new tc.Transaction({txins:[new tc.TxIn({to_spend:None, unlock_sig:tc.bytes('1'), unlock_pk:None, sequence:0})], txouts:[new tc.TxOut({value:5000000000, to_address:'1Piq91dFUqSb7tdddCWvuGX5UgdzXeoAwA'})], locktime:None})]}),
 
-    // Block id: 000000f9b679482f24902297fc59c745e759436ac95e93d2c1eff4d5dbd39e33
-    new tc.Block({version:0, prev_block_hash:'00000095f785bc8fbd6007b36c2f1c414d66db930e2e7354076c035c8f92700b', merkle_hash:'031f45ad7b5ddf198f7dfa88f53c0262fb14c850c5c1faf506258b9dcad32aef', timestamp:1501826556, bits:24, nonce:30715680, txns:[new tc.Transaction({txins:[new tc.TxIn({to_spend:None, unlock_sig:tc.bytes('2'), unlock_pk:None, sequence:0})], txouts:[new tc.TxOut({value:5000000000, to_address:'1Piq91dFUqSb7tdddCWvuGX5UgdzXeoAwA'})], locktime:None})]})
+    // Block id: 000000fe3cbf6d836d0ff66df4076b9e5e9a0ffd91533bfc0a6dba458ebacdd2
+    new tc.Block({version:0, prev_block_hash:'00000063387c7c721adf4a0c528dde2167f65afcf479258c42ae54bc342f9d9b', merkle_hash:'33b2dae9d411205ca1a4eaebd9c7a0e9f15c5571f21122e956e2e9998c655536', timestamp:1501826556, bits:0x1e010000, nonce:18479089, txns:[new tc.Transaction({txins:[new tc.TxIn({to_spend:None, unlock_sig:tc.bytes('2'), unlock_pk:None, sequence:0})], txouts:[new tc.TxOut({value:5000000000, to_address:'1Piq91dFUqSb7tdddCWvuGX5UgdzXeoAwA'})], locktime:None})]})
 ];
 
 let chain2 = [
-    // Block id: 000000154275885a72c004d02aaa9524fc0c4896aef0b0f3bcde2de38f9be561
-    new tc.Block({version:0, prev_block_hash:'None', merkle_hash:'7118894203235a955a908c0abfc6d8fe6edec47b0a04ce1bf7263da3b4366d22', timestamp:1501821412, bits:24, nonce:10126761, txns:[new tc.Transaction({txins:[new tc.TxIn({to_spend:None, unlock_sig:tc.bytes('0'), unlock_pk:None, sequence:0})], txouts:[new tc.TxOut({value:5000000000, to_address:'143UVyz7ooiAv1pMqbwPPpnH4BV9ifJGFF'})], locktime:None})]}),
+    // Block id: 00000006fbbd1669271d9b047757908c0edc1867936dbadf5cf8e04174b28581
+    new tc.Block({version:0, prev_block_hash:'None', merkle_hash:'cceea1f364c6d9de981348124b7c318180df66ac863441ca937823b7e5765617', timestamp:1501821412, bits:0x1e010000, nonce:10552132, txns:[new tc.Transaction({txins:[new tc.TxIn({to_spend:None, unlock_sig:tc.bytes('0'), unlock_pk:None, sequence:0})], txouts:[new tc.TxOut({value:5000000000, to_address:'143UVyz7ooiAv1pMqbwPPpnH4BV9ifJGFF'})], locktime:None})]}),
 
-    // Block id: 000000e4785f0f384d13e24caaddcf6723ee008d6a179428ce9246e1b32e3b2c
-    new tc.Block({version:0, prev_block_hash:'000000154275885a72c004d02aaa9524fc0c4896aef0b0f3bcde2de38f9be561', merkle_hash:'27661bd9b23552832becf6c18cb6035a3d77b4e66b5520505221a93922eb82f2', timestamp:1501826757, bits:24, nonce:25773772, txns:[new tc.Transaction({txins:[new tc.TxIn({to_spend:None, unlock_sig:tc.bytes('1'), unlock_pk:None, sequence:0})], txouts:[new tc.TxOut({value:5000000000, to_address:'1Piq91dFUqSb7tdddCWvuGX5UgdzXeoAwA'})], locktime:None})]}),
+    // Block id: 000000780a72501052889d91c7677f82be2332760826c84515e376f8a6f14d87
+    new tc.Block({version:0, prev_block_hash:'00000006fbbd1669271d9b047757908c0edc1867936dbadf5cf8e04174b28581', merkle_hash:'fb734e6f2a9a13bcdc0bf31105d5c8730a593a0b953e9d0d8831b5102e83aca9', timestamp:1501826757, bits:0x1e010000, nonce:10495306, txns:[new tc.Transaction({txins:[new tc.TxIn({to_spend:None, unlock_sig:tc.bytes('1'), unlock_pk:None, sequence:0})], txouts:[new tc.TxOut({value:5000000000, to_address:'1Piq91dFUqSb7tdddCWvuGX5UgdzXeoAwA'})], locktime:None})]}),
 
-    // Block id: 000000a1698495a3b125d9cd08837cdabffa192639588cdda8018ed8f5af3f8c
-    new tc.Block({version:0, prev_block_hash:'000000e4785f0f384d13e24caaddcf6723ee008d6a179428ce9246e1b32e3b2c', merkle_hash:'031f45ad7b5ddf198f7dfa88f53c0262fb14c850c5c1faf506258b9dcad32aef', timestamp:1501826872, bits:24, nonce:16925076, txns:[new tc.Transaction({txins:[new tc.TxIn({to_spend:None, unlock_sig:tc.bytes('2'), unlock_pk:None, sequence:0})], txouts:[new tc.TxOut({value:5000000000, to_address:'1Piq91dFUqSb7tdddCWvuGX5UgdzXeoAwA'})], locktime:None})]}),
+    // Block id: 0000003f99cc8c040573f64913b00b82d03336db7974dcc3ea23196e90878ae6
+    new tc.Block({version:0, prev_block_hash:'000000780a72501052889d91c7677f82be2332760826c84515e376f8a6f14d87', merkle_hash:'33b2dae9d411205ca1a4eaebd9c7a0e9f15c5571f21122e956e2e9998c655536', timestamp:1501826872, bits:0x1e010000, nonce:9352611, txns:[new tc.Transaction({txins:[new tc.TxIn({to_spend:None, unlock_sig:tc.bytes('2'), unlock_pk:None, sequence:0})], txouts:[new tc.TxOut({value:5000000000, to_address:'1Piq91dFUqSb7tdddCWvuGX5UgdzXeoAwA'})], locktime:None})]}),
 
-    // Block id: 000000ef44dd5a56c89a43b9cff28e51e5fd91624be3a2de722d864ae4f6a853
-    new tc.Block({version:0, prev_block_hash:'000000a1698495a3b125d9cd08837cdabffa192639588cdda8018ed8f5af3f8c', merkle_hash:'dbf593cf959b3a03ea97bbeb7a44ee3f4841b338d5ceaa5705b637c853c956ef', timestamp:1501826949, bits:24, nonce:12052237, txns:[new tc.Transaction({txins:[new tc.TxIn({to_spend:None, unlock_sig:tc.bytes('3'), unlock_pk:None, sequence:0})], txouts:[new tc.TxOut({value:5000000000, to_address:'1Piq91dFUqSb7tdddCWvuGX5UgdzXeoAwA'})], locktime:None})]}),
+    // Block id: 000000a7ca79021f32e1d9285f4a90e8505ac78e914649047d558e2d60d59b30
+    new tc.Block({version:0, prev_block_hash:'0000003f99cc8c040573f64913b00b82d03336db7974dcc3ea23196e90878ae6', merkle_hash:'2a24c1071a843633e310417cf4ab62d8d43011b042d9c3b94a48ec4d597bf014', timestamp:1501826949, bits:0x1e010000, nonce:7457070, txns:[new tc.Transaction({txins:[new tc.TxIn({to_spend:None, unlock_sig:tc.bytes('3'), unlock_pk:None, sequence:0})], txouts:[new tc.TxOut({value:5000000000, to_address:'1Piq91dFUqSb7tdddCWvuGX5UgdzXeoAwA'})], locktime:None})]}),
 
     // Block id:
-    new tc.Block({version:0, prev_block_hash:'000000ef44dd5a56c89a43b9cff28e51e5fd91624be3a2de722d864ae4f6a853', merkle_hash:'a3a55fe5e9f9e5e3282333ac4d149fd186f157a3c1d2b2e04af78c20a519f6b9', timestamp:1501827000, bits:24, nonce:752898, txns:[new tc.Transaction({txins:[new tc.TxIn({to_spend:None, unlock_sig:tc.bytes('4'), unlock_pk:None, sequence:0})], txouts:[new tc.TxOut({value:5000000000, to_address:'1Piq91dFUqSb7tdddCWvuGX5UgdzXeoAwA'})], locktime:None})]})
+    new tc.Block({version:0, prev_block_hash:'000000a7ca79021f32e1d9285f4a90e8505ac78e914649047d558e2d60d59b30', merkle_hash:'ec267b9e34feb696ae31eeaee355c0791156bf42d21772f55ef3405a126acbf0', timestamp:1501827000, bits:0x1e010000, nonce:26811292, txns:[new tc.Transaction({txins:[new tc.TxIn({to_spend:None, unlock_sig:tc.bytes('4'), unlock_pk:None, sequence:0})], txouts:[new tc.TxOut({value:5000000000, to_address:'1Piq91dFUqSb7tdddCWvuGX5UgdzXeoAwA'})], locktime:None})]})
 ];
 
 let chain3_faulty = chain2.concat([]);
-chain3_faulty[3] = new tc.Block({version:0, prev_block_hash:'000000a1698495a3b125d9cd08837cdabffa192639588cdda8018ed8f5af3f8c', merkle_hash:'dbf593cf959b3a03ea97bbeb7a44ee3f4841b338d5ceaa5705b637c853c956ef', timestamp:1501826949, bits:24, nonce:1, txns:[new tc.Transaction({txins:[new tc.TxIn({to_spend:None, unlock_sig:tc.bytes('3'), unlock_pk:None, sequence:0})], txouts:[new tc.TxOut({value:5000000000, to_address:'1Piq91dFUqSb7tdddCWvuGX5UgdzXeoAwA'})], locktime:None})]});
+chain3_faulty[3] = new tc.Block({version:0, prev_block_hash:'0000003f99cc8c040573f64913b00b82d03336db7974dcc3ea23196e90878ae6', merkle_hash:'2a24c1071a843633e310417cf4ab62d8d43011b042d9c3b94a48ec4d597bf014', timestamp:1501826949, bits:0x1e010000, nonce:1, txns:[new tc.Transaction({txins:[new tc.TxIn({to_spend:None, unlock_sig:tc.bytes('3'), unlock_pk:None, sequence:0})], txouts:[new tc.TxOut({value:5000000000, to_address:'1Piq91dFUqSb7tdddCWvuGX5UgdzXeoAwA'})], locktime:None})]});
 
 describe('pubkey to address', () => {
     it('should ok', () => {
@@ -47,8 +52,8 @@ describe('pubkey to address', () => {
 
 describe('serialization', () => {
     it('should ok', () => {
-        let op1 = new tc.OutPoint({ txid: 'c0ffee', txout_idx: 0 });
-        let op2 = new tc.OutPoint({ txid: 'c0ffee', txout_idx: 1 });
+        let op1 = new tc.OutPoint({ txid: tc.sha256d('c0ffee'), txout_idx: 0 });
+        let op2 = new tc.OutPoint({ txid: tc.sha256d('c0ffee'), txout_idx: 1 });
 
         let txin1 = new tc.TxIn({
             to_spend: op1,
@@ -66,7 +71,7 @@ describe('serialization', () => {
 
         let txout = new tc.TxOut({
             value: 101,
-            to_address: '1zxoijw'
+            to_address: '143UVyz7ooiAv1pMqbwPPpnH4BV9ifJGFF'
         });
 
         let txn1 = new tc.Transaction({
@@ -83,8 +88,8 @@ describe('serialization', () => {
 
         let block = new tc.Block({
             version: 1,
-            prev_block_hash: 'deadbeef',
-            merkle_hash: 'c0ffee',
+            prev_block_hash: tc.sha256d('deadbeef'),
+            merkle_hash: tc.sha256d('c0ffee'),
             timestamp: Math.floor(Date.now() / 1000),
             bits: 100,
             nonce: 100,
@@ -105,14 +110,93 @@ describe('serialization', () => {
         for (let obj of [
                 op1, op2, txin1, txin2, txout, txn1, txn2, block, utxo, Array.from(tc.utxo_set.entries())]) {
             assert.deepEqual(tc.deserialize(tc.serialize(obj)), obj);
+            assert.deepEqual(tc.from_json(tc.to_json(obj)), obj);
+            assert(tc.serialize(obj).length < tc.to_json(obj).length);
         }
+
+        let utxos = tc.deserialize(tc.serialize(tc.utxo_set));
+        assert(utxos instanceof tc.utxo_set.constructor);
+        assert.deepEqual(Array.from(utxos.entries()), Array.from(tc.utxo_set.entries()));
+        assert.deepEqual(tc.deserialize(tc.serialize(chain1[0])), chain1[0]);
+        assert(tc.deserialize(tc.serialize(new tc.GetMempoolTxnMsg({ txid: txn1.id }))).txid === txn1.id);
+
+        tc.utxo_set.clear();
+    });
+
+    it('should have one encoding per value', () => {
+        let values = [ None, true, 0, 252, 253, 65536, 2 ** 40, -5, 0.5, 'tiny', [ 1, [ 'a' ] ], { b: 1, a: None } ];
+
+        for (let value of values) {
+            assert.deepEqual(tc.deserialize(tc.serialize(value)), value);
+        }
+
+        // Object keys are sorted.
+        assert(tc.serialize({ b: 1, a: 2 }).equals(tc.serialize({ a: 2, b: 1 })));
+
+        // 1, as a 3 byte varint.
+        let padded = Buffer.from([ 2, 3, 0xfd, 1, 0 ]);
+        assert.throws(() => tc.deserialize(padded), /non-canonical varint/);
+        assert(tc.deserialize(Buffer.from([ 2, 3, 1 ])) === 1);
+
+        assert.throws(() => tc.deserialize(Buffer.from([ 1, 3, 1 ])), /version/);
+        assert.throws(() => tc.deserialize(Buffer.from([ 2, 3, 1, 0 ])), /trailing/);
+        assert.throws(() => tc.deserialize(Buffer.from([ 2, 0x7f ])), /unknown tag/);
+        assert.throws(() => tc.serialize(new tc.OutPoint({ txid: 'c0ffee' })), tc.SerializationError);
+    });
+
+    it('should reject malformed data with a reason', () => {
+        function doReason(f) {
+            try {
+                f();
+            } catch (e) {
+                assert(e instanceof tc.DecodeError);
+                return e.reason;
+            }
+
+            assert(false, 'nothing thrown');
+        }
+
+        let decode = (...bytes) => doReason(() => tc.deserialize(Buffer.from([ 2 ].concat(...bytes))));
+        let txid = Array.from(Buffer.from(tc.sha256d('malformed'), 'hex'));
+
+        // An OutPoint with a txout_idx of 2 ** 32.
+        assert(decode(0x10, txid, 0xff, 0, 0, 0, 0, 1, 0, 0, 0) === 'out-of-range');
+        assert.throws(() => tc.serialize(new tc.OutPoint({ txid: tc.sha256d('malformed'), txout_idx: 2 ** 32 })), tc.SerializationError);
+        assert(decode(0x10, txid.slice(1)) === 'truncated');
+
+        let nested = [];
+        for (let i = 0; i < 40; i++) {
+            nested = [ nested ];
+        }
+        assert(doReason(() => tc.deserialize(tc.serialize(nested))) === 'too-deep');
+
+        // A list said to be far longer than the data.
+        assert(decode(0x07, 0xfe, 0x40, 0x42, 0x0f, 0) === 'truncated');
+        // { b: 1, a: 2 }, with the keys out of order.
+        assert(decode(0x08, 2, 1, 0x62, 0x03, 1, 1, 0x61, 0x03, 2) === 'non-canonical');
+        assert(decode(0x06, 1, 0xff) === 'non-canonical');
+        assert(decode(0x04, 0) === 'non-canonical');
+
+        let reject = new tc.RejectMsg({ txid: tc.sha256d('malformed'), reason: 'x'.repeat(1000), msg: '' });
+        assert.throws(() => tc.serialize(reject), tc.SerializationError);
+
+        // JSON has to name a class we know, with exactly its fields.
+        let json = JSON.parse(tc.to_json(new tc.OutPoint({ txid: tc.sha256d('malformed'), txout_idx: 0 })));
+        let from_json = obj => doReason(() => tc.from_json(JSON.stringify(obj)));
+
+        assert(tc.from_json(JSON.stringify(json)) instanceof tc.OutPoint);
+        assert(from_json(Object.assign({}, json, { _type: 'Function' })) === 'unknown-type');
+        assert(from_json(Object.assign({}, json, { extra: 1 })) === 'unexpected-field');
+        assert(from_json({ _type: 'OutPoint', txid: json.txid }) === 'unexpected-field');
+        assert(from_json(Object.assign({}, json, { txout_idx: -1 })) === 'bad-type');
+        assert(doReason(() => tc.from_json('{')) === 'malformed');
     });
 });
 
 describe('dependent txns in single block', () => {
     it('should ok', () => {
         doCleanArray(tc.active_chain);
-        tc.mempool.clear();
+        tc.clear_mempool();
         tc.utxo_set.clear();
 
         assert(tc.connect_block(chain1[0]) === tc.ACTIVE_CHAIN_IDX);
@@ -127,33 +211,198 @@ describe('dependent txns in single block', () => {
 
 describe('merkle trees', () => {
 
+    let [ foo, bar, baz ] = [ 'foo', 'bar', 'baz' ].map(tc.sha256d);
+
+    function doHash(...hashes) {
+        return tc.sha256d(Buffer.from(hashes.join(''), 'hex'));
+    }
+
     it('should ok 2 txns', () => {
-        let root = tc.get_merkle_root('foo', 'bar');
-        let fooh = tc.sha256d('foo');
-        let barh = tc.sha256d('bar');
+        let root = tc.get_merkle_root(foo, bar);
+        let fooh = doHash(foo);
+        let barh = doHash(bar);
 
         assert(root);
-        assert(root.val === tc.sha256d(fooh + barh));
+        assert(root.val === doHash(fooh, barh));
     });
 
     it('should ok 3 txns', () => {
-        let root = tc.get_merkle_root('foo', 'bar', 'baz');
-        let fooh = tc.sha256d('foo');
-        let barh = tc.sha256d('bar');
-        let bazh = tc.sha256d('baz');
+        let root = tc.get_merkle_root(foo, bar, baz);
+        let fooh = doHash(foo);
+        let barh = doHash(bar);
+        let bazh = doHash(baz);
 
         assert(root);
         assert(root.children.length === 2);
-        assert(root.children[0].val === tc.sha256d(fooh + barh));
-        assert(root.children[1].val === tc.sha256d(bazh + bazh));
+        assert(root.children[0].val === doHash(fooh, barh));
+        assert(root.children[1].val === doHash(bazh, bazh));
+    });
+
+    it('should pair the last node on every odd level', () => {
+        let leaves = [ 1, 2, 3, 4, 5 ].map(i => tc.sha256d(`${i}`));
+        let [ h1, h2, h3, h4, h5 ] = leaves.map(l => doHash(l));
+        let h55 = doHash(h5, h5);
+
+        assert(tc.get_merkle_root(...leaves).val === doHash(doHash(doHash(h1, h2), doHash(h3, h4)),
+                                                            doHash(h55, h55)));
+        assert(tc.get_merkle_root(foo).val === doHash(doHash(foo), doHash(foo)));
+    });
+
+    it('should prove txns are in a block', () => {
+        let rt = doLoadNetwork('regtest');
+        let v = rt.TAGGED_MERKLE_VERSION;
+
+        for (let n = 1; n <= 7; n++) {
+            let leaves = Array.from({ length: n }, (_, i) => rt.sha256d(`${n}-${i}`));
+            let header = new rt.BlockHeader({
+                version: v,
+                merkle_hash: rt.build_merkle_tree(leaves, v).val,
+                bits: rt.Params.INITIAL_DIFFICULTY_BITS
+            });
+
+            while (!rt.check_proof_of_work(header.id, header.bits)) {
+                header.set('nonce', header.nonce + 1);
+            }
+
+            leaves.forEach((txid, i) => {
+                let proof = new rt.MerkleProof({
+                    txid: txid, header: header, index: i, branch: rt.get_merkle_branch(leaves, i, v)
+                });
+
+                assert(rt.verify_merkle_proof(proof));
+                assert(rt.verify_merkle_proof(rt.deserialize(rt.serialize(proof))));
+            });
+        }
+
+        let wallet = doMakeWallet(wallet1[0], rt);
+        let genesis = rt.active_chain[0];
+        let block = doMineBlock(rt, genesis, [ rt.Transaction.create_coinbase(wallet[2], 5000000000, 1) ],
+                                genesis.timestamp + 60, v);
+        assert(rt.connect_block(block) === rt.ACTIVE_CHAIN_IDX);
+        let txid = block.txns[0].id;
+
+        let sent;
+        new rt.GetMerkleProofMsg({ txid: txid }).handle({ end: data => sent = data });
+        let proof = rt.decode_socket_data(sent);
+
+        assert(proof.txid === txid);
+        assert(proof.header.id === block.id);
+        assert(rt.verify_merkle_proof(proof));
+
+        // It's all or nothing.
+        let bad = (changes) => !rt.verify_merkle_proof(new rt.MerkleProof(Object.assign({
+            txid: proof.txid, header: proof.header, index: proof.index, branch: proof.branch
+        }, changes)));
+
+        assert(bad({ txid: rt.sha256d('other') }));
+        assert(bad({ index: 2 }));
+        assert(bad({ branch: [ rt.sha256d('other') ] }));
+        assert(bad({ branch: proof.branch.concat(proof.branch) }));
+
+        // Untagged blocks can't prove anything, even with a right branch.
+        let untagged = rt.make_merkle_proof(genesis, genesis.txns[0].id);
+        assert(rt.get_merkle_root_from_branch(untagged.txid, untagged.index, untagged.branch) === genesis.merkle_hash);
+        assert(!rt.verify_merkle_proof(untagged));
+
+        let weak = proof.header.strip_txns();
+        weak.set('nonce', weak.nonce + 1);
+        while (rt.check_proof_of_work(weak.id, weak.bits)) {
+            weak.set('nonce', weak.nonce + 1);
+        }
+        assert(bad({ header: weak }));
+
+        assert(rt.make_merkle_proof(block, rt.sha256d('other')) === None);
+        new rt.GetMerkleProofMsg({ txid: rt.sha256d('other') }).handle({ end: data => sent = data });
+        assert(rt.decode_socket_data(sent) === None);
+    });
+
+    it('should tell repeated txns from padding', () => {
+        let leaves = [ 1, 2, 3, 4, 5, 6 ].map(i => tc.sha256d(`${i}`));
+
+        for (let n = 1; n <= leaves.length; n++) {
+            assert(!tc.is_merkle_tree_mutated(tc.get_merkle_root(...leaves.slice(0, n))));
+        }
+
+        for (let [ orig, repeated ] of [
+            [ leaves.slice(0, 1), leaves.slice(0, 1).concat(leaves.slice(0, 1)) ],
+            [ leaves.slice(0, 3), leaves.slice(0, 3).concat(leaves.slice(2, 3)) ],
+            [ leaves, leaves.concat(leaves.slice(4)) ]
+        ]) {
+            let root = tc.get_merkle_root(...repeated);
+
+            assert(root.val === tc.get_merkle_root(...orig).val);
+            assert(tc.is_merkle_tree_mutated(root));
+        }
+    });
+
+    it('should hash leaves apart from inner nodes in tagged blocks', () => {
+        let v = tc.TAGGED_MERKLE_VERSION;
+        let root = tc.build_merkle_tree([ foo, bar ], v);
+
+        assert(root.val === doHash('01', doHash('00', foo), doHash('00', bar)));
+        assert(root.val !== tc.get_merkle_root(foo, bar).val);
+
+        // The inner node isn't a leaf of any tree.
+        assert(tc.build_merkle_tree([ root.val ], v).children[0].val !== root.val);
+
+        let rt = doLoadNetwork('regtest');
+        let leaves = [ foo, bar, baz ];
+        let header = new rt.BlockHeader({
+            version: v,
+            merkle_hash: rt.build_merkle_tree(leaves, v).val,
+            bits: rt.Params.INITIAL_DIFFICULTY_BITS
+        });
+
+        while (!rt.check_proof_of_work(header.id, header.bits)) {
+            header.set('nonce', header.nonce + 1);
+        }
+
+        leaves.forEach((txid, i) => {
+            let branch = rt.get_merkle_branch(leaves, i, v);
+            let proof = new rt.MerkleProof({ txid: txid, header: header, index: i, branch: branch });
+
+            assert(rt.verify_merkle_proof(proof));
+            assert(!rt.verify_merkle_proof(new rt.MerkleProof({
+                txid: txid, header: header, index: i, branch: rt.get_merkle_branch(leaves, i)
+            })));
+        });
+    });
+
+    it('should reject repeated txns without marking the block invalid', () => {
+        let rt = doLoadNetwork('regtest');
+        let wallet = doMakeWallet(wallet1[0], rt);
+        let tip = rt.active_chain[0];
+
+        for (let version of [ 0, rt.TAGGED_MERKLE_VERSION ]) {
+            let height = rt.active_chain.length;
+            let coinbase = rt.Transaction.create_coinbase(wallet[2], 5000000000, height);
+            let block = doMineBlock(rt, tip, [ coinbase ], tip.timestamp + 60, version);
+            let mutated = new rt.Block({
+                version: block.version,
+                prev_block_hash: block.prev_block_hash,
+                merkle_hash: block.merkle_hash,
+                timestamp: block.timestamp,
+                bits: block.bits,
+                nonce: block.nonce,
+                txns: [ coinbase, coinbase ]
+            });
+            assert(mutated.id === block.id);
+
+            rt.accept_header(block.strip_txns());
+            assert(rt.connect_block(mutated) === null);
+            assert(rt.block_index.get(block.id).status === 'valid-header');
+
+            assert(rt.connect_block(block) === rt.ACTIVE_CHAIN_IDX);
+            tip = block;
+        }
     });
 });
 
 describe('build spend message', () => {
     it('should ok', () => {
-        let txout = new tc.TxOut({ value: 101, to_address: '1zz8w9' });
+        let txout = new tc.TxOut({ value: 101, to_address: '143UVyz7ooiAv1pMqbwPPpnH4BV9ifJGFF' });
         let txin = new tc.TxIn({
-            to_spend: new tc.OutPoint({ txid: 'c0ffee', txout_idx: 0 }),
+            to_spend: new tc.OutPoint({ txid: tc.sha256d('c0ffee'), txout_idx: 0 }),
             unlock_sig: '6f7572736967',
             unlock_pk: '666f6f',
             sequence: 1
@@ -165,15 +414,13 @@ describe('build spend message', () => {
             locktime: 0
         });
 
-        let spend_msg = tc.build_spend_message(
-            txin.to_spend, txin.unlock_pk, txin.sequence, txn.txouts);
+        let spend_msg = tc.build_spend_message(txn, 0, txin.unlock_pk);
 
-        assert(spend_msg === '677c2d8f9843d1cc456e7bfbc507c0f6d07d19c69e6bca0cbaa7bfaea4dd840a');
+        assert(spend_msg === '958a9a672cfc78c2f1df6fb3190b73eb9398fbdea2fa0780f483e0872ccae0a1');
 
-        txn.txouts.push(new tc.TxOut({ value: 1, to_address: '1zz' }));
+        txn.txouts.push(new tc.TxOut({ value: 1, to_address: '18kZswtcPRKCcf9GQsJLNFEMUE8V9tCJr' }));
 
-        assert(tc.build_spend_message(
-            txin.to_spend, txin.unlock_pk, txin.sequence, txn.txouts) !== spend_msg);
+        assert(tc.build_spend_message(txn, 0, txin.unlock_pk) !== spend_msg);
     });
 });
 
@@ -181,6 +428,151 @@ function doCleanArray(arr) {
     arr.splice(0, arr.length);
 }
 
+function doMakeWallet(signing_key, network = tc) {
+    let ecdh = crypto.createECDH('secp256k1');
+    ecdh.setPrivateKey(signing_key, 'hex');
+
+    let verifying_key = ecdh.getPublicKey('hex');
+    return [ signing_key, verifying_key, network.pubkey_to_address(verifying_key) ];
+}
+
+/**
+ * Load a separate copy of tinychain running on another network.
+ */
+function doLoadNetwork(name) {
+    let id = require.resolve('../tinychain');
+    let cached = require.cache[id];
+
+    process.env['TC_NETWORK'] = name;
+    delete require.cache[id];
+
+    try {
+        return require('../tinychain');
+    } finally {
+        delete process.env['TC_NETWORK'];
+        require.cache[id] = cached;
+    }
+}
+
+function doMineBlock(network, prev_block, txns, timestamp, version = 0) {
+    // Commit to the witnesses in the coinbase, as `assemble_and_solve_block`
+    // does.
+    if (txns.some(t => t.has_witness)) {
+        let coinbase = txns[0];
+        let commitment = Buffer.from(network.get_merkle_root_of_txns(txns, true, version).val, 'hex');
+
+        txns = [ new network.Transaction({
+            txins: [ new network.TxIn({
+                to_spend: None,
+                unlock_script: coinbase.txins[0].unlock_script + network.compile_script([ commitment ]),
+                sequence: 0
+            }) ],
+            txouts: coinbase.txouts
+        }) ].concat(txns.slice(1));
+    }
+
+    let block = new network.Block({
+        version: version,
+        prev_block_hash: prev_block.id,
+        merkle_hash: network.get_merkle_root_of_txns(txns, false, version).val,
+        timestamp: timestamp,
+        bits: network.Params.INITIAL_DIFFICULTY_BITS,
+        nonce: 0,
+        txns: txns
+    });
+
+    while (!network.check_proof_of_work(block.id, block.bits)) {
+        block.set('nonce', block.nonce + 1);
+    }
+
+    return block;
+}
+
+function doSign(wallet, txn, txin_idx, hashtype = tc.SIGHASH_ALL) {
+    let [ signing_key, verifying_key ] = wallet;
+    let spend_msg = tc.build_spend_message(txn, txin_idx, verifying_key, hashtype);
+
+    let sign = new rsasign.Signature({ 'alg': 'SHA256withECDSA' });
+    sign.init({ d: signing_key, curve: 'secp256k1' });
+    sign.updateString(spend_msg);
+
+    return sign.sign() + ('0' + hashtype.toString(16)).slice(-2);
+}
+
+/**
+ * A txin spending `outpoint`, signed as the only one of a txn paying to
+ * `txouts`.
+ */
+function doMakeTxin(wallet, outpoint, txouts, sequence = 0, locktime = None) {
+    return doMakeTxn(wallet, [ outpoint ], txouts, sequence, locktime).txins[0];
+}
+
+function doMakeTxn(wallet, outpoints, txouts, sequence = 0, locktime = None, hashtype = tc.SIGHASH_ALL) {
+    let txn = new tc.Transaction({
+        txins: outpoints.map(o => new tc.TxIn({ to_spend: o, sequence: sequence })),
+        txouts: txouts,
+        locktime: locktime
+    });
+
+    return new tc.Transaction({
+        txins: txn.txins.map((txin, i) => new tc.TxIn({
+            to_spend: txin.to_spend,
+            unlock_pk: wallet[1],
+            unlock_sig: doSign(wallet, txn, i, hashtype),
+            sequence: sequence
+        })),
+        txouts: txouts,
+        locktime: locktime
+    });
+}
+
+/**
+ * Add a `value` txout paying to `wallet` to the UTXO set and return its
+ * outpoint.
+ */
+function doUTXO(i, value = 100000, wallet = wallet1) {
+    let utxo = new tc.UnspentTxOut({
+        value: value,
+        to_address: wallet[2],
+        txid: tc.sha256d('funding'),
+        txout_idx: i,
+        is_coinbase: false,
+        height: 1
+    });
+
+    tc.utxo_set.set(utxo.outpoint, utxo);
+    return utxo.outpoint;
+}
+
+function doPay(outpoints, value, sequence = 0, wallet = wallet1) {
+    return doMakeTxn(wallet, outpoints, [ new tc.TxOut({ value: value, to_address: wallet2[2] }) ], sequence);
+}
+
+/**
+ * Empty the mempool, with its indices, and the UTXO set.
+ */
+function doClearMempool() {
+    tc.clear_mempool();
+    tc.utxo_set.clear();
+}
+
+/**
+ * Mine a block with `txns` on top of the active chain of `network`, paying
+ * the coinbase to `wallet`, and connect it.
+ */
+function doMineNext(network, wallet, txns = [], spacing = 60) {
+    let tip = network.active_chain[network.active_chain.length - 1];
+    let height = network.active_chain.length;
+    let coinbase = network.Transaction.create_coinbase(wallet[2], 5000000000, height);
+    let block = doMineBlock(network, tip, [ coinbase ].concat(txns), tip.timestamp + spacing);
+
+    assert(network.connect_block(block) === network.ACTIVE_CHAIN_IDX);
+    return block;
+}
+
+const wallet1 = doMakeWallet('18e14a7b6a307f426a94f8114701e7c8e774e7f9a47e2c2035db29a206321725');
+const wallet2 = doMakeWallet('7e2f54f5a0ad1e2fd0d9e8c3dd5b8a3c0c1d6b3a6f2e1f0d9c8b7a6958473625');
+
 function doAddToUTXOForChain(chain) {
     for (let block of chain) {
         for (let tx of block.txns) {
@@ -233,7 +625,7 @@ describe('reorg active chain', () => {
         }
 
         doCleanArray(tc.side_branches);
-        tc.mempool.clear();
+        tc.clear_mempool();
         tc.utxo_set.clear();
 
         doAddToUTXOForChain(tc.active_chain);
@@ -242,7 +634,7 @@ describe('reorg active chain', () => {
             assert.deepEqual(tc.active_chain, chain1);
             assert.deepEqual(tc.mempool, new Map);
 
-            let test = [ '8b7bfc', 'b8a642', '6708b9' ];
+            let test = [ 'c6fd07', 'ef286d', '285872' ];
             for (let k of tc.utxo_set.values()) {
                 assert(k.txid.substring(0, 6) === test.shift());
             }
@@ -259,24 +651,26 @@ describe('reorg active chain', () => {
         assert.deepEqual(tc.side_branches, [ chain2.slice(1,2) ]);
         assert_no_change();
 
+        // # Reorg necessary when a side branch has as much work as the main
+        // # chain, but a lower tip hash.
+        assert(chain2[2].id < chain1[2].id);
         assert(tc.connect_block(chain2[2]) === 1)
-        assert(tc.reorg_if_necessary() === false);
-        assert_no_change();
+        assert.deepEqual(tc.active_chain, chain2.slice(0, 3));
+        assert.deepEqual(tc.side_branches, [ chain1.slice(1) ]);
 
-        // # No reorg necessary when side branch is a longer but invalid chain.
+        // # And not back again.
+        assert(tc.reorg_if_necessary() === false);
 
         // # Block doesn't connect to anything because it's invalid.
         assert (tc.connect_block(chain3_faulty[3]) === None)
         assert(tc.reorg_if_necessary() === false);
 
         // # No change in side branches for an invalid block.
-        assert.deepEqual(tc.side_branches, [ chain2.slice(1,3) ]);
-        assert_no_change();
-
-        // # Reorg necessary when a side branch is longer than the main chain.
+        assert.deepEqual(tc.side_branches, [ chain1.slice(1) ]);
+        assert.deepEqual(tc.active_chain, chain2.slice(0, 3));
 
-        assert(tc.connect_block(chain2[3]) === 1)
-        assert(tc.connect_block(chain2[4]) === 1)
+        assert(tc.connect_block(chain2[3]) === tc.ACTIVE_CHAIN_IDX)
+        assert(tc.connect_block(chain2[4]) === tc.ACTIVE_CHAIN_IDX)
 
         // # Chain1 was reorged into side_branches.
         for (let c of tc.side_branches) {
@@ -287,9 +681,1779 @@ describe('reorg active chain', () => {
         assert.deepEqual(tc.side_branches, [chain1.slice(1)]);
         assert.deepEqual(tc.mempool, new Map);
 
-        let test2 = [ '8b7bfc', 'b8a642', '6708b9', '543683', '53f3c1' ];
+        let test2 = [ 'c6fd07', 'ef286d', '285872', 'a00a0d', 'afe14c' ];
         for (let k of tc.utxo_set.values()) {
             assert(k.txid.substring(0, 6) === test2.shift());
         }
     });
 });
+
+describe('chain work', () => {
+    it('should ok', () => {
+        doCleanArray(tc.active_chain);
+        doCleanArray(tc.side_branches);
+        tc.clear_mempool();
+        tc.utxo_set.clear();
+
+        let proof = tc.get_block_proof(0x1e010000);
+        assert(proof.eq(new BN(0).bincn(256).div(new BN(0).bincn(232).addn(1))));
+        assert(tc.get_block_proof(0x1e008000).gt(proof));
+
+        for (let block of chain1) {
+            assert(tc.connect_block(block) === tc.ACTIVE_CHAIN_IDX);
+        }
+
+        let [ block, height, chain_idx, chainwork ] = tc.locate_block(chain1[2].id);
+        assert(block === chain1[2]);
+        assert(height === 2);
+        assert(chain_idx === tc.ACTIVE_CHAIN_IDX);
+        assert(chainwork.eq(proof.muln(3)));
+
+        // On equal work, the lower tip hash wins, whichever came first.
+        assert(tc.connect_block(chain2[1]) === 1);
+        assert(tc.get_chain_work(chain2[1].id).eq(tc.get_chain_work(chain1[1].id)));
+        assert(chain2[1].id > chain1[1].id);
+        assert(tc.reorg_if_necessary() === false);
+        assert.deepEqual(tc.active_chain, chain1);
+
+        assert(tc.connect_block(chain2[2]) === 1);
+        assert(tc.get_chain_work(chain2[2].id).eq(tc.get_chain_work(chain1[2].id)));
+        assert(chain2[2].id < chain1[2].id);
+        assert.deepEqual(tc.active_chain, chain2.slice(0, 3));
+        assert(tc.reorg_if_necessary() === false);
+
+        assert(tc.connect_block(chain2[3]) === tc.ACTIVE_CHAIN_IDX);
+        assert.deepEqual(tc.active_chain, chain2.slice(0, 4));
+        assert(tc.locate_block(chain2[3].id)[3].eq(proof.muln(4)));
+    });
+});
+
+describe('block index', () => {
+    it('should ok', () => {
+        doCleanArray(tc.active_chain);
+        doCleanArray(tc.side_branches);
+        tc.clear_mempool();
+        tc.utxo_set.clear();
+
+        for (let block of chain1) {
+            assert(tc.connect_block(block) === tc.ACTIVE_CHAIN_IDX);
+        }
+
+        for (let block of chain2.slice(1)) {
+            tc.connect_block(block);
+        }
+
+        assert.deepEqual(tc.active_chain, chain2);
+        assert.deepEqual(tc.side_branches, [ chain1.slice(1) ]);
+
+        // Entries follow their blocks across the reorg.
+        let entry = tc.block_index.get(chain1[2].id);
+        assert(entry.height === 2);
+        assert(entry.chain_idx === 1);
+        assert(entry.status === 'valid');
+        assert.deepEqual(tc.locate_block(chain1[2].id).slice(0, 3), [ chain1[2], 1, 1 ]);
+        assert(tc.locate_block(chain1[2].id, tc.active_chain)[0] === None);
+
+        entry = tc.block_index.get(chain2[4].id);
+        assert(entry.height === 4);
+        assert(entry.chain_idx === tc.ACTIVE_CHAIN_IDX);
+        assert.deepEqual(tc.locate_block(chain2[4].id).slice(0, 3), [ chain2[4], 4, 0 ]);
+
+        let coinbase = chain2[3].txns[0];
+        assert.deepEqual(tc.locate_txn(coinbase.id), [ coinbase, chain2[3], 3 ]);
+        assert.deepEqual(tc.locate_txn('c0ffee'), [ None, None, None ]);
+    });
+
+    it('should recompute the block id after a change', () => {
+        let block = new tc.Block({});
+
+        for (let [ k, v ] of chain1[1].entries()) {
+            block.set(k, v);
+        }
+
+        assert(block.id === chain1[1].id);
+        block.set('nonce', 1);
+        assert(block.id !== chain1[1].id);
+    });
+});
+
+describe('undo data', () => {
+    it('should ok', () => {
+        doCleanArray(tc.active_chain);
+        doCleanArray(tc.side_branches);
+        tc.clear_mempool();
+        tc.utxo_set.clear();
+
+        for (let block of chain1) {
+            assert(tc.connect_block(block) === tc.ACTIVE_CHAIN_IDX);
+            assert.deepEqual(tc.block_undo.get(block.id), []);
+        }
+
+        for (let block of chain2.slice(1)) {
+            tc.connect_block(block);
+        }
+
+        // Undo data only exists for blocks in the active chain.
+        for (let block of chain2) {
+            assert(tc.block_undo.has(block.id));
+        }
+
+        for (let block of chain1.slice(1)) {
+            assert(!tc.block_undo.has(block.id));
+        }
+
+        // Coinbase txns of disconnected blocks don't go back to the mempool.
+        assert.deepEqual(tc.mempool, new Map);
+
+        let heights = Array.from(tc.utxo_set.values()).map(u => u.height);
+        assert.deepEqual(heights, [ 1, 2, 3, 4, 5 ]);
+    });
+});
+
+describe('orphan blocks', () => {
+    it('should connect orphans once their parent arrives', () => {
+        doCleanArray(tc.active_chain);
+        doCleanArray(tc.side_branches);
+        tc.clear_mempool();
+        tc.utxo_set.clear();
+
+        assert(tc.connect_block(chain2[0]) === tc.ACTIVE_CHAIN_IDX);
+
+        // Delivered out of order.
+        assert(tc.connect_block(chain2[3]) === None);
+        assert(tc.connect_block(chain2[2]) === None);
+        assert(tc.connect_block(chain2[4]) === None);
+        assert(tc.orphan_blocks.size === 3);
+
+        assert(tc.connect_block(chain2[1]) === tc.ACTIVE_CHAIN_IDX);
+        assert(tc.orphan_blocks.size === 0);
+        assert.deepEqual(tc.active_chain, chain2);
+    });
+
+    it('should expire and cap orphans', () => {
+        function _orphan(i) {
+            return new tc.Block({ prev_block_hash: tc.sha256d('c0ffee'), nonce: i });
+        }
+
+        let now = Math.floor(Date.now() / 1000);
+
+        tc.add_orphan_block(_orphan(0), 'peer1', now - 60 * 60);
+        tc.add_orphan_block(_orphan(1), 'peer1', now);
+        assert(!tc.orphan_blocks.has(_orphan(0).id));
+        assert(tc.orphan_blocks.has(_orphan(1).id));
+
+        for (let i = 2; i <= 101; i++) {
+            tc.add_orphan_block(_orphan(i), 'peer1', now);
+        }
+
+        // A single peer can't fill the pool.
+        assert(tc.orphan_blocks.size === 100);
+        assert(!tc.orphan_blocks.has(_orphan(1).id));
+        assert(tc.orphan_blocks.has(_orphan(101).id));
+
+        tc.add_orphan_block(_orphan(102), 'peer2', now);
+        assert(tc.orphan_blocks.size === 101);
+
+        tc.expire_orphan_blocks(now + 60 * 60);
+        assert(tc.orphan_blocks.size === 0);
+    });
+});
+
+describe('orphan txns', () => {
+    it('should readmit orphans once their parent arrives', () => {
+        doClearMempool();
+
+        let parent = doMakeTxn(wallet1, [ doUTXO(0, 10000) ], [
+            new tc.TxOut({ value: 9000, to_address: wallet2[2] })
+        ]);
+        let child = doMakeTxn(wallet2, [ new tc.OutPoint({ txid: parent.id, txout_idx: 0 }) ], [
+            new tc.TxOut({ value: 8000, to_address: wallet1[2] })
+        ]);
+        let grandchild = doMakeTxn(wallet1, [ new tc.OutPoint({ txid: child.id, txout_idx: 0 }) ], [
+            new tc.TxOut({ value: 7000, to_address: wallet2[2] })
+        ]);
+
+        tc.add_txn_to_mempool(grandchild);
+        tc.add_txn_to_mempool(child);
+        assert(tc.orphan_txns.size === 2);
+        assert(tc.mempool.size === 0);
+
+        tc.add_txn_to_mempool(parent);
+        assert(tc.orphan_txns.size === 0);
+        assert.deepEqual(Array.from(tc.mempool.keys()), [ parent.id, child.id, grandchild.id ]);
+    });
+
+    it('should expire and cap orphans', () => {
+        doClearMempool();
+
+        function _orphan(i) {
+            return new tc.Transaction({
+                txins: [ new tc.TxIn({ to_spend: new tc.OutPoint({ txid: tc.sha256d('missing'), txout_idx: i }) }) ],
+                txouts: [ new tc.TxOut({ value: 1, to_address: wallet2[2] }) ]
+            });
+        }
+
+        let now = Math.floor(Date.now() / 1000);
+        let orphans = [];
+        for (let i = 0; i <= 101; i++) {
+            orphans.push(_orphan(i));
+        }
+
+        tc.add_orphan_txn(orphans[0], None, now - 60 * 60);
+        tc.add_orphan_txn(orphans[1], None, now);
+        assert(!tc.orphan_txns.has(orphans[0].id));
+
+        // From enough peers that none of them hits its own limit.
+        for (let [ i, orphan ] of orphans.slice(2).entries()) {
+            tc.add_orphan_txn(orphan, `192.0.2.${i % 5}`, now);
+        }
+
+        // The oldest is evicted to make room.
+        assert(tc.orphan_txns.size === 100);
+        assert(!tc.orphan_txns.has(orphans[1].id));
+        assert(tc.orphan_txns.has(orphans[101].id));
+
+        tc.expire_orphan_txns(now + 60 * 60);
+        assert(tc.orphan_txns.size === 0);
+    });
+
+    it('should not let one peer push out the orphans of others', () => {
+        doClearMempool();
+
+        let now = Math.floor(Date.now() / 1000);
+        let orphan = (peer, i) => {
+            let txn = new tc.Transaction({
+                txins: [ new tc.TxIn({ to_spend: new tc.OutPoint({ txid: tc.sha256d(peer), txout_idx: i }) }) ],
+                txouts: [ new tc.TxOut({ value: 1, to_address: wallet2[2] }) ]
+            });
+
+            tc.add_orphan_txn(txn, peer, now);
+            return txn;
+        };
+
+        let honest = orphan('192.0.2.1', 0);
+        let flood = [];
+        for (let i = 0; i < 100; i++) {
+            flood.push(orphan('192.0.2.2', i));
+        }
+
+        // The flooding peer only evicts its own.
+        assert(tc.orphan_txns.has(honest.id));
+        assert(tc.orphan_txns.size === 26);
+        assert(!tc.orphan_txns.has(flood[74].id));
+        assert(tc.orphan_txns.has(flood[75].id));
+
+        tc.expire_orphan_txns(now + 60 * 60);
+    });
+});
+
+describe('difficulty', () => {
+    /**
+     * Index a chain of `num` blocks on top of genesis, `spacing` seconds
+     * apart, all with `bits`. The blocks aren't solved.
+     */
+    function doIndexChain(num, spacing, bits) {
+        let prev = tc.genesis_blocks.main;
+        let blocks = [];
+
+        for (let height = 1; height <= num; height++) {
+            let block = new tc.Block({
+                version: 0,
+                prev_block_hash: prev.id,
+                timestamp: prev.timestamp + spacing,
+                bits: bits,
+                nonce: height,
+                txns: []
+            });
+
+            tc.block_index.set(block.id, new tc.BlockIndexEntry({ block: block, height: height }));
+            blocks.push(block);
+            prev = block;
+        }
+
+        return blocks;
+    }
+
+    function doUnindex(blocks) {
+        for (let block of blocks) {
+            tc.block_index.delete(block.id);
+        }
+    }
+
+    it('should convert compact targets', () => {
+        assert(tc.bits_to_target(0x1e010000).eq(new BN(0).bincn(232)));
+        assert(tc.bits_to_target(0x1d00ffff).eq(new BN(0xffff).ushln(208)));
+        assert(tc.bits_to_target(0x05009234).eq(new BN(0x92340000)));
+        assert(tc.bits_to_target(0x01003456).isZero());
+        assert(tc.bits_to_target(0x04923456) === None);
+        assert(tc.bits_to_target(0xff123456) === None);
+
+        assert(tc.target_to_bits(new BN(0).bincn(232)) === 0x1e010000);
+        assert(tc.target_to_bits(new BN(0x80)) === 0x02008000);
+        assert(tc.target_to_bits(new BN(0x92340000)) === 0x05009234);
+
+        for (let bits of [ 0x1e010000, 0x1d00ffff, 0x1f00ffff, 0x207fffff ]) {
+            assert(tc.target_to_bits(tc.bits_to_target(bits)) === bits);
+        }
+    });
+
+    it('should check proof of work', () => {
+        let genesis = tc.genesis_blocks.main;
+
+        assert(tc.check_proof_of_work(genesis.id, genesis.bits));
+        assert(!tc.check_proof_of_work(genesis.id, 0x1d00ffff));
+        // Easier than the network allows.
+        assert(!tc.check_proof_of_work('00', 0x207fffff));
+        assert(!tc.check_proof_of_work('00', 0x04923456));
+    });
+
+    it('should retarget in proportion to the time taken', () => {
+        let period = tc.Params.DIFFICULTY_PERIOD_IN_BLOCKS;
+        let spacing = tc.Params.TIME_BETWEEN_BLOCKS_IN_SECS_TARGET;
+        let bits = 0x1e010000;
+        let target = tc.bits_to_target(bits);
+
+        // Only at the end of a period.
+        let blocks = doIndexChain(period - 2, spacing / 2, bits);
+        let next = tc.get_next_work_required(blocks[blocks.length - 1].id);
+        assert(next === bits);
+        doUnindex(blocks);
+
+        // The period spans one block less than its length, as in Bitcoin.
+        let timespan = tc.Params.DIFFICULTY_PERIOD_IN_SECS_TARGET;
+        let expected = actual => tc.target_to_bits(target.muln(actual).divn(timespan));
+
+        // About twice as fast as targeted needs about twice the work.
+        blocks = doIndexChain(period - 1, spacing / 2, bits);
+        next = tc.get_next_work_required(blocks[blocks.length - 1].id);
+        assert(next === expected((period - 1) * spacing / 2));
+        assert(tc.bits_to_target(next).lt(target.divn(2)));
+        doUnindex(blocks);
+
+        // Slower than targeted gives a higher target.
+        blocks = doIndexChain(period - 1, spacing * 1.5, bits);
+        next = tc.get_next_work_required(blocks[blocks.length - 1].id);
+        assert(next === expected((period - 1) * spacing * 1.5));
+        assert(tc.bits_to_target(next).gt(target));
+        doUnindex(blocks);
+
+        // A single period can move the target by at most a factor of 4...
+        blocks = doIndexChain(period - 1, 1, bits);
+        next = tc.get_next_work_required(blocks[blocks.length - 1].id);
+        assert(tc.bits_to_target(next).eq(target.divn(4)));
+        doUnindex(blocks);
+
+        // ...and never past the limit.
+        blocks = doIndexChain(period - 1, spacing * 100, bits);
+        next = tc.get_next_work_required(blocks[blocks.length - 1].id);
+        assert(tc.bits_to_target(next).eq(target.muln(4)));
+        doUnindex(blocks);
+
+        blocks = doIndexChain(period - 1, spacing * 100, tc.Params.POW_LIMIT_BITS);
+        next = tc.get_next_work_required(blocks[blocks.length - 1].id);
+        assert(next === tc.Params.POW_LIMIT_BITS);
+        doUnindex(blocks);
+    });
+});
+
+describe('network profiles', () => {
+    it('should have a valid genesis block for every network', () => {
+        for (let name of Object.keys(tc.NETWORKS)) {
+            let genesis = tc.genesis_blocks[name];
+            let target = tc.bits_to_target(genesis.bits);
+
+            assert(new BN(genesis.id, 16).lte(target));
+            assert(genesis.merkle_hash === tc.get_merkle_root(genesis.txns[0].id).val);
+        }
+
+        assert(tc.NETWORK.name === 'main');
+        assert(tc.genesis_blocks.main.id === chain1[0].id);
+    });
+
+    it('should only accept addresses for its network', () => {
+        let pubkey = wallet1[1];
+        let main_address = tc.pubkey_to_address(pubkey);
+        let test_address = tc.pubkey_to_address(pubkey, tc.NETWORKS.test.address_version);
+
+        assert(main_address !== test_address);
+        assert(tc.is_valid_address(main_address));
+        assert(!tc.is_valid_address(test_address));
+        assert(!tc.is_valid_address('not an address'));
+    });
+
+    it('should refuse messages from other networks', () => {
+        let received = [];
+        let errors = [];
+        let message = new tc.SocketMessageHandle(data => received.push(data), err => errors.push(err));
+
+        let data = tc.encode_socket_data(new tc.GetMempoolMsg);
+        message.read_all_from_socket(data);
+        assert(received.length === 1);
+
+        let foreign = Buffer.from(data);
+        foreign.write(tc.NETWORKS.regtest.magic, 0, 4, 'hex');
+        message.read_all_from_socket(foreign);
+        message.read_all_from_socket(data);
+
+        assert(received.length === 1);
+        assert(errors.length === 1);
+        assert.throws(() => tc.decode_socket_data(foreign));
+    });
+
+    it('should mine and spend right away on regtest', () => {
+        let rt = doLoadNetwork('regtest');
+        let wallet = doMakeWallet(wallet1[0], rt);
+        let genesis = rt.active_chain[0];
+
+        assert(rt.NETWORK.name === 'regtest');
+        assert(rt.Params.COINBASE_MATURITY === 0);
+        assert(genesis === rt.genesis_blocks.regtest);
+        assert(rt.is_valid_address(wallet[2]));
+
+        let coinbase = rt.Transaction.create_coinbase(wallet[2], 5000000000, 1);
+        let block1 = doMineBlock(rt, genesis, [ coinbase ], genesis.timestamp + 60);
+        assert(rt.connect_block(block1) === rt.ACTIVE_CHAIN_IDX);
+
+        // Spend the coinbase in the very next block.
+        let spend = doMakeTxn(wallet, [ new rt.OutPoint({ txid: coinbase.id, txout_idx: 0 }) ], [
+            new rt.TxOut({ value: 4000000000, to_address: wallet[2] })
+        ]);
+        let block2 = doMineBlock(rt, block1, [ rt.Transaction.create_coinbase(wallet[2], 5000000000, 2), spend ],
+                                 block1.timestamp + 60);
+
+        assert(rt.connect_block(block2) === rt.ACTIVE_CHAIN_IDX);
+        assert(rt.active_chain.length === 3);
+        assert(!rt.utxo_set.has(new rt.OutPoint({ txid: coinbase.id, txout_idx: 0 })));
+        assert.deepEqual(rt.block_undo.get(block2.id).map(u => u.txid), [ coinbase.id ]);
+
+        // A heavier fork from block1 puts the spent coinbase back.
+        let fork2 = doMineBlock(rt, block1, [ rt.Transaction.create_coinbase(wallet[2], 5000000000, 2) ],
+                                block1.timestamp + 61);
+        let fork3 = doMineBlock(rt, fork2, [ rt.Transaction.create_coinbase(wallet[2], 5000000000, 3) ],
+                                block1.timestamp + 62);
+
+        // As much work as block2: it only takes over with the lower hash.
+        let tie_winner = fork2.id < block2.id ? fork2 : block2;
+        assert(rt.connect_block(fork2) === 1);
+        assert(rt.active_chain[2] === tie_winner);
+
+        rt.connect_block(fork3);
+        assert.deepEqual(rt.active_chain, [ genesis, block1, fork2, fork3 ]);
+
+        let restored = rt.utxo_set.get(new rt.OutPoint({ txid: coinbase.id, txout_idx: 0 }));
+        assert(restored.is_coinbase);
+        assert(restored.height === 2);
+        assert(restored.value === 5000000000);
+        assert(rt.mempool.has(spend.id));
+    });
+});
+
+describe('locktime', () => {
+    function doOutPoint(network, block) {
+        return new network.OutPoint({ txid: block.txns[0].id, txout_idx: 0 });
+    }
+
+    it('should tell final txns', () => {
+        let locked = (locktime, sequence = 0) => new tc.Transaction({
+            txins: [ new tc.TxIn({ to_spend: new tc.OutPoint({ txid: 'c0ffee', txout_idx: 0 }), sequence: sequence }) ],
+            txouts: [ new tc.TxOut({ value: 1, to_address: wallet1[2] }) ],
+            locktime: locktime
+        });
+        let time = tc.LOCKTIME_THRESHOLD + 100;
+
+        assert(tc.is_final_txn(locked(None), 0, 0));
+        assert(tc.is_final_txn(locked(0), 0, 0));
+        assert(!tc.is_final_txn(locked(10), 10, time));
+        assert(tc.is_final_txn(locked(10), 11, 0));
+        assert(!tc.is_final_txn(locked(time), 1000, time));
+        assert(tc.is_final_txn(locked(time), 0, time + 1));
+        assert(tc.is_final_txn(locked(10, tc.SEQUENCE_FINAL), 0, 0));
+    });
+
+    it('should enforce absolute locktime', () => {
+        let rt = doLoadNetwork('regtest');
+        let wallet = doMakeWallet(wallet1[0], rt);
+        let block1 = doMineNext(rt, wallet);
+        let txouts = [ new rt.TxOut({ value: 4000000000, to_address: wallet[2] }) ];
+
+        // Can't be mined before height 4.
+        let locked = doMakeTxn(wallet, [ doOutPoint(rt, block1) ], txouts, 0, 3);
+        rt.add_txn_to_mempool(locked);
+        assert(!rt.mempool.has(locked.id));
+
+        let early = doMineBlock(rt, block1, [ rt.Transaction.create_coinbase(wallet[2], 5000000000, 2), locked ],
+                                block1.timestamp + 60);
+        assert(rt.connect_block(early) === None);
+
+        doMineNext(rt, wallet);
+        rt.add_txn_to_mempool(locked);
+        assert(!rt.mempool.has(locked.id));
+
+        doMineNext(rt, wallet);
+        rt.add_txn_to_mempool(locked);
+        assert(rt.mempool.has(locked.id));
+
+        // By time: needs a median time past after the locktime.
+        let time_locked = doMakeTxn(wallet, [ doOutPoint(rt, rt.active_chain[2]) ], txouts, 0, block1.timestamp);
+        rt.add_txn_to_mempool(time_locked);
+        assert(!rt.mempool.has(time_locked.id));
+
+        let template = new rt.Block({ prev_block_hash: rt.active_chain[3].id, txns: [] });
+        rt.add_to_mempool(time_locked);
+        assert.deepEqual(rt.select_from_mempool(template)[0].txns, [ locked ]);
+
+        doMineNext(rt, wallet, [ locked ]);
+        assert(rt.locate_txn(locked.id)[0]);
+        assert(rt.get_median_time_past(11) > block1.timestamp);
+        assert.deepEqual(rt.select_from_mempool(template)[0].txns, [ time_locked ]);
+    });
+
+    it('should enforce relative locks', () => {
+        let rt = doLoadNetwork('regtest');
+        let wallet = doMakeWallet(wallet1[0], rt);
+        let block1 = doMineNext(rt, wallet, [], 600);
+        let block2 = doMineNext(rt, wallet, [], 600);
+        let txouts = [ new rt.TxOut({ value: 4000000000, to_address: wallet[2] }) ];
+
+        // The coin from block 2 has to be 2 blocks old.
+        let by_height = doMakeTxn(wallet, [ doOutPoint(rt, block2) ], txouts, 2);
+        rt.add_txn_to_mempool(by_height);
+        assert(!rt.mempool.has(by_height.id));
+
+        // Unless the lock is disabled.
+        let disabled = doMakeTxn(wallet, [ doOutPoint(rt, block2) ], txouts,
+                                 rt.SEQUENCE_LOCKTIME_DISABLE_FLAG + 2);
+        assert.deepEqual(rt.calculate_sequence_locks(disabled, [ rt.utxo_set.get(doOutPoint(rt, block2)) ], 3),
+                         [ -1, -1 ]);
+
+        // The coin from block 1 has to be 2 * 512 seconds old, counting from
+        // the median time past before it.
+        let by_time = doMakeTxn(wallet, [ doOutPoint(rt, block1) ], txouts, rt.SEQUENCE_LOCKTIME_TYPE_FLAG + 2);
+        rt.add_txn_to_mempool(by_time);
+        assert(!rt.mempool.has(by_time.id));
+
+        doMineNext(rt, wallet, [], 600);
+        rt.add_txn_to_mempool(by_height);
+        rt.add_txn_to_mempool(by_time);
+        assert(rt.mempool.has(by_height.id));
+        assert(!rt.mempool.has(by_time.id));
+
+        doMineNext(rt, wallet, [ by_height ], 600);
+        rt.add_txn_to_mempool(by_time);
+        assert(rt.mempool.has(by_time.id));
+    });
+});
+
+describe('coinbase', () => {
+    it('should halve the subsidy by height', () => {
+        let rt = doLoadNetwork('regtest');
+
+        assert(rt.get_block_subsidy(0) === 5000000000);
+        assert(rt.get_block_subsidy(149) === 5000000000);
+        assert(rt.get_block_subsidy(150) === 2500000000);
+        assert(rt.get_block_subsidy(150 * 64) === 0);
+    });
+
+    it('should pay out no more than subsidy plus fees', () => {
+        let rt = doLoadNetwork('regtest');
+        let wallet = doMakeWallet(wallet1[0], rt);
+        let block1 = doMineNext(rt, wallet);
+
+        let spend = doMakeTxn(wallet, [ new rt.OutPoint({ txid: block1.txns[0].id, txout_idx: 0 }) ], [
+            new rt.TxOut({ value: 4000000000, to_address: wallet[2] })
+        ]);
+
+        let doMineWithReward = reward => doMineBlock(
+            rt, block1, [ rt.Transaction.create_coinbase(wallet[2], reward, 2), spend ], block1.timestamp + 60);
+
+        let greedy = doMineWithReward(6000000001);
+        assert(rt.calculate_fees(greedy) === 1000000000);
+        assert(rt.connect_block(greedy) === None);
+        assert(rt.active_chain.length === 2);
+
+        assert(rt.connect_block(doMineWithReward(6000000000)) === rt.ACTIVE_CHAIN_IDX);
+    });
+
+    it('should commit to the block height', () => {
+        let rt = doLoadNetwork('regtest');
+        let wallet = doMakeWallet(wallet1[0], rt);
+        let genesis = rt.active_chain[0];
+        let block1 = doMineNext(rt, wallet);
+
+        // Same coinbase as block 1, so the same txid.
+        let block2 = doMineBlock(rt, block1, [ block1.txns[0] ], block1.timestamp + 60);
+        assert(rt.connect_block(block2) === None);
+
+        // Also on a side branch.
+        let fork1 = doMineBlock(rt, genesis, [ rt.Transaction.create_coinbase(wallet[2], 5000000000, 2) ],
+                                genesis.timestamp + 61);
+        assert(rt.connect_block(fork1) === None);
+        assert(rt.side_branches.length === 0);
+
+        fork1 = doMineBlock(rt, genesis, [ rt.Transaction.create_coinbase(wallet[2], 5000000000, 1) ],
+                            genesis.timestamp + 61);
+        assert(rt.connect_block(fork1) === 1);
+
+        // And only once.
+        let twice = doMineBlock(rt, block1, [
+            rt.Transaction.create_coinbase(wallet[2], 5000000000, 2),
+            rt.Transaction.create_coinbase(wallet[2], 5000000000, 2)
+        ], block1.timestamp + 60);
+        assert(rt.connect_block(twice) === None);
+    });
+});
+
+describe('double spends', () => {
+    it('should reject a txn spending an output twice', () => {
+        let rt = doLoadNetwork('regtest');
+        let wallet = doMakeWallet(wallet1[0], rt);
+        let block1 = doMineNext(rt, wallet);
+        let outpoint = new rt.OutPoint({ txid: block1.txns[0].id, txout_idx: 0 });
+
+        let twice = doMakeTxn(wallet, [ outpoint, outpoint ], [
+            new rt.TxOut({ value: 9000000000, to_address: wallet[2] })
+        ]);
+        let block2 = doMineBlock(rt, block1, [ rt.Transaction.create_coinbase(wallet[2], 5000000000, 2), twice ],
+                                 block1.timestamp + 60);
+
+        assert(rt.connect_block(block2) === None);
+        assert(rt.active_chain.length === 2);
+        assert(rt.utxo_set.has(outpoint));
+        assert(!rt.block_undo.has(block2.id));
+    });
+
+    it('should reject a block spending an output twice', () => {
+        let rt = doLoadNetwork('regtest');
+        let wallet = doMakeWallet(wallet1[0], rt);
+        let block1 = doMineNext(rt, wallet);
+        let outpoint = new rt.OutPoint({ txid: block1.txns[0].id, txout_idx: 0 });
+
+        let spend = value => doMakeTxn(wallet, [ outpoint ], [ new rt.TxOut({ value: value, to_address: wallet[2] }) ]);
+        let block2 = doMineBlock(rt, block1, [
+            rt.Transaction.create_coinbase(wallet[2], 5000000000, 2), spend(4000000000), spend(3000000000)
+        ], block1.timestamp + 60);
+
+        assert(rt.connect_block(block2) === None);
+        assert(rt.active_chain.length === 2);
+        assert(rt.utxo_set.has(outpoint));
+        assert(!rt.block_undo.has(block2.id));
+
+        // Either spend alone is fine.
+        doMineNext(rt, wallet, [ block2.txns[2] ]);
+        assert(!rt.utxo_set.has(outpoint));
+    });
+});
+
+describe('headers-first sync', () => {
+    /**
+     * Pass a message from one node to another the way it'd go over the wire.
+     */
+    function doRelay(from, to, msg) {
+        return to.deserialize(from.serialize(msg));
+    }
+
+    it('should locate where chains fork', () => {
+        let rt = doLoadNetwork('regtest');
+        let wallet = doMakeWallet(wallet1[0], rt);
+
+        for (let i = 0; i < 15; i++) {
+            doMineNext(rt, wallet);
+        }
+
+        let ids = rt.active_chain.map(b => b.id);
+        let locator = rt.get_block_locator(ids[15]);
+
+        // Dense at first, then exponentially sparser.
+        assert.deepEqual(locator, [ 15, 14, 13, 12, 11, 10, 9, 8, 7, 6, 5, 4, 2, 0 ].map(h => ids[h]));
+
+        let headers = rt.find_headers_for_locator([ 'c0ffee', ids[12], ids[3] ]);
+        assert.deepEqual(headers.map(h => h.id), ids.slice(13));
+        assert(headers.every(h => h instanceof rt.BlockHeader && !(h instanceof rt.Block)));
+
+        assert(rt.find_headers_for_locator([ 'c0ffee' ]).length === 15);
+    });
+
+    it('should validate headers on their own', () => {
+        let rt = doLoadNetwork('regtest');
+        let wallet = doMakeWallet(wallet1[0], rt);
+        let genesis = rt.active_chain[0];
+
+        let block = doMineBlock(rt, genesis, [ rt.Transaction.create_coinbase(wallet[2], 5000000000, 1) ],
+                                genesis.timestamp + 60);
+        let header = block.strip_txns();
+        assert(header.id === block.id);
+
+        let bad_pow = header.strip_txns();
+        while (rt.check_proof_of_work(bad_pow.id, bad_pow.bits)) {
+            bad_pow.set('nonce', bad_pow.nonce + 1);
+        }
+        assert.throws(() => rt.accept_header(bad_pow), /satisfy bits/);
+
+        let bad_bits = header.strip_txns();
+        bad_bits.set('bits', 0x1f7fffff);
+        while (!rt.check_proof_of_work(bad_bits.id, bad_bits.bits)) {
+            bad_bits.set('nonce', bad_bits.nonce + 1);
+        }
+        assert.throws(() => rt.accept_header(bad_bits), /bits is incorrect/);
+
+        let unconnected = header.strip_txns();
+        unconnected.set('prev_block_hash', rt.sha256d('unconnected'));
+        assert.throws(() => rt.accept_header(unconnected), /not found/);
+
+        let entry = rt.accept_header(header);
+        assert(entry.status === 'valid-header');
+        assert(entry.height === 1);
+        assert(rt.get_best_header() === header.id);
+        assert(!rt.locate_block(header.id)[0]);
+
+        // The full block takes the header's place.
+        assert(rt.connect_block(block) === rt.ACTIVE_CHAIN_IDX);
+        assert(rt.block_index.get(block.id).status === 'valid');
+    });
+
+    it('should judge a block by its own ancestors', () => {
+        let rt = doLoadNetwork('regtest');
+        let wallet = doMakeWallet(wallet1[0], rt);
+        let genesis = rt.active_chain[0];
+
+        for (let i = 0; i < 3; i++) {
+            doMineNext(rt, wallet, [], 1000);
+        }
+
+        // Older than the active chain's median time past, but not its own.
+        let fork = [];
+        let prev = genesis;
+        for (let height = 1; height <= 4; height++) {
+            prev = doMineBlock(rt, prev, [ rt.Transaction.create_coinbase(wallet[2], 5000000000, height) ],
+                               prev.timestamp + 10);
+            fork.push(prev);
+        }
+        assert(fork[0].timestamp <= rt.get_median_time_past(11));
+        assert(rt.get_median_time_past_of(genesis.id) === genesis.timestamp);
+
+        fork.forEach(block => rt.accept_header(block.strip_txns()));
+        assert(rt.get_best_header() === fork[3].id);
+
+        fork.forEach(block => rt.connect_block(block));
+        assert(fork.every(block => rt.block_index.get(block.id).status === 'valid'));
+        assert(rt.active_chain[rt.active_chain.length - 1].id === fork[3].id);
+
+        // Yet a block is still held to it.
+        let stale = doMineBlock(rt, fork[3], [ rt.Transaction.create_coinbase(wallet[2], 5000000000, 5) ],
+                                fork[1].timestamp);
+        assert.throws(() => rt.accept_header(stale.strip_txns()), /too old/);
+        assert(rt.connect_block(stale) === None);
+    });
+
+    it('should download blocks from several peers', () => {
+        let node1 = doLoadNetwork('regtest');
+        let node2 = doLoadNetwork('regtest');
+        let wallet = doMakeWallet(wallet1[0], node1);
+
+        for (let i = 0; i < 5; i++) {
+            doMineNext(node1, wallet);
+        }
+
+        // Headers first...
+        let getheaders = new node2.GetHeadersMsg({
+            locator: node2.get_block_locator(node2.get_best_header())
+        });
+        let headers = new node1.HeadersMsg({
+            headers: node1.find_headers_for_locator(doRelay(node2, node1, getheaders).locator)
+        });
+
+        node2.process_headers(doRelay(node1, node2, headers).headers);
+        assert(node2.get_best_header() === node1.active_chain[5].id);
+        assert(node2.active_chain.length === 1);
+        assert(!node2.check_ibd_done());
+
+        // ...then the blocks, spread over the peers.
+        let assigned = node2.assign_block_downloads([ 'peer1', 'peer2' ], undefined, 2);
+        let ids = node1.active_chain.slice(1).map(b => b.id);
+
+        assert.deepEqual(assigned.get('peer1'), ids.slice(0, 2));
+        assert.deepEqual(assigned.get('peer2'), ids.slice(2, 4));
+        assert(node2.blocks_in_flight.size === 4);
+
+        let blocks = ids.map(id => node1.locate_block(id)[0]);
+
+        // Out of order, as peers reply whenever.
+        doRelay(node1, node2, new node1.InvMsg({ blocks: blocks.slice(2, 4) })).handle(null, 'peer2');
+        assert(node2.active_chain.length === 1);
+        assert(node2.orphan_blocks.size === 2);
+
+        doRelay(node1, node2, new node1.InvMsg({ blocks: blocks.slice(0, 2) })).handle(null, 'peer1');
+        assert(node2.active_chain.length === 5);
+        assert(node2.blocks_in_flight.size === 0);
+        assert(!node2.check_ibd_done());
+
+        assert.deepEqual(Array.from(node2.assign_block_downloads([ 'peer1', 'peer2' ], undefined, 2)),
+                         [ [ 'peer1', [ ids[4] ] ] ]);
+
+        doRelay(node1, node2, new node1.InvMsg({ blocks: blocks.slice(4) })).handle(null, 'peer1');
+        assert.deepEqual(node2.active_chain.map(b => b.id), node1.active_chain.map(b => b.id));
+        assert(node2.ibd_done.is_set());
+    });
+
+    it('should re-request blocks that time out', () => {
+        let node1 = doLoadNetwork('regtest');
+        let node2 = doLoadNetwork('regtest');
+        let wallet = doMakeWallet(wallet1[0], node1);
+        let block = doMineNext(node1, wallet);
+
+        node2.process_headers([ block.strip_txns() ]);
+
+        let now = Math.floor(Date.now() / 1000);
+        assert.deepEqual(Array.from(node2.assign_block_downloads([ 'peer1', 'peer2' ], now)),
+                         [ [ 'peer1', [ block.id ] ] ]);
+        assert(node2.assign_block_downloads([ 'peer1', 'peer2' ], now + 30).size === 0);
+        assert.deepEqual(Array.from(node2.assign_block_downloads([ 'peer2', 'peer1' ], now + 61)),
+                         [ [ 'peer2', [ block.id ] ] ]);
+    });
+
+    it('should wait for the download before mining', async () => {
+        let rt = doLoadNetwork('regtest');
+        let waited = false;
+        let wait = rt.ibd_done.wait().then(() => waited = true);
+
+        await Promise.resolve();
+        assert(!waited);
+
+        // No peers to sync from.
+        assert(rt.check_ibd_done());
+        await wait;
+        assert(waited);
+    });
+});
+
+describe('script', () => {
+    const OP = tc.OPCODES;
+
+    function doEval(items) {
+        return tc.eval_script(tc.compile_script(items), [], { check_sig: () => false, check_locktime: () => false });
+    }
+
+    it('should encode pushes and numbers', () => {
+        let data = Buffer.alloc(76, 0xab);
+        let script = tc.compile_script([ Buffer.from('beef', 'hex'), data, OP.OP_DUP ]);
+
+        assert(script.startsWith('02beef4c4c'));
+        assert.deepEqual(tc.parse_script(script).map(op => op.data), [ Buffer.from('beef', 'hex'), data, None ]);
+        assert.throws(() => tc.parse_script('4c'), tc.TxUnlockError);
+        assert.throws(() => tc.parse_script('05beef'), tc.TxUnlockError);
+
+        for (let n of [ 0, 1, -1, 127, 128, -255, 32768 ]) {
+            assert(tc.decode_script_num(tc.encode_script_num(n)) === n);
+        }
+
+        assert(tc.encode_script_num(128).toString('hex') === '8000');
+        assert.throws(() => tc.decode_script_num(Buffer.from('0100', 'hex')), tc.TxUnlockError);
+    });
+
+    it('should run conditionals and enforce limits', () => {
+        let stack = doEval([ OP.OP_1, OP.OP_IF, OP.OP_1 + 1, OP.OP_ELSE, OP.OP_1 + 2, OP.OP_ENDIF ]);
+        assert.deepEqual(stack, [ tc.encode_script_num(2) ]);
+
+        stack = doEval([ OP.OP_0, OP.OP_IF, OP.OP_RETURN, OP.OP_ENDIF, OP.OP_16 ]);
+        assert.deepEqual(stack, [ tc.encode_script_num(16) ]);
+
+        stack = doEval([ Buffer.from('abc'), OP.OP_SIZE, OP.OP_SWAP, OP.OP_HASH256,
+                         Buffer.from(tc.sha256d('abc'), 'hex'), OP.OP_EQUAL ]);
+        assert.deepEqual(stack, [ tc.encode_script_num(3), Buffer.from([ 1 ]) ]);
+
+        assert.throws(() => doEval([ OP.OP_1, OP.OP_IF ]), /unbalanced/);
+        assert.throws(() => doEval([ OP.OP_ENDIF ]), /unbalanced/);
+        assert.throws(() => doEval([ OP.OP_RETURN ]), /OP_RETURN/);
+        assert.throws(() => doEval([ 0xff ]), /unknown opcode/);
+        assert.throws(() => doEval([ OP.OP_DROP ]), /underflow/);
+        assert.throws(() => doEval([ Buffer.alloc(521) ]), /too large/);
+        assert.throws(() => doEval(new Array(202).fill(OP.OP_NOP)), /too many/);
+        assert.throws(() => doEval(new Array(1001).fill(OP.OP_1)), /too deep/);
+    });
+
+    it('should pay to addresses with a standard script', () => {
+        tc.clear_mempool();
+        tc.utxo_set.clear();
+
+        let utxo = new tc.UnspentTxOut({
+            value: 10000,
+            to_address: wallet1[2],
+            txid: tc.sha256d('funding'),
+            txout_idx: 0,
+            is_coinbase: false,
+            height: 1
+        });
+        tc.utxo_set.set(utxo.outpoint, utxo);
+
+        assert(utxo.to_address === wallet1[2]);
+        assert(tc.solve_script(utxo.script_pubkey).type === 'pubkeyhash');
+
+        let txouts = [ new tc.TxOut({ value: 900, to_address: wallet2[2] }) ];
+
+        // The wrong key doesn't hash to the address.
+        let stolen = doMakeTxn(wallet2, [ utxo.outpoint ], txouts);
+        tc.add_txn_to_mempool(stolen);
+        assert(!tc.mempool.has(stolen.id));
+
+        // Only push-only unlock scripts are relayed, even if they'd verify.
+        let txin = doMakeTxin(wallet1, utxo.outpoint, txouts);
+        let nonstandard = new tc.Transaction({
+            txins: [ new tc.TxIn({
+                to_spend: utxo.outpoint,
+                unlock_script: txin.unlock_script + tc.compile_script([ OP.OP_NOP ]),
+                sequence: 0
+            }) ],
+            txouts: txouts
+        });
+        assert.throws(() => tc.check_standard_txn(nonstandard), /push-only/);
+
+        let txn = new tc.Transaction({ txins: [ txin ], txouts: txouts });
+        tc.add_txn_to_mempool(txn);
+        assert(tc.mempool.has(txn.id));
+
+        tc.clear_mempool();
+        tc.utxo_set.clear();
+    });
+});
+
+describe('multisig', () => {
+    const wallet3 = doMakeWallet('5f3b8c1a9e7d2b4c6a8e0f1d3b5c7a9e2d4f6b8a0c1e3d5f7a9b2c4e6d8f0a1b');
+    const redeem_script = tc.multisig_script(2, [ wallet1[1], wallet2[1], wallet3[1] ]);
+    const address = tc.script_to_address(tc.p2sh_script(redeem_script));
+
+    function doSignSpend(wallet, utxo, txouts) {
+        return doMakeTxin(wallet, utxo.outpoint, txouts).unlock_sig;
+    }
+
+    function doSpend(utxo, txouts, unlock_script) {
+        return new tc.Transaction({
+            txins: [ new tc.TxIn({ to_spend: utxo.outpoint, unlock_script: unlock_script, sequence: 0 }) ],
+            txouts: txouts
+        });
+    }
+
+    it('should pay to a multisig address', () => {
+        assert(tc.is_valid_address(address));
+        assert(address.startsWith('3'));
+
+        let txout = new tc.TxOut({ value: 1000, to_address: address });
+        assert(txout.script_pubkey === tc.p2sh_script(redeem_script));
+        assert(txout.to_address === address);
+
+        let { type, solutions } = tc.solve_script(redeem_script);
+        assert(type === 'multisig');
+        assert(solutions[0] === 2 && solutions[4] === 3);
+
+        let bare = new tc.Transaction({
+            txins: [],
+            txouts: [ new tc.TxOut({ value: 1000, script_pubkey: redeem_script }) ]
+        });
+        tc.check_standard_txn(bare);
+
+        bare.txouts.push(new tc.TxOut({
+            value: 1000,
+            script_pubkey: tc.multisig_script(1, [ wallet1[1], wallet2[1], wallet3[1], wallet1[1] ])
+        }));
+        assert.throws(() => tc.check_standard_txn(bare), /too many pubkeys/);
+    });
+
+    it('should need m signatures in pubkey order', () => {
+        tc.clear_mempool();
+        tc.utxo_set.clear();
+
+        let utxo = new tc.UnspentTxOut({
+            value: 10000,
+            to_address: address,
+            txid: tc.sha256d('treasury'),
+            txout_idx: 0,
+            is_coinbase: false,
+            height: 1
+        });
+        tc.utxo_set.set(utxo.outpoint, utxo);
+
+        let txouts = [ new tc.TxOut({ value: 900, to_address: wallet2[2] }) ];
+        let sig1 = doSignSpend(wallet1, utxo, txouts);
+        let sig3 = doSignSpend(wallet3, utxo, txouts);
+        let redeem = Buffer.from(redeem_script, 'hex');
+
+        assert.throws(() => tc.multisig_unlock_script(redeem_script, { [wallet1[1]]: sig1 }), /need 2/);
+
+        for (let pushes of [
+                [ Buffer.alloc(0), Buffer.from(sig1, 'hex'), Buffer.from(sig1, 'hex'), redeem ],
+                [ Buffer.alloc(0), Buffer.from(sig3, 'hex'), Buffer.from(sig1, 'hex'), redeem ],
+                [ Buffer.from([ 1 ]), Buffer.from(sig1, 'hex'), Buffer.from(sig3, 'hex'), redeem ],
+                [ Buffer.alloc(0), Buffer.from(sig1, 'hex'), Buffer.from(sig3, 'hex') ]]) {
+
+            let txn = doSpend(utxo, txouts, tc.compile_script(pushes));
+            tc.add_txn_to_mempool(txn);
+            assert(!tc.mempool.has(txn.id));
+        }
+
+        let txn = doSpend(utxo, txouts, tc.multisig_unlock_script(
+            redeem_script, { [wallet3[1]]: sig3, [wallet1[1]]: sig1 }));
+        tc.add_txn_to_mempool(txn);
+        assert(tc.mempool.has(txn.id));
+
+        tc.clear_mempool();
+        tc.utxo_set.clear();
+    });
+});
+
+describe('htlc', () => {
+    it('should be claimed with the preimage or refunded after expiry', () => {
+        let rt = doLoadNetwork('regtest');
+        let alice = doMakeWallet(wallet1[0], rt);
+        let bob = doMakeWallet(wallet2[0], rt);
+        let block1 = doMineNext(rt, alice);
+
+        let preimage = tc.bytes('open sesame');
+        let hash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+        let redeem_script = rt.htlc_script({ hash: hash, recipient: bob[2], sender: alice[2], locktime: 4 });
+
+        assert.deepEqual(rt.solve_script(redeem_script).solutions.slice(2, 3), [ 4 ]);
+
+        let fund = doMakeTxn(alice, [ new rt.OutPoint({ txid: block1.txns[0].id, txout_idx: 0 }) ], [
+            new rt.TxOut({ value: 4000000000, script_pubkey: rt.p2sh_script(redeem_script) })
+        ]);
+        doMineNext(rt, alice, [ fund ]);
+
+        let outpoint = new rt.OutPoint({ txid: fund.id, txout_idx: 0 });
+
+        function doSpend(wallet, preimage, locktime = None, sequence = 0) {
+            let txouts = [ new rt.TxOut({ value: 3900000000, to_address: wallet[2] }) ];
+            let sig = doMakeTxin(wallet, outpoint, txouts, sequence, locktime).unlock_sig;
+
+            let txn = new rt.Transaction({
+                txins: [ new rt.TxIn({
+                    to_spend: outpoint,
+                    unlock_script: rt.htlc_unlock_script(redeem_script, sig, wallet[1], preimage),
+                    sequence: sequence
+                }) ],
+                txouts: txouts,
+                locktime: locktime
+            });
+
+            rt.add_txn_to_mempool(txn);
+            let added = rt.mempool.has(txn.id);
+            rt.clear_mempool();
+
+            return added;
+        }
+
+        assert(!doSpend(bob, tc.bytes('open barley')));
+        assert(!doSpend(alice, preimage));
+        assert(doSpend(bob, preimage));
+
+        // Not expired yet, then lacking the locktime or with it disabled.
+        assert(!doSpend(alice, None, 4));
+        doMineNext(rt, alice);
+        doMineNext(rt, alice);
+        assert(!doSpend(alice, None, 3));
+        assert(!doSpend(alice, None, 4, tc.SEQUENCE_FINAL));
+        assert(!doSpend(bob, None, 4));
+        assert(doSpend(alice, None, 4));
+    });
+});
+
+describe('sighash types', () => {
+    // Unlock each txin of `txn` with a `[ wallet, sig ]` from `signed`, which
+    // may be signed for another version of the txn, and see if the result is
+    // accepted.
+    function doAccepts(txn, signed) {
+        let txins = txn.txins.map((txin, i) => {
+            let [ wallet, sig ] = signed[i];
+            return new tc.TxIn({ to_spend: txin.to_spend, unlock_pk: wallet[1], unlock_sig: sig, sequence: 0 });
+        });
+        let unlocked = new tc.Transaction({ txins: txins, txouts: txn.txouts, locktime: txn.locktime });
+
+        tc.add_txn_to_mempool(unlocked);
+        let added = tc.mempool.has(unlocked.id);
+        tc.clear_mempool();
+
+        return added;
+    }
+
+    function doTxn(outpoints, txouts) {
+        return new tc.Transaction({
+            txins: outpoints.map(o => new tc.TxIn({ to_spend: o, sequence: 0 })),
+            txouts: txouts
+        });
+    }
+
+    beforeEach(doClearMempool);
+
+    it('should let others add inputs with ANYONECANPAY', () => {
+        let pledge1 = doUTXO(0, 10000);
+        let pledge2 = doUTXO(1, 10000, wallet2);
+        let goal = [ new tc.TxOut({ value: 1900, to_address: wallet2[2] }) ];
+
+        let alone = doTxn([ pledge1 ], goal);
+        let together = doTxn([ pledge1, pledge2 ], goal);
+        let acp = tc.SIGHASH_ALL | tc.SIGHASH_ANYONECANPAY;
+
+        let sig1 = doSign(wallet1, alone, 0, acp);
+        let sig2 = doSign(wallet2, together, 1, acp);
+        assert(doAccepts(together, [ [ wallet1, sig1 ], [ wallet2, sig2 ] ]));
+
+        // Without it, a signature covers every input.
+        sig1 = doSign(wallet1, alone, 0);
+        sig2 = doSign(wallet2, together, 1);
+        assert(!doAccepts(together, [ [ wallet1, sig1 ], [ wallet2, sig2 ] ]));
+
+        // The outputs are still signed.
+        let diverted = doTxn([ pledge1, pledge2 ], [ new tc.TxOut({ value: 1900, to_address: wallet1[2] }) ]);
+        assert(!doAccepts(diverted, [ [ wallet1, doSign(wallet1, alone, 0, acp) ], [ wallet2, sig2 ] ]));
+    });
+
+    it('should sign no or a single output', () => {
+        let utxo1 = doUTXO(0, 10000);
+        let utxo2 = doUTXO(1, 10000);
+        let txn = doTxn([ utxo1, utxo2 ], [
+            new tc.TxOut({ value: 900, to_address: wallet2[2] }),
+            new tc.TxOut({ value: 900, to_address: wallet2[2] })
+        ]);
+        let changed = doTxn([ utxo1, utxo2 ], [
+            new tc.TxOut({ value: 900, to_address: wallet2[2] }),
+            new tc.TxOut({ value: 900, to_address: wallet1[2] })
+        ]);
+
+        let none = [ 0, 1 ].map(i => [ wallet1, doSign(wallet1, txn, i, tc.SIGHASH_NONE) ]);
+        assert(doAccepts(changed, none));
+
+        let single = [ 0, 1 ].map(i => [ wallet1, doSign(wallet1, txn, i, tc.SIGHASH_SINGLE) ]);
+        assert(doAccepts(txn, single));
+        assert(!doAccepts(changed, single));
+        single[1] = [ wallet1, doSign(wallet1, txn, 1) ];
+        assert(!doAccepts(changed, single));
+
+        // Input 1 doesn't care about output 0.
+        let changed0 = doTxn([ utxo1, utxo2 ], [
+            new tc.TxOut({ value: 800, to_address: wallet1[2] }),
+            new tc.TxOut({ value: 900, to_address: wallet2[2] })
+        ]);
+        single = [ [ wallet1, doSign(wallet1, changed0, 0) ], [ wallet1, doSign(wallet1, txn, 1, tc.SIGHASH_SINGLE) ] ];
+        assert(doAccepts(changed0, single));
+
+        let short = doTxn([ utxo1, utxo2 ], [ new tc.TxOut({ value: 900, to_address: wallet2[2] }) ]);
+        assert.throws(() => tc.build_spend_message(short, 1, wallet1[1], tc.SIGHASH_SINGLE), tc.TxUnlockError);
+    });
+});
+
+describe('replace-by-fee', () => {
+    beforeEach(doClearMempool);
+
+    it('should only replace txns that opt in', () => {
+        // Which txins don't by default.
+        assert(new tc.TxIn({ to_spend: doUTXO(1, 10000) }).sequence === tc.SEQUENCE_FINAL);
+
+        for (let sequence of [ tc.MAX_BIP125_RBF_SEQUENCE + 1, tc.SEQUENCE_FINAL ]) {
+            tc.clear_mempool();
+
+            let outpoint = doUTXO(0, 10000);
+            let original = doPay([ outpoint ], 9000, sequence);
+            tc.add_txn_to_mempool(original);
+
+            let replacement = doPay([ outpoint ], 5000);
+            tc.add_txn_to_mempool(replacement);
+            assert.deepEqual(Array.from(tc.mempool.keys()), [ original.id ]);
+        }
+    });
+
+    it('should need a higher fee and evict descendants', () => {
+        let outpoint = doUTXO(0, 10000);
+        let original = doPay([ outpoint ], 9000);
+        let child = doPay([ new tc.OutPoint({ txid: original.id, txout_idx: 0 }) ], 8000, 0, wallet2);
+
+        tc.add_txn_to_mempool(original);
+        tc.add_txn_to_mempool(child);
+        assert(tc.get_txn_fee(original) === 1000 && tc.get_txn_fee(child) === 1000);
+
+        // Same fee, then not enough to cover the child's fee too.
+        for (let value of [ 9000, 8500, 8000 ]) {
+            let replacement = doPay([ outpoint ], value, 1);
+            tc.add_txn_to_mempool(replacement);
+            assert(!tc.mempool.has(replacement.id));
+        }
+
+        let replacement = doPay([ outpoint ], 7999);
+        tc.add_txn_to_mempool(replacement);
+        assert.deepEqual(Array.from(tc.mempool.keys()), [ replacement.id ]);
+
+        // The evicted child's output is gone with it.
+        let grandchild = doPay([ new tc.OutPoint({ txid: child.id, txout_idx: 0 }) ], 7000, 0, wallet2);
+        tc.add_txn_to_mempool(grandchild);
+        assert(!tc.mempool.has(grandchild.id));
+    });
+
+    it('should compare fee rates with each conflict', () => {
+        let outpoint1 = doUTXO(0, 10000);
+        let outpoint2 = doUTXO(1, 100000);
+
+        let small = doPay([ outpoint1 ], 5000);
+        tc.add_txn_to_mempool(small);
+
+        // Pays more in all, but at a lower rate than `small`.
+        let big = doPay([ outpoint1, outpoint2 ], 104000);
+        assert(tc.get_txn_fee(big) > tc.get_txn_fee(small));
+        tc.add_txn_to_mempool(big);
+        assert.deepEqual(Array.from(tc.mempool.keys()), [ small.id ]);
+    });
+
+    it('should not let a txn conflict with itself', () => {
+        let outpoint = doUTXO(0, 10000);
+        let original = doPay([ outpoint ], 9000);
+        tc.add_txn_to_mempool(original);
+
+        let twice = doPay([ outpoint, outpoint ], 15000);
+        let reject = tc.add_txn_to_mempool(twice);
+
+        assert(reject.reason === 'bad-txns-inputs-duplicate');
+        assert(!tc.mempool.has(twice.id));
+        assert(tc.mempool.has(original.id));
+    });
+
+    it('should drop mempool txns double-spent by a block', () => {
+        let rt = doLoadNetwork('regtest');
+        let wallet = doMakeWallet(wallet1[0], rt);
+        let block1 = doMineNext(rt, wallet);
+        let outpoint = new rt.OutPoint({ txid: block1.txns[0].id, txout_idx: 0 });
+
+        let pending = doMakeTxn(wallet, [ outpoint ], [ new rt.TxOut({ value: 4000000000, to_address: wallet[2] }) ]);
+        let child = doMakeTxn(wallet, [ new rt.OutPoint({ txid: pending.id, txout_idx: 0 }) ], [
+            new rt.TxOut({ value: 3000000000, to_address: wallet[2] })
+        ]);
+        rt.add_txn_to_mempool(pending);
+        rt.add_txn_to_mempool(child);
+        assert(rt.mempool.size === 2);
+
+        let mined = doMakeTxn(wallet, [ outpoint ], [ new rt.TxOut({ value: 4500000000, to_address: wallet[2] }) ]);
+        doMineNext(rt, wallet, [ mined ]);
+        assert(rt.mempool.size === 0);
+    });
+});
+
+describe('block assembly', () => {
+    let template = new tc.Block({ prev_block_hash: tc.sha256d('tip'), txns: [] });
+
+    beforeEach(doClearMempool);
+
+    it('should order by package fee rate', () => {
+        let low = doPay([ doUTXO(0) ], 98000);
+        let high = doPay([ doUTXO(1) ], 90000);
+        let parent = doPay([ doUTXO(2) ], 99000);
+        let child = doPay([ new tc.OutPoint({ txid: parent.id, txout_idx: 0 }) ], 93000, 0, wallet2);
+
+        for (let txn of [ low, parent, high, child ]) {
+            tc.add_txn_to_mempool(txn);
+        }
+
+        // The child pays for its parent, which on its own pays least.
+        let [ block, fees ] = tc.select_from_mempool(template);
+        assert.deepEqual(block.txns.map(t => t.id), [ high.id, parent.id, child.id, low.id ]);
+        assert(fees === 10000 + 7000 + 2000);
+        assert(fees === tc.calculate_fees(block));
+    });
+
+    it('should rescore what is left of a package once part of it is in', () => {
+        let parent = doMakeTxn(wallet1, [ doUTXO(0) ], [ 0, 1 ].map(() => {
+            return new tc.TxOut({ value: 49500, to_address: wallet2[2] });
+        }));
+        let child = i => new tc.OutPoint({ txid: parent.id, txout_idx: i });
+        let rich = doPay([ child(0) ], 41500, 0, wallet2);
+        let richer = doPay([ child(1) ], 44500, 0, wallet2);
+        let other = doPay([ doUTXO(1) ], 96000);
+
+        for (let txn of [ parent, rich, richer, other ]) {
+            tc.add_txn_to_mempool(txn);
+        }
+
+        // With its parent paid for by `rich`, `richer` beats `other` alone.
+        let [ block, fees ] = tc.select_from_mempool(template);
+        assert.deepEqual(block.txns.map(t => t.id), [ parent.id, rich.id, richer.id, other.id ]);
+        assert(fees === 1000 + 8000 + 5000 + 4000);
+    });
+
+    it('should skip packages that do not fit', () => {
+        // Too big to go in together, however much they pay.
+        let [ , big2 ] = [ 0, 1 ].map(i => {
+            let txn = new tc.Transaction({
+                txins: [ new tc.TxIn({ to_spend: doUTXO(i, 10000000), unlock_script: '', sequence: 0 }) ],
+                txouts: [ new tc.TxOut({ value: 5000000 - i, script_pubkey: 'aa'.repeat(600000) }) ]
+            });
+
+            tc.add_to_mempool(txn);
+            return txn;
+        });
+        let small = doPay([ doUTXO(2) ], 99000);
+        tc.add_txn_to_mempool(small);
+
+        let [ block, fees ] = tc.select_from_mempool(template);
+        assert.deepEqual(block.txns.map(t => t.id), [ big2.id, small.id ]);
+        assert(fees === 5000001 + 1000);
+    });
+});
+
+describe('mempool limits', () => {
+    function doChild(parent, value) {
+        return doPay([ new tc.OutPoint({ txid: parent.id, txout_idx: 0 }) ], value, 0, wallet2);
+    }
+
+    beforeEach(doClearMempool);
+
+    it('should need the minimum fee rate and limit chains', () => {
+        let cheap = doPay([ doUTXO(0) ], 99900);
+        tc.add_txn_to_mempool(cheap);
+        assert(!tc.mempool.has(cheap.id));
+
+        // Unsigned, to keep it quick; only the last two need to validate.
+        let chain = [];
+        let to_spend = doUTXO(1);
+        for (let i = 0; i < 24; i++) {
+            let txn = new tc.Transaction({
+                txins: [ new tc.TxIn({ to_spend: to_spend, sequence: 0 }) ],
+                txouts: [ new tc.TxOut({ value: 99000 - i * 1000, to_address: wallet2[2] }) ]
+            });
+
+            tc.add_to_mempool(txn);
+            chain.push(txn);
+            to_spend = new tc.OutPoint({ txid: txn.id, txout_idx: 0 });
+        }
+
+        let last = doChild(chain[23], 70000);
+        tc.add_txn_to_mempool(last);
+        assert(tc.mempool.has(last.id));
+
+        let too_long = doChild(last, 69000);
+        tc.add_txn_to_mempool(too_long);
+        assert(!tc.mempool.has(too_long.id));
+    });
+
+    it('should count children that came in before their parent', () => {
+        let now = Math.floor(Date.now() / 1000);
+        let parent = doPay([ doUTXO(0) ], 99000);
+        let child = doChild(parent, 97000);
+        let rich = doPay([ doUTXO(1) ], 90000);
+
+        // As when the parent's block is disconnected.
+        [ child, rich, parent ].forEach(txn => tc.add_to_mempool(txn));
+
+        let evicted = tc.trim_mempool(tc.get_mempool_usage() - 1, now);
+        assert.deepEqual(Array.from(evicted), [ parent.id, child.id ]);
+        assert(tc.get_mempool_usage() === tc.serialize(rich).length);
+    });
+
+    it('should evict the lowest fee rate packages when full', () => {
+        let now = Math.floor(Date.now() / 1000);
+        let parent = doPay([ doUTXO(0) ], 99000);
+        let child = doChild(parent, 97000);
+        let rich = doPay([ doUTXO(1) ], 90000);
+
+        [ parent, child, rich ].forEach(txn => tc.add_txn_to_mempool(txn));
+        assert(tc.mempool.size === 3);
+        assert(tc.get_mempool_usage() === [ parent, child, rich ].reduce((sum, t) => sum + tc.serialize(t).length, 0));
+
+        // The parent goes with its child, even though `rich` was added last.
+        let evicted = tc.trim_mempool(tc.get_mempool_usage() - 1, now);
+        assert.deepEqual(Array.from(evicted), [ parent.id, child.id ]);
+        assert.deepEqual(Array.from(tc.mempool.keys()), [ rich.id ]);
+        assert(tc.get_mempool_usage() === tc.serialize(rich).length);
+
+        // Then the bar is raised, so they can't just come back...
+        let min_fee_rate = tc.get_min_fee_rate(now);
+        assert(min_fee_rate > tc.MIN_RELAY_FEE_RATE);
+        tc.add_txn_to_mempool(parent);
+        assert(!tc.mempool.has(parent.id));
+
+        // ...until it decays.
+        assert(tc.get_min_fee_rate(now + 60 * 60) < min_fee_rate);
+        assert(tc.get_min_fee_rate(now + 7 * 24 * 60 * 60) === tc.MIN_RELAY_FEE_RATE);
+    });
+
+    it('should expire old txns with their descendants', () => {
+        let parent = doPay([ doUTXO(0) ], 99000);
+        let child = doChild(parent, 98000);
+
+        tc.add_txn_to_mempool(parent);
+        tc.add_txn_to_mempool(child);
+
+        let now = Math.floor(Date.now() / 1000);
+        assert(!tc.expire_mempool(now + tc.MEMPOOL_EXPIRY_SECS - 60).size);
+        assert(tc.expire_mempool(now + tc.MEMPOOL_EXPIRY_SECS).size === 2);
+        assert(tc.mempool.size === 0);
+    });
+
+    it('should report mempool usage', () => {
+        let txn = doPay([ doUTXO(0) ], 99000);
+        tc.add_txn_to_mempool(txn);
+
+        let sent;
+        new tc.GetMempoolInfoMsg().handle({ end: data => sent = data });
+        let info = tc.decode_socket_data(sent);
+
+        assert(info.size === 1);
+        assert(info.bytes === tc.serialize(txn).length);
+        assert(info.min_fee_rate === tc.MIN_RELAY_FEE_RATE);
+    });
+});
+
+describe('witness', () => {
+    it('should leave signatures out of the txid', () => {
+        tc.clear_mempool();
+        tc.utxo_set.clear();
+
+        let utxo = new tc.UnspentTxOut({
+            value: 100000,
+            to_address: wallet1[2],
+            txid: tc.sha256d('witness'),
+            txout_idx: 0,
+            is_coinbase: false,
+            height: 1
+        });
+        tc.utxo_set.set(utxo.outpoint, utxo);
+
+        // ECDSA signatures differ each time, as would a re-encoded one.
+        let txouts = [ new tc.TxOut({ value: 99000, to_address: wallet2[2] }) ];
+        let txn = doMakeTxn(wallet1, [ utxo.outpoint ], txouts);
+        let malleated = doMakeTxn(wallet1, [ utxo.outpoint ], txouts);
+
+        assert(txn.txins[0].unlock_sig !== malleated.txins[0].unlock_sig);
+        assert(txn.id === malleated.id);
+        assert(txn.wtxid !== malleated.wtxid);
+        assert(txn.id === txn.strip_witness().wtxid);
+
+        // A child of either version is a child of both.
+        tc.add_txn_to_mempool(malleated);
+        let child = doMakeTxn(wallet2, [ new tc.OutPoint({ txid: txn.id, txout_idx: 0 }) ], [
+            new tc.TxOut({ value: 98000, to_address: wallet1[2] })
+        ]);
+        tc.add_txn_to_mempool(child);
+        assert.deepEqual(Array.from(tc.mempool.keys()), [ txn.id, child.id ]);
+
+        tc.clear_mempool();
+        tc.utxo_set.clear();
+    });
+
+    it('should commit blocks to their witnesses', () => {
+        let rt = doLoadNetwork('regtest');
+        let wallet = doMakeWallet(wallet1[0], rt);
+        let block1 = doMineNext(rt, wallet);
+        let outpoint = new rt.OutPoint({ txid: block1.txns[0].id, txout_idx: 0 });
+        let txouts = [ new rt.TxOut({ value: 4000000000, to_address: wallet[2] }) ];
+
+        let block2 = doMineBlock(rt, block1, [
+            rt.Transaction.create_coinbase(wallet[2], 5000000000, 2),
+            doMakeTxn(wallet, [ outpoint ], txouts)
+        ], block1.timestamp + 60);
+        assert(block2.txns[0].txins[0].unlock_script.endsWith(
+            rt.get_merkle_root_of_txns(block2.txns, true).val));
+
+        // Swapping in other witnesses keeps the header, but not the
+        // commitment.
+        let mutated = new rt.Block({
+            version: block2.version,
+            prev_block_hash: block2.prev_block_hash,
+            merkle_hash: block2.merkle_hash,
+            timestamp: block2.timestamp,
+            bits: block2.bits,
+            nonce: block2.nonce,
+            txns: [ block2.txns[0], doMakeTxn(wallet, [ outpoint ], txouts) ]
+        });
+        assert(mutated.id === block2.id);
+
+        // Nor does that get the genuine block marked invalid.
+        rt.accept_header(block2.strip_txns());
+        assert(rt.connect_block(mutated) === null);
+        assert(rt.block_index.get(block2.id).status === 'valid-header');
+        assert(rt.connect_block(block2) === rt.ACTIVE_CHAIN_IDX);
+    });
+});
+
+describe('data carrier', () => {
+    it('should keep data-carrier txouts out of the utxo set', () => {
+        let rt = doLoadNetwork('regtest');
+        let wallet = doMakeWallet(wallet1[0], rt);
+        let block1 = doMineNext(rt, wallet);
+        let outpoint = new rt.OutPoint({ txid: block1.txns[0].id, txout_idx: 0 });
+
+        let script = rt.null_data_script(rt.sha256d('anchor'));
+        assert(rt.solve_script(script).type === 'nulldata');
+        assert(rt.is_unspendable(script));
+
+        let txn = doMakeTxn(wallet, [ outpoint ], [
+            new rt.TxOut({ value: 0, script_pubkey: script }),
+            new rt.TxOut({ value: 4000000000, to_address: wallet[2] })
+        ]);
+        rt.add_txn_to_mempool(txn);
+        assert(rt.mempool.has(txn.id));
+
+        doMineNext(rt, wallet, [ txn ]);
+        assert(!rt.utxo_set.has(new rt.OutPoint({ txid: txn.id, txout_idx: 0 })));
+        assert(rt.utxo_set.has(new rt.OutPoint({ txid: txn.id, txout_idx: 1 })));
+    });
+
+    it('should only relay one small data-carrier txout', () => {
+        let data = txouts => new tc.Transaction({
+            txins: [ new tc.TxIn({ to_spend: new tc.OutPoint({ txid: tc.sha256d('data'), txout_idx: 0 }) }) ],
+            txouts: txouts
+        });
+        let carrier = size => new tc.TxOut({ value: 0, script_pubkey: tc.null_data_script(Buffer.alloc(size)) });
+
+        tc.check_standard_txn(data([ carrier(tc.MAX_NULL_DATA_SIZE) ]));
+        assert.throws(() => tc.check_standard_txn(data([ carrier(tc.MAX_NULL_DATA_SIZE + 1) ])),
+            /carries more than/);
+        assert.throws(() => tc.check_standard_txn(data([ carrier(1), carrier(1) ])),
+            /More than one data-carrier/);
+    });
+});
+
+describe('policy', () => {
+    function doReason(fn) {
+        try {
+            fn();
+        } catch (e) {
+            assert(e instanceof tc.TxnPolicyError);
+            return e.reason;
+        }
+    }
+
+    it('should reject nonstandard txns with a reason', () => {
+        let txn = (txouts, locktime = None) => new tc.Transaction({
+            txins: [ new tc.TxIn({ to_spend: new tc.OutPoint({ txid: tc.sha256d('policy'), txout_idx: 0 }) }) ],
+            txouts: txouts,
+            locktime: locktime
+        });
+        let multisig = new tc.TxOut({ value: 1000, script_pubkey: tc.multisig_script(1, [ wallet1[1], wallet2[1] ]) });
+        let standard = txn([ new tc.TxOut({ value: tc.policy.dust_threshold, to_address: wallet1[2] }), multisig ]);
+
+        tc.check_standard_txn(standard);
+        assert(doReason(() => tc.check_standard_txn(txn([
+            new tc.TxOut({ value: tc.policy.dust_threshold - 1, to_address: wallet1[2] })
+        ]))) === 'dust');
+        assert(doReason(() => tc.check_standard_txn(txn([ multisig ], -1))) === 'bad-locktime');
+
+        let { max_txn_size, output_types } = tc.policy;
+
+        try {
+            tc.policy.max_txn_size = 100;
+            assert(doReason(() => tc.check_standard_txn(standard)) === 'tx-size');
+            tc.policy.max_txn_size = max_txn_size;
+
+            tc.policy.output_types = new Set([ 'pubkeyhash' ]);
+            assert(doReason(() => tc.check_standard_txn(standard)) === 'scriptpubkey');
+        } finally {
+            Object.assign(tc.policy, { max_txn_size, output_types });
+        }
+    });
+
+    it('should only relay canonical signatures', () => {
+        tc.clear_mempool();
+        tc.utxo_set.clear();
+
+        let utxo = new tc.UnspentTxOut({
+            value: 10000,
+            to_address: wallet1[2],
+            txid: tc.sha256d('canonical'),
+            txout_idx: 0,
+            is_coinbase: false,
+            height: 1
+        });
+        tc.utxo_set.set(utxo.outpoint, utxo);
+
+        let txn = doMakeTxn(wallet1, [ utxo.outpoint ], [ new tc.TxOut({ value: 9000, to_address: wallet2[2] }) ]);
+        let sig = txn.txins[0].unlock_sig;
+        assert(tc.is_canonical_signature(sig));
+        tc.check_standard_inputs(txn);
+
+        // The same R, with a needless leading zero.
+        let r_len = parseInt(sig.slice(6, 8), 16);
+        let padded = '30' + (parseInt(sig.slice(2, 4), 16) + 1).toString(16) + '02'
+            + (r_len + 1).toString(16) + '00' + sig.slice(8);
+        assert(!tc.is_canonical_signature(padded));
+        assert(!tc.is_canonical_signature(sig.slice(0, -2) + '00'));
+
+        let malleated = new tc.Transaction({
+            txins: [ new tc.TxIn({ to_spend: utxo.outpoint, unlock_pk: wallet1[1], unlock_sig: padded, sequence: 0 }) ],
+            txouts: txn.txouts
+        });
+        assert(doReason(() => tc.check_standard_inputs(malleated)) === 'non-canonical-signature');
+
+        tc.utxo_set.clear();
+    });
+
+    it('should reject coinbase-shaped txns from peers', () => {
+        let coinbase = tc.Transaction.create_coinbase(wallet1[2], 5000000000, 1);
+
+        tc.check_standard_txn(coinbase);
+        assert.throws(() => coinbase.validate_basics(), /spends nothing/);
+        coinbase.validate_basics(true);
+
+        for (let peer_hostname of [ None, '192.0.2.1' ]) {
+            let reject = tc.add_txn_to_mempool(coinbase, peer_hostname);
+
+            assert(reject instanceof tc.RejectMsg);
+            assert(reject.reason === 'invalid');
+            assert(!tc.mempool.has(coinbase.id));
+        }
+    });
+
+    it('should tell the sender why, but still take nonstandard txns in blocks', () => {
+        let rt = doLoadNetwork('regtest');
+        let wallet = doMakeWallet(wallet1[0], rt);
+        let block1 = doMineNext(rt, wallet);
+        let outpoint = new rt.OutPoint({ txid: block1.txns[0].id, txout_idx: 0 });
+
+        let dust = doMakeTxn(wallet, [ outpoint ], [
+            new rt.TxOut({ value: 1, to_address: wallet[2] }),
+            new rt.TxOut({ value: 4000000000, to_address: wallet[2] })
+        ]);
+        let reject = rt.deserialize(rt.serialize(rt.add_txn_to_mempool(dust)));
+        assert(reject instanceof rt.RejectMsg);
+        assert(reject.txid === dust.id && reject.reason === 'dust');
+        assert(!rt.mempool.has(dust.id));
+
+        rt.policy.min_relay_fee_rate = 1e12;
+        let expensive = doMakeTxn(wallet, [ outpoint ], [ new rt.TxOut({ value: 4000000000, to_address: wallet[2] }) ]);
+        assert(rt.add_txn_to_mempool(expensive).reason === 'min-fee-not-met');
+        rt.policy.min_relay_fee_rate = rt.MIN_RELAY_FEE_RATE;
+
+        doMineNext(rt, wallet, [ dust ]);
+        assert(rt.utxo_set.has(new rt.OutPoint({ txid: dust.id, txout_idx: 0 })));
+    });
+});
+
+describe('malformed messages', () => {
+    function doMessage(...chunks) {
+        let errors = [];
+        let message = new tc.SocketMessageHandle(data => assert(false, 'decoded'), err => errors.push(err));
+
+        chunks.forEach(chunk => message.read_all_from_socket(chunk));
+        assert(errors.length === 1);
+        assert(errors[0] instanceof tc.DecodeError);
+
+        return errors[0].reason;
+    }
+
+    it('should hand the sender a reason to be penalised', () => {
+        let data = tc.encode_socket_data(new tc.GetMempoolTxnMsg({ txid: tc.sha256d('malformed') }));
+        let header = Buffer.from(data.slice(0, 8));
+
+        header.writeUInt32BE(tc.MAX_MESSAGE_SIZE + 1, 4);
+        assert(doMessage(header) === 'bad-message-size');
+
+        header.writeUInt32BE(0, 4);
+        assert(doMessage(header) === 'bad-message-size');
+
+        // The txid cut short, but the length says that's all there is.
+        let short = Buffer.from(data.slice(0, data.length - 1));
+        short.writeUInt32BE(data.length - 9, 4);
+        assert(doMessage(short) === 'truncated');
+    });
+
+    it('should survive a message handler failing', () => {
+        let errors = [];
+        let message = new tc.SocketMessageHandle(data => {
+            throw new Error('handler failed');
+        }, err => errors.push(err));
+
+        message.read_all_from_socket(tc.encode_socket_data(new tc.GetMempoolMsg()));
+        assert(errors.length === 1);
+        assert(errors[0].message === 'handler failed');
+    });
+
+    it('should only take schema\'d messages from peers', () => {
+        assert(tc.is_peer_message(new tc.GetMempoolMsg()));
+        assert(tc.is_peer_message(tc.genesis_blocks.main));
+        assert(!tc.is_peer_message(tc.genesis_blocks.main.strip_txns()));
+        assert(!tc.is_peer_message(tc.deserialize(tc.serialize({ any: 'keys' }))));
+        assert(!tc.is_peer_message([ 1, 2 ]));
+        assert(!tc.is_peer_message(None));
+    });
+
+    it('should only ban for a run of bad messages', () => {
+        let peer = '192.0.2.2';
+        let truncated = new tc.DecodeError('cut short', 'truncated');
+
+        assert(!tc.misbehaving_decode(peer, new tc.DecodeError('v9', 'bad-version')));
+        for (let i = 0; i < 9; i++) {
+            assert(!tc.misbehaving_decode(peer, truncated));
+        }
+        assert(!tc.is_banned(peer));
+        assert(tc.misbehaving_decode(peer, truncated));
+        assert(tc.is_banned(peer));
+
+        // Hostile input takes fewer.
+        peer = '192.0.2.3';
+        let extra = new tc.DecodeError('extra key', 'unexpected-field');
+        assert(!tc.misbehaving_decode(peer, extra));
+        assert(tc.misbehaving_decode(peer, extra));
+    });
+
+    it('should ban a peer once it has misbehaved enough', () => {
+        let peer = '192.0.2.1';
+        let now = Math.floor(Date.now() / 1000);
+
+        assert(!tc.misbehaving(peer, tc.BAN_SCORE / 2, 'test'));
+        assert(!tc.is_banned(peer));
+        assert(tc.misbehaving(peer, tc.BAN_SCORE / 2, 'test'));
+        assert(tc.is_banned(peer));
+
+        assert(!tc.is_banned(peer, now + 2 * 24 * 60 * 60));
+        assert(!tc.is_banned(peer));
+    });
+});
+
+describe('block headers', () => {
+    it('should hash fixed-width fields', () => {
+        let block = new tc.Block({
+            version: 1,
+            prev_block_hash: tc.sha256d('prev'),
+            timestamp: 12,
+            bits: 3,
+            nonce: 7
+        });
+        let header = block.header();
+
+        assert(header.length === 80);
+        assert(header.readUInt32LE(tc.HEADER_NONCE_OFFSET) === 7);
+        assert(block.header(0).readUInt32LE(tc.HEADER_NONCE_OFFSET) === 0);
+
+        // The same digits, split differently.
+        let other = new tc.Block({
+            version: 1,
+            prev_block_hash: block.prev_block_hash,
+            timestamp: 1,
+            bits: 23,
+            nonce: 7
+        });
+        assert(other.id !== block.id);
+        assert(!other.header().equals(header));
+
+        let stripped = block.strip_txns();
+        assert(stripped instanceof tc.BlockHeader && !(stripped instanceof tc.Block));
+        assert(stripped.id === block.id);
+
+        let decoded = tc.deserialize(tc.serialize(new tc.HeadersMsg({ headers: [ stripped ] })));
+        assert(decoded.headers[0] instanceof tc.BlockHeader);
+        assert(decoded.headers[0].id === block.id);
+        assert(tc.serialize(block).slice(2, 82).equals(header));
+    });
+
+    it('should mine in the worker what the node checks', function () {
+        this.timeout(10000);
+
+        let bits = 0x207fffff;
+        let block = new tc.Block({ prev_block_hash: tc.sha256d('worker'), timestamp: 1, bits: bits });
+        let worker = cp.spawn(process.argv[0], [ path.join(__dirname, '..', 'worker.js') ]);
+
+        return new Promise((resolve, reject) => {
+            let message = new tc.SocketMessageHandle(resolve, reject);
+
+            worker.stdout.on('data', chunk => message.read_all_from_socket(chunk));
+            worker.stdin.write(tc.encode_socket_data({ header: block.header().toString('hex'), bits: bits }));
+        }).then(({ nonce }) => {
+            worker.kill();
+            block.set('nonce', nonce);
+            assert(new BN(block.id, 16).lte(tc.bits_to_target(bits)));
+        });
+    });
+});
@@ -37,7 +37,65 @@ const logger = createLogger({
 });
 
 const None = null;
-const Params = Object.create(null, {
+
+// The networks a node can run on, selected with TC_NETWORK. Each has its own
+// genesis block (see `genesis_blocks`) and overrides some of the `Params`.
+//
+// realname CChainParams
+const NETWORKS = {
+    main: {
+        name: 'main',
+        // Every message on the wire starts with these bytes, so nodes on
+        // different networks can't talk to each other. They're our own, not
+        // Bitcoin's, so Bitcoin traffic is turned away too.
+        magic: 'e7c4a1d3',
+        port: 9999,
+        // Prefixes the pubkey hash in an address.
+        address_version: 0x00,
+        // Prefixes the script hash in a pay-to-script-hash address.
+        script_address_version: 0x05,
+        chain_path: 'chain.dat',
+        params: {}
+    },
+
+    test: {
+        name: 'test',
+        magic: 'c1a9e45b',
+        port: 19999,
+        address_version: 0x6f,
+        script_address_version: 0xc4,
+        chain_path: 'chain.test.dat',
+        params: {
+            INITIAL_DIFFICULTY_BITS: 0x1e100000
+        }
+    },
+
+    // A private network for integration tests, where blocks are found
+    // instantly and coinbase outputs can be spent right away.
+    regtest: {
+        name: 'regtest',
+        magic: 'd5b2f3c8',
+        port: 29999,
+        address_version: 0x7a,
+        script_address_version: 0x3c,
+        chain_path: 'chain.regtest.dat',
+        params: {
+            COINBASE_MATURITY: 0,
+            POW_LIMIT_BITS: 0x207fffff,
+            INITIAL_DIFFICULTY_BITS: 0x207fffff,
+            POW_NO_RETARGETING: true,
+            HALVE_SUBSIDY_AFTER_BLOCKS_NUM: 150
+        }
+    }
+};
+
+const NETWORK = NETWORKS[process.env['TC_NETWORK'] || 'main'];
+
+if (!NETWORK) {
+    throw new Error(`unknown network '${process.env['TC_NETWORK']}'`);
+}
+
+const Params = Object.create(null, Object.assign({
     // The infamous max block size.
     // bytes = 1MB
     MAX_BLOCK_SERIALIZED_SIZE: {
@@ -110,10 +168,35 @@ const Params = Object.create(null, {
         enumerable: true
     },
 
-    // The number of right-shifts applied to 2 ** 256 in order to create the
-    // initial difficulty target necessary for mining a block.
+    // The easiest difficulty target a block may have, in the compact form
+    // used by `bits` (see `bits_to_target`).
+    //
+    // realname powLimit
+    POW_LIMIT_BITS: {
+        value: 0x1f00ffff,
+        enumerable: true
+    },
+
+    // The difficulty target necessary for mining the first blocks, in the
+    // compact form used by `bits`. This one is 2 ** 232, i.e. a block hash
+    // needs 24 leading zero bits.
     INITIAL_DIFFICULTY_BITS: {
-        value: 24,
+        value: 0x1e010000,
+        enumerable: true
+    },
+
+    // A difficulty period that took longer or shorter than targeted can only
+    // move the difficulty target by up to this factor.
+    MAX_RETARGET_FACTOR: {
+        value: 4,
+        enumerable: true
+    },
+
+    // Never adjust difficulty; every block keeps the initial difficulty.
+    //
+    // realname fPowNoRetargeting
+    POW_NO_RETARGETING: {
+        value: false,
         enumerable: true
     },
 
@@ -124,7 +207,9 @@ const Params = Object.create(null, {
         value: 210000,
         enumerable: true
     }
-});
+}, ...Object.entries(NETWORK.params).map(([ name, value ]) => {
+    return { [name]: { value: value, enumerable: true } };
+})));
 
 Map.prototype.toJSON = function () {
     let obj = {};
@@ -176,18 +261,40 @@ class OutPoint extends Map {
  * Inputs to a Transaction.
  */
 class TxIn extends Map {
-    constructor({ to_spend = null, unlock_sig = null, unlock_pk = null, sequence = 0 }) {
+    constructor({
+        to_spend = null,
+        unlock_script = null,
+        unlock_sig = null,
+        unlock_pk = null,
+        // SEQUENCE_FINAL: no timelocks, and no replacement.
+        sequence = 0xffffffff
+    }) {
+        // For convenience a (signature, pubkey) pair can be given instead of
+        // a script; they're pushed as the usual pay-to-pubkey-hash unlock.
+        if (unlock_script === null) {
+            unlock_script = p2pkh_unlock_script(unlock_sig, unlock_pk);
+        }
+
         super([
             // A reference to the output we're spending. This is None for coinbase
             // transactions.
             ['to_spend', to_spend],
 
-            // The (signature, pubkey) pair which unlocks the TxOut for spending.
-            ['unlock_sig', unlock_sig],
-            ['unlock_pk', unlock_pk],
-
-            // A sender-defined sequence number which allows us replacement of the txn
-            // if desired.
+            // A script of data pushes which, run ahead of the spent TxOut's
+            // `script_pubkey`, unlocks it for spending (see `verify_script`).
+            // This is witness data, left out of the txid (see
+            // `Transaction.id`).
+            //
+            // realname scriptSig
+            ['unlock_script', unlock_script],
+
+            // A sender-defined sequence number. Unless it has
+            // SEQUENCE_LOCKTIME_DISABLE_FLAG set, the low bits are a relative
+            // timelock: the output being spent must be this old before the txn
+            // can be mined (see `calculate_sequence_locks`). Up to
+            // MAX_BIP125_RBF_SEQUENCE it also allows us replacement of the txn
+            // in the mempool (see `check_replacement`), so senders have to opt
+            // in to that.
             ['sequence', sequence]
         ]);
     }
@@ -196,12 +303,21 @@ class TxIn extends Map {
         return this.get('to_spend');
     }
 
+    get unlock_script() {
+        return this.get('unlock_script');
+    }
+
+    // The signature pushed by a pay-to-pubkey-hash unlock, as hex. Coinbase
+    // txns push their block height here.
     get unlock_sig() {
-        return this.get('unlock_sig');
+        let pushes = get_script_pushes(this.unlock_script);
+        return pushes && len(pushes) > 0 ? pushes[0].toString('hex') : None;
     }
 
+    // The pubkey pushed by a pay-to-pubkey-hash unlock.
     get unlock_pk() {
-        return this.get('unlock_pk');
+        let pushes = get_script_pushes(this.unlock_script);
+        return pushes && len(pushes) > 1 ? pushes[1].toString('binary') : None;
     }
 
     get sequence() {
@@ -213,12 +329,20 @@ class TxIn extends Map {
  * Outputs from a Transaction.
  */
 class TxOut extends Map {
-    constructor({ value = 0, to_address = '' }) {
+    constructor({ value = 0, script_pubkey = null, to_address = null }) {
+        // For convenience an address can be given instead of a script; it's
+        // paid with the usual pay-to-pubkey-hash script.
+        if (script_pubkey === null) {
+            script_pubkey = to_address === null ? '' : address_to_script(to_address);
+        }
+
         super([
             // The number of Belushis this awards.
             ['value', value],
-            // The public key of the owner of this Txn.
-            ['to_address', to_address]
+            // The script that must run successfully to spend this TxOut.
+            //
+            // realname scriptPubKey
+            ['script_pubkey', script_pubkey]
         ]);
     }
 
@@ -226,24 +350,35 @@ class TxOut extends Map {
         return this.get('value');
     }
 
+    get script_pubkey() {
+        return this.get('script_pubkey');
+    }
+
+    // The address this pays to, or None if `script_pubkey` isn't
+    // pay-to-pubkey-hash.
     get to_address() {
-        return this.get('to_address');
+        return script_to_address(this.script_pubkey);
     }
 }
 
 class UnspentTxOut extends Map {
     constructor({
         value = 0,
-        to_address = '',
+        script_pubkey = null,
+        to_address = null,
         txid = '',
         txout_idx = 0,
         is_coinbase = false,
         height = 0
     }) {
 
+        if (script_pubkey === null) {
+            script_pubkey = to_address === null ? '' : address_to_script(to_address);
+        }
+
         super([
             ['value', value],
-            ['to_address', to_address],
+            ['script_pubkey', script_pubkey],
 
             // The ID of the transaction this output belongs to.
             ['txid', txid],
@@ -261,8 +396,12 @@ class UnspentTxOut extends Map {
         return this.get('value');
     }
 
+    get script_pubkey() {
+        return this.get('script_pubkey');
+    }
+
     get to_address() {
-        return this.get('to_address');
+        return script_to_address(this.script_pubkey);
     }
 
     get txid() {
@@ -291,6 +430,8 @@ class Transaction extends Map {
         super([
             ['txins', txins],
             ['txouts', txouts],
+            // The txn can't be mined before this block height, or UNIX time
+            // when at least LOCKTIME_THRESHOLD (see `is_final_txn`).
             ['locktime', locktime]
         ]);
     }
@@ -311,8 +452,45 @@ class Transaction extends Map {
         return len(this.txins) === 1 && this.txins[0].to_spend === null;
     }
 
+    // Witness data is left out, so a relayer re-encoding a signature can't
+    // change the txid, and txns spending this one before it's mined stay
+    // valid.
+    //
+    // realname CTransaction::GetHash
     get id() {
-        return sha256d(serialize(this));
+        return sha256d(encode(this.strip_witness()));
+    }
+
+    // Like `id`, but covering witness data too.
+    //
+    // realname CTransaction::GetWitnessHash
+    get wtxid() {
+        return sha256d(encode(this));
+    }
+
+    get has_witness() {
+        return !this.is_coinbase && this.txins.some(txin => txin.unlock_script);
+    }
+
+    /**
+     * A copy of this txn without its witness data: the unlock scripts of its
+     * txins, i.e. signatures and pubkeys. A coinbase's unlock script isn't
+     * a witness, as it commits to the block instead (see `create_coinbase`).
+     */
+    strip_witness() {
+        if (this.is_coinbase) {
+            return this;
+        }
+
+        return new Transaction({
+            txins: this.txins.map(txin => new TxIn({
+                to_spend: txin.to_spend,
+                unlock_script: '',
+                sequence: txin.sequence
+            })),
+            txouts: this.txouts,
+            locktime: this.locktime
+        });
     }
 
     validate_basics(as_coinbase = false) {
@@ -320,6 +498,21 @@ class Transaction extends Map {
             throw new TxnValidationError('Missing txouts or txins');
         }
 
+        // Only a block's coinbase may spend nothing.
+        //
+        // realname bad-txns-prevout-null
+        if (!as_coinbase && this.txins.some(txin => !txin.to_spend)) {
+            throw new TxnValidationError('txin spends nothing outside a coinbase');
+        }
+
+        // Otherwise the output would count twice towards what the txn may
+        // spend.
+        //
+        // realname bad-txns-inputs-duplicate
+        if (!as_coinbase && len(new OutPointMap(this.txins.map(txin => [ txin.to_spend, txin ]))) < len(this.txins)) {
+            throw new TxnValidationError('txins spend the same output twice', None, 'bad-txns-inputs-duplicate');
+        }
+
         for (let txout of this.txouts) {
             if (txout.value < 0) {
                 throw new TxnValidationError('txout.value negative');
@@ -335,11 +528,20 @@ class Transaction extends Map {
         }
     }
 
-    static create_coinbase(pay_to_addr, value, height) {
+    /**
+     * The coinbase's unlock script pushes the block's `height` and, if the
+     * block's txns have any witness data, their `witness_merkle_hash`.
+     */
+    static create_coinbase(pay_to_addr, value, height, witness_merkle_hash = None) {
+        let pushes = [ Buffer.from(bytes(height), 'hex') ];
+
+        if (witness_merkle_hash) {
+            pushes.push(Buffer.from(witness_merkle_hash, 'hex'));
+        }
+
         let txin = new TxIn({
             'to_spend': null,
-            'unlock_sig': bytes(height),
-            'unlock_pk': null,
+            'unlock_script': compile_script(pushes),
             'sequence': 0
         });
 
@@ -355,16 +557,22 @@ class Transaction extends Map {
     }
 }
 
-class Block extends Map {
+/**
+ * The part of a block that's hashed for its id and the proof-of-work. It
+ * commits to the txns through `merkle_hash`, so it can be relayed and checked
+ * before they are.
+ *
+ * realname CBlockHeader
+ */
+class BlockHeader extends Map {
     constructor({
         version = 0,
         prev_block_hash = 'None',
-        merkle_hash = '',
+        merkle_hash = '0'.repeat(64),
         timestamp = 0,
         bits = 0,
-        nonce = 0,
-        txns = []
-    }) {
+        nonce = 0
+    }, rest = []) {
 
         super([
             // A version integer.
@@ -375,14 +583,14 @@ class Block extends Map {
             ['merkle_hash', merkle_hash],
             // UNIX timestamp of when this block was created.
             ['timestamp', timestamp],
-            // The difficulty target; i.e. the hash of this block header must be under
-            // (2 ** 256 >> bits) to consider work proved.
+            // The difficulty target in compact form (see `bits_to_target`); i.e.
+            // the hash of this block header must be at most the target to
+            // consider work proved.
             ['bits', bits],
             // The value that's incremented in an attempt to get the block header to
-            // hash to a value below `bits`.
-            ['nonce', nonce],
-            ['txns', txns]
-        ]);
+            // hash to a value below the target.
+            ['nonce', nonce]
+        ].concat(rest));
     }
 
     get version() {
@@ -409,1025 +617,5018 @@ class Block extends Map {
         return this.get('nonce');
     }
 
-    get txns() {
-        return this.get('txns');
-    }
-
     /**
      * This is hashed in an attempt to discover a nonce under the difficulty
-     * target.
+     * target: the fields above, each a fixed width (see `HEADER_FIELDS`), with
+     * the nonce in the last 4 bytes.
      */
-    header(nonce = null) {
-        nonce = nonce || this.nonce;
-        return `${this.version}${this.prev_block_hash}${this.merkle_hash}${this.timestamp}${this.bits}${nonce}`;
+    header(nonce = this.nonce) {
+        let w = new Writer();
+
+        for (let [ name, type ] of HEADER_FIELDS) {
+            type.encode(w, name === 'nonce' ? nonce : this.get(name));
+        }
+
+        return w.buffer();
     }
 
     get id() {
-        return sha256d(this.header());
+        let id = block_ids.get(this);
+
+        if (!id) {
+            id = sha256d(this.header());
+            block_ids.set(this, id);
+        }
+
+        return id;
+    }
+
+    /**
+     * A copy of just the header. That's all a peer needs to check the
+     * proof-of-work, and it has the same id.
+     *
+     * realname CBlock::GetBlockHeader
+     */
+    strip_txns() {
+        return new BlockHeader({
+            version: this.version,
+            prev_block_hash: this.prev_block_hash,
+            merkle_hash: this.merkle_hash,
+            timestamp: this.timestamp,
+            bits: this.bits,
+            nonce: this.nonce
+        });
+    }
+
+    set(key, value) {
+        // Any change to the block may change its header.
+        block_ids.delete(this);
+        return super.set(key, value);
     }
 }
 
-// Chain
+class Block extends BlockHeader {
+    constructor({
+        version,
+        prev_block_hash,
+        merkle_hash,
+        timestamp,
+        bits,
+        nonce,
+        txns = []
+    }) {
+
+        super({ version, prev_block_hash, merkle_hash, timestamp, bits, nonce }, [
+            ['txns', txns]
+        ]);
+    }
+
+    get txns() {
+        return this.get('txns');
+    }
+}
+
+// Cache of `Block.id`, which is a double sha256 of the header.
+const block_ids = new WeakMap();
+
+// Serialization
 // ----------------------------------------------------------------------------
 
-const genesis_block = new Block({
-    'version': 0,
-    'prev_block_hash': 'None',
-    'merkle_hash': '7118894203235a955a908c0abfc6d8fe6edec47b0a04ce1bf7263da3b4366d22',
-    'timestamp': 1501821412,
-    'bits': 24,
-    'nonce': 10126761,
-    'txns': [ new Transaction({
-        'txins': [ new TxIn({
-            'to_spend': null,
-            'unlock_sig': bytes(0),
-            'unlock_pk': null,
-            'sequence': 0
-        }) ],
-        'txouts': [ new TxOut({
-            'value': 5000000000,
-            'to_address': '143UVyz7ooiAv1pMqbwPPpnH4BV9ifJGFF'
-        }) ],
-        'locktime': null
-    }) ]
-});
+// Objects are serialized to a compact binary format to be hashed, stored and
+// sent to peers. A value starts with a tag byte giving its type. The data
+// classes and messages then have their fields one after the other, in the
+// order `SCHEMAS` gives, and fields of a known class go without a tag.
+// Integers are varints and hashes a fixed 32 bytes, so any value has exactly
+// one encoding.
+//
+// Decoding takes bytes from peers, so it's strict: every field is checked
+// against its schema, and anything that isn't exactly what `serialize` would
+// have written throws a DecodeError, whose `reason` the p2p layer penalises
+// the sender with.
 
-// The highest proof-of-work, valid blockchain.
+// The first byte of a serialized value; changes whenever the format does.
+const SERIALIZATION_VERSION = 2;
+
+// The largest message we'll take from a peer.
 //
-// realname chainActive
-const active_chain = [ genesis_block ];
+// realname MAX_SIZE
+const MAX_MESSAGE_SIZE = 0x02000000;
 
-// Branches off of the main chain.
-const side_branches = [];
+// How deeply arrays and objects may nest in a decoded value.
+const MAX_DECODE_DEPTH = 32;
 
-// Synchronize access to the active chain and side branches.
-const chain_lock = {}; /* TODO: threading.RLock() */
+// The most ids or headers a message lists.
+//
+// realname MAX_INV_SZ
+const MAX_INV_SIZE = 50000;
+
+// The longest string a message carries, such as a reject reason or a
+// hostname.
+const MAX_MESSAGE_STRING_SIZE = 256;
+
+// Tags for values that aren't of one of the classes in `SCHEMAS`.
+const TAG_NONE = 0x00;
+const TAG_FALSE = 0x01;
+const TAG_TRUE = 0x02;
+const TAG_UINT = 0x03;
+const TAG_NEGATIVE_INT = 0x04;
+const TAG_DOUBLE = 0x05;
+const TAG_STRING = 0x06;
+const TAG_ARRAY = 0x07;
+const TAG_OBJECT = 0x08;
 
-const orphan_blocks = [];
+/**
+ * Collects the encoding of a value, piece by piece.
+ */
+class Writer {
+    constructor() {
+        this.chunks = [];
+    }
 
-// Used to signify the active chain in `locate_block`.
-const ACTIVE_CHAIN_IDX = 0;
+    write(buf) {
+        this.chunks.push(buf);
+    }
 
-function get_current_height() {
-    return len(active_chain);
-}
+    u8(n) {
+        this.write(Buffer.from([ n ]));
+    }
 
-function txn_iterator(chain) {
-    let txn = [];
-    for (let [ height, block ] of chain.entries()) {
-        for (let tx of block.txns) {
-            txn.push([ tx, block, height ]);
-        }
+    // Values that can't be written are our own bug, not a peer's.
+    fail(msg, reason) {
+        throw new SerializationError(msg, reason);
     }
 
-    return txn;
-}
+    /**
+     * Non-negative integers take 1 byte below 0xfd, else a marker byte and
+     * 2, 4 or 8 little-endian bytes.
+     *
+     * realname WriteCompactSize
+     */
+    varint(n) {
+        if (!Number.isSafeInteger(n) || n < 0) {
+            this.fail(`${n} isn't a non-negative integer`, 'bad-type');
+        }
 
-function locate_block(block_hash, chain = null) {
-    let chains = chain ? [ chain ]
-                        : [ active_chain ].concat(side_branches);
+        let buf;
 
-    for (let [ chain_idx, chain ] of chains.entries()) {
-        for (let [ height, block ] of chain.entries()) {
-            if (block.id === block_hash) {
-                return [ block, height, chain_idx ];
-            }
+        if (n < 0xfd) {
+            return this.u8(n);
+        }
+        else if (n <= 0xffff) {
+            buf = Buffer.alloc(3);
+            buf.writeUInt16LE(n, 1);
+        }
+        else if (n <= 0xffffffff) {
+            buf = Buffer.alloc(5);
+            buf.writeUInt32LE(n, 1);
+        }
+        else {
+            buf = Buffer.alloc(9);
+            buf.writeUInt32LE(n % 2 ** 32, 1);
+            buf.writeUInt32LE(Math.floor(n / 2 ** 32), 5);
+        }
+
+        buf[0] = { 3: 0xfd, 5: 0xfe, 9: 0xff }[len(buf)];
+        this.write(buf);
+    }
+
+    // 4 little-endian bytes, whatever the value.
+    u32(n) {
+        if (!Number.isInteger(n) || n < 0 || n > 0xffffffff) {
+            this.fail(`${n} isn't a 32 bit unsigned integer`, 'bad-type');
         }
+
+        let buf = Buffer.alloc(4);
+        buf.writeUInt32LE(n, 0);
+        this.write(buf);
+    }
+
+    // A varint length, then the bytes.
+    bytes(buf) {
+        this.varint(len(buf));
+        this.write(buf);
     }
 
-    return [ None, None, None ];
+    buffer() {
+        return Buffer.concat(this.chunks);
+    }
 }
 
 /**
- * Accept a block and return the chain index we append it to.
+ * Reads back what a Writer wrote, throwing a DecodeError on anything it
+ * couldn't have.
  */
+class Reader {
+    constructor(buf) {
+        this.buf = buf;
+        this.pos = 0;
+        this.depth = 0;
+    }
 
-function connect_block(block, doing_reorg = false) {
-    // Only exit early on already seen in active_chain when reorging.
-    let search_chain = doing_reorg ? active_chain : None;
-    let chain_idx;
-
-    if (locate_block(block.id, search_chain)[0]) {
-        logger.debug(`ignore block already seen: ${block.id}`);
-        return None;
+    fail(msg, reason) {
+        throw new DecodeError(msg, reason);
     }
 
-    try {
-        [ block, chain_idx ] = validate_block(block);
-    } catch (e) {
-        logger.warn('block %s failed validation', block.id);
-        if (e.to_orphan) {
-            logger.info(`saw orphan block ${block.id}`);
-            orphan_blocks.push(e.to_orphan);
+    read(size) {
+        if (size > this.remaining) {
+            this.fail('unexpected end of data', 'truncated');
         }
-        return None;
+
+        this.pos += size;
+        return this.buf.slice(this.pos - size, this.pos);
     }
 
-    // If `validate_block()` returned a non-existent chain index, we're
-    // creating a new side branch.
-    if (chain_idx !== ACTIVE_CHAIN_IDX && len(side_branches) < chain_idx) {
-        logger.info(`creating a new side branch (idx ${chain_idx}) for block ${block.id}`);
-        side_branches.push([]);
+    u8() {
+        return this.read(1)[0];
     }
 
-    logger.info(`connecting block ${block.id} to chain ${chain_idx}`);
-    let chain = chain_idx === ACTIVE_CHAIN_IDX ? active_chain : side_branches[ chain_idx - 1 ];
-    chain.push(block);
+    u32() {
+        return this.read(4).readUInt32LE(0);
+    }
 
-    // If we added to the active chain, perform upkeep on utxo_set and mempool.
-    if (chain_idx === ACTIVE_CHAIN_IDX) {
-        for (let tx of block.txns) {
-            mempool.pop(tx.id, None);
+    // realname ReadCompactSize
+    varint() {
+        let marker = this.u8();
+        let n, min;
 
-            if (!tx.is_coinbase) {
-                for (let txin of tx.txins) {
-                    let { txid, txout_idx } = txin.to_spend;
-                    rm_from_utxo(txid, txout_idx);
-                }
-            }
+        if (marker < 0xfd) {
+            return marker;
+        }
+        else if (marker === 0xfd) {
+            [ n, min ] = [ this.read(2).readUInt16LE(0), 0xfd ];
+        }
+        else if (marker === 0xfe) {
+            [ n, min ] = [ this.read(4).readUInt32LE(0), 0x10000 ];
+        }
+        else {
+            let buf = this.read(8);
+            [ n, min ] = [ buf.readUInt32LE(4) * 2 ** 32 + buf.readUInt32LE(0), 2 ** 32 ];
+        }
 
-            for (let [ i, txout ] of tx.txouts.entries()) {
-                add_to_utxo(txout, tx, i, tx.is_coinbase, len(chain));
-            }
+        if (n < min) {
+            this.fail('non-canonical varint', 'non-canonical');
+        }
+
+        if (!Number.isSafeInteger(n)) {
+            this.fail('varint too large', 'out-of-range');
         }
+
+        return n;
     }
 
-    if (!doing_reorg && reorg_if_necessary() || chain_idx === ACTIVE_CHAIN_IDX) {
-        mine_interrupt.set();
-        logger.info(`block accepted height=${len(active_chain) - 1} txns=${len(block.txns)}`);
+    bytes() {
+        return this.read(this.varint());
     }
 
-    for (let peer of peer_hostnames) {
-        send_to_peer(block, peer);
+    get remaining() {
+        return len(this.buf) - this.pos;
     }
 
-    return chain_idx;
+    get done() {
+        return this.remaining === 0;
+    }
 }
 
-function disconnect_block(block, chain = None) {
-    chain = chain || active_chain;
-    assert(block === chain[ chain.length - 1 ], 'Block being disconnected must be tip.');
+function hex_to_buffer(w, hex) {
+    if (typeof hex !== 'string' || !/^([0-9a-f]{2})*$/.test(hex)) {
+        w.fail(`${hex} isn't lowercase hex`, 'bad-type');
+    }
 
-    for (let tx of block.txns) {
-        mempool.set(tx.id, tx);
+    return Buffer.from(hex, 'hex');
+}
 
-        // Restore UTXO set to what it was before this block.
-        for (let txin of tx.txins) {
-            // Account for degenerate coinbase txins.
-            if (txin.to_spend) {
-                add_to_utxo([ ...find_txout_for_txin(txin, chain) ]);
-            }
-        }
+// How each kind of field is encoded and decoded. `w` is a Writer and `r` a
+// Reader, and checks shared by both take either as `io`.
 
-        for (let i = 0; i < len(tx.txouts); i++) {
-            rm_from_utxo(tx.id, i);
+const uint = {
+    encode: (w, n) => w.varint(n),
+    decode: r => r.varint()
+};
+
+// An integer no greater than `max`.
+function uint_up_to(max) {
+    function check(io, n) {
+        if (n > max) {
+            io.fail(`${n} is more than ${max}`, 'out-of-range');
         }
+
+        return n;
     }
 
-    logger.info(`block ${block.id} disconnected`);
-    return chain.pop()
+    return {
+        encode: (w, n) => w.varint(check(w, n)),
+        decode: r => check(r, r.varint())
+    };
 }
 
-function find_txout_for_txin(txin, chain) {
-    let { txid, txout_idx } = txin.to_spend;
+const uint32 = uint_up_to(0xffffffff);
+
+// Also 32 bits, but always 4 bytes wide, so it sits at a fixed offset.
+const fixed_uint32 = {
+    encode: (w, n) => w.u32(n),
+    decode: r => r.u32()
+};
 
-    for (let [ tx, block, height ] of txn_iterator(chain)) {
-        if (tx.id === txid) {
-            let txout = tx.txouts[txout_idx];
-            return [ txout, tx, txout_idx, tx.is_coinbase, height ];
+const bool = {
+    encode: (w, b) => {
+        if (typeof b !== 'boolean') {
+            w.fail(`${b} isn't a bool`, 'bad-type');
         }
-    }
-}
 
-function reorg_if_necessary() {
-    let reorged = false;
-    // May change during this call.
-    let frozen_side_branches = side_branches.concat([]);
+        w.u8(b ? 1 : 0);
+    },
+    decode: r => {
+        let b = r.u8();
 
-    // TODO should probably be using `chainwork` for the basis of
-    // comparison here.
-    for (let [ branch_idx, chain ] of frozen_side_branches.entries()) {
-        let [ fork_block, fork_idx, _ ] = locate_block(chain[0].prev_block_hash, active_chain);
-        let active_height = len(active_chain);
-        let branch_height = len(chain) + fork_idx;
+        if (b > 1) {
+            r.fail(`${b} isn't a bool`, 'bad-type');
+        }
 
-        if (branch_height > active_height) {
-            logger.info(`attempting reorg of idx ${branch_idx} to active_chain - new height of ${branch_height} (vs. ${active_height})`);
-            reorged |= try_reorg(chain, branch_idx + 1, fork_idx);
+        return b === 1;
+    }
+};
+
+// A string of at most `max` UTF-8 bytes.
+function str_up_to(max) {
+    function check(io, buf) {
+        if (len(buf) > max) {
+            io.fail(`a string of ${len(buf)} bytes is longer than ${max}`, 'oversized');
         }
+
+        return buf;
     }
 
-    return reorged;
+    return {
+        encode: (w, s) => {
+            if (typeof s !== 'string') {
+                w.fail(`${s} isn't a string`, 'bad-type');
+            }
+
+            w.bytes(check(w, Buffer.from(s, 'utf8')));
+        },
+        decode: r => {
+            let buf = check(r, r.bytes());
+            let s = buf.toString('utf8');
+
+            // Invalid UTF-8 decodes to replacement characters, which would
+            // encode differently.
+            if (!Buffer.from(s, 'utf8').equals(buf)) {
+                r.fail('string isn\'t valid UTF-8', 'non-canonical');
+            }
+
+            return s;
+        }
+    };
 }
 
-function try_reorg(branch, branch_idx, fork_idx) {
-    /**
-     * Node NOT need
-     *
-     * // Use the global keyword so that we can actually swap out the reference
-     * // in case of a reorg.
-     * global active_chain
-     * global side_branches
-     */
+const str = str_up_to(Infinity);
 
-    let fork_block = active_chain[fork_idx];
+// Hex data of any length, such as a script.
+const hex = {
+    encode: (w, h) => w.bytes(hex_to_buffer(w, h)),
+    decode: r => r.bytes().toString('hex')
+};
 
-    function* disconnect_to_fork() {
-        let last = len(active_chain) - 1;
-        while (active_chain[last].id !== fork_block.id) {
-            yield disconnect_block(active_chain[last]);
-            last = len(active_chain) - 1;
+// A txid or block id.
+const hash = {
+    encode: (w, h) => {
+        let buf = hex_to_buffer(w, h);
+
+        if (len(buf) !== 32) {
+            w.fail(`${h} isn't a 32 byte hash`, 'bad-type');
         }
-    }
 
-    let old_active = [ ...disconnect_to_fork() ].reverse();
+        w.write(buf);
+    },
+    decode: r => r.read(32).toString('hex')
+};
 
-    assert(branch[0].prev_block_hash === active_chain[len(active_chain) - 1].id);
+// The genesis block's parent is 'None', which goes as zeros.
+const prev_block_hash = {
+    encode: (w, h) => hash.encode(w, h === 'None' ? '0'.repeat(64) : h),
+    decode: r => {
+        let h = hash.decode(r);
+        return h === '0'.repeat(64) ? 'None' : h;
+    }
+};
 
-    function rollback_reorg() {
-        logger.info(`reorg of idx ${branch_idx} to active_chain failed`);
+// A value of any type at all, tagged with it.
+const any_value = {
+    encode: (w, v) => encode_value(w, v),
+    decode: r => decode_value(r)
+};
 
-        // Force the generator to eval.
-        [ ...disconnect_to_fork() ];
+function optional(type) {
+    return {
+        encode: (w, v) => {
+            w.u8(v === None ? 0 : 1);
 
-        for (let block of old_active) {
-            assert(connect_block(block, true) === ACTIVE_CHAIN_IDX);
+            if (v !== None) {
+                type.encode(w, v);
+            }
+        },
+        decode: r => bool.decode(r) ? type.decode(r) : None
+    };
+}
+
+/**
+ * Reads the number of items in a list or object, which can't be more than
+ * `max` or, as every item takes at least a byte, than there are bytes left.
+ */
+function read_count(r, max = Infinity) {
+    let n = r.varint();
+
+    if (n > max) {
+        r.fail(`${n} items is more than ${max}`, 'oversized');
+    }
+
+    if (n > r.remaining) {
+        r.fail(`${n} items can't fit in ${r.remaining} bytes`, 'truncated');
+    }
+
+    return n;
+}
+
+// A list of at most `max` items of `type`.
+function list_of(type, max = Infinity) {
+    return {
+        encode: (w, items) => {
+            if (!Array.isArray(items)) {
+                w.fail(`${items} isn't a list`, 'bad-type');
+            }
+
+            if (len(items) > max) {
+                w.fail(`${len(items)} items is more than ${max}`, 'oversized');
+            }
+
+            w.varint(len(items));
+            items.forEach(item => type.encode(w, item));
+        },
+        decode: r => {
+            let items = [];
+
+            for (let n = read_count(r, max); n > 0; n--) {
+                items.push(type.decode(r));
+            }
+
+            return items;
+        }
+    };
+}
+
+// An instance of the class called `name`, laid out as `SCHEMAS` says.
+function instance_of(name) {
+    return {
+        encode: (w, obj) => {
+            if (!obj || obj.constructor.name !== name) {
+                w.fail(`expected a ${name}`, 'bad-type');
+            }
+
+            let { encode, fields } = SCHEMAS.get(name);
+
+            if (encode) {
+                return encode(w, obj);
+            }
+
+            for (let [ name, type ] of fields) {
+                type.encode(w, obj.get(name));
+            }
+        },
+        decode: r => {
+            let { decode, fields } = SCHEMAS.get(name);
+
+            if (decode) {
+                return decode(r);
+            }
+
+            let args = {};
+
+            for (let [ name, type ] of fields) {
+                args[name] = type.decode(r);
+            }
+
+            return new (CLASSES_MAP.get(name))(args);
+        }
+    };
+}
+
+// A block header is 80 bytes, with every field at a fixed offset, so no two
+// headers hash the same bytes and a miner need only rewrite the nonce.
+const HEADER_FIELDS = [
+    [ 'version', fixed_uint32 ],
+    [ 'prev_block_hash', prev_block_hash ],
+    [ 'merkle_hash', hash ],
+    [ 'timestamp', fixed_uint32 ],
+    [ 'bits', fixed_uint32 ],
+    [ 'nonce', fixed_uint32 ]
+];
+
+// Where the nonce sits in a serialized header.
+const HEADER_NONCE_OFFSET = 76;
+
+// The tag and fields of each class we serialize, by class name. Tags are
+// never reused, so old data can't be read as something else.
+const SCHEMAS = new Map([
+    [ 'OutPoint', { tag: 0x10, fields: [
+        [ 'txid', hash ],
+        [ 'txout_idx', uint32 ]
+    ] } ],
+    [ 'TxIn', { tag: 0x11, fields: [
+        [ 'to_spend', optional(instance_of('OutPoint')) ],
+        [ 'unlock_script', hex ],
+        [ 'sequence', uint32 ]
+    ] } ],
+    [ 'TxOut', { tag: 0x12, fields: [
+        [ 'value', uint_up_to(Params.MAX_MONEY) ],
+        [ 'script_pubkey', hex ]
+    ] } ],
+    [ 'Transaction', { tag: 0x13, fields: [
+        [ 'txins', list_of(instance_of('TxIn')) ],
+        [ 'txouts', list_of(instance_of('TxOut')) ],
+        [ 'locktime', optional(uint32) ]
+    ] } ],
+    [ 'Block', { tag: 0x14, fields: HEADER_FIELDS.concat([
+        [ 'txns', list_of(instance_of('Transaction')) ]
+    ]) } ],
+    [ 'UnspentTxOut', { tag: 0x15, fields: [
+        [ 'value', uint_up_to(Params.MAX_MONEY) ],
+        [ 'script_pubkey', hex ],
+        [ 'txid', hash ],
+        [ 'txout_idx', uint32 ],
+        [ 'is_coinbase', bool ],
+        [ 'height', uint32 ]
+    ] } ],
+    // Keyed by outpoint, which each UTXO already has.
+    [ 'UTXOs', {
+        tag: 0x16,
+        encode: (w, utxos) => list_of(instance_of('UnspentTxOut')).encode(w, Array.from(utxos.values())),
+        decode: r => {
+            let utxos = new UTXOs();
+
+            for (let utxo of list_of(instance_of('UnspentTxOut')).decode(r)) {
+                utxos.set(utxo.outpoint, utxo);
+            }
+
+            return utxos;
+        }
+    } ],
+    [ 'BlockHeader', { tag: 0x17, fields: HEADER_FIELDS } ],
+    [ 'MerkleProof', { tag: 0x18, fields: [
+        [ 'txid', hash ],
+        [ 'header', instance_of('BlockHeader') ],
+        [ 'index', uint32 ],
+        // A tree of 2 ** 32 txns is only 32 deep.
+        [ 'branch', list_of(hash, 32) ]
+    ] } ],
+
+    [ 'GetHeadersMsg', { tag: 0x20, fields: [ [ 'locator', list_of(hash, MAX_INV_SIZE) ] ] } ],
+    [ 'HeadersMsg', { tag: 0x21, fields: [ [ 'headers', list_of(instance_of('BlockHeader'), MAX_INV_SIZE) ] ] } ],
+    [ 'GetDataMsg', { tag: 0x22, fields: [ [ 'block_ids', list_of(hash, MAX_INV_SIZE) ] ] } ],
+    [ 'InvMsg', { tag: 0x23, fields: [ [ 'blocks', list_of(instance_of('Block'), MAX_INV_SIZE) ] ] } ],
+    [ 'GetUTXOsMsg', { tag: 0x24, fields: [] } ],
+    [ 'GetMempoolMsg', { tag: 0x25, fields: [] } ],
+    [ 'GetMempoolTxnMsg', { tag: 0x26, fields: [ [ 'txid', hash ] ] } ],
+    [ 'GetMempoolInfoMsg', { tag: 0x27, fields: [] } ],
+    [ 'GetActiveChainMsg', { tag: 0x28, fields: [] } ],
+    [ 'RejectMsg', { tag: 0x29, fields: [
+        [ 'txid', hash ],
+        [ 'reason', str_up_to(MAX_MESSAGE_STRING_SIZE) ],
+        [ 'msg', str_up_to(MAX_MESSAGE_STRING_SIZE) ]
+    ] } ],
+    [ 'AddPeerMsg', { tag: 0x2a, fields: [ [ 'peer_hostname', str_up_to(MAX_MESSAGE_STRING_SIZE) ] ] } ],
+    [ 'GetMerkleProofMsg', { tag: 0x2b, fields: [ [ 'txid', hash ] ] } ]
+]);
+
+/**
+ * The name of the class `tag` stands for, or None.
+ */
+function get_tagged_class(tag) {
+    for (let [ name, schema ] of SCHEMAS) {
+        if (schema.tag === tag) {
+            return name;
         }
     }
 
-    for (let block of branch) {
-        let connected_idx = connect_block(block, true);
-        if (connected_idx !== ACTIVE_CHAIN_IDX) {
-            rollback_reorg();
+    return None;
+}
+
+function encode_value(w, value) {
+    if (value === None || value === undefined) {
+        w.u8(TAG_NONE);
+    }
+    else if (typeof value === 'boolean') {
+        w.u8(value ? TAG_TRUE : TAG_FALSE);
+    }
+    else if (typeof value === 'number') {
+        if (Number.isSafeInteger(value)) {
+            w.u8(value < 0 ? TAG_NEGATIVE_INT : TAG_UINT);
+            w.varint(Math.abs(value));
+        }
+        else {
+            let buf = Buffer.alloc(8);
+            buf.writeDoubleLE(value, 0);
+            w.u8(TAG_DOUBLE);
+            w.write(buf);
+        }
+    }
+    else if (typeof value === 'string') {
+        w.u8(TAG_STRING);
+        str.encode(w, value);
+    }
+    else if (Array.isArray(value)) {
+        w.u8(TAG_ARRAY);
+        list_of(any_value).encode(w, value);
+    }
+    else if (SCHEMAS.has(value.constructor.name)) {
+        w.u8(SCHEMAS.get(value.constructor.name).tag);
+        instance_of(value.constructor.name).encode(w, value);
+    }
+    else if (value.constructor === Object) {
+        // Keys in order, so the encoding doesn't depend on how the object
+        // was built.
+        let keys = Object.keys(value).sort();
+
+        w.u8(TAG_OBJECT);
+        w.varint(len(keys));
+
+        for (let key of keys) {
+            str.encode(w, key);
+            encode_value(w, value[key]);
+        }
+    }
+    else {
+        w.fail(`can't serialize a ${value.constructor.name}`, 'bad-type');
+    }
+}
+
+function decode_value(r) {
+    if (++r.depth > MAX_DECODE_DEPTH) {
+        r.fail(`value nested more than ${MAX_DECODE_DEPTH} deep`, 'too-deep');
+    }
+
+    let value = decode_tagged_value(r);
+
+    r.depth--;
+    return value;
+}
+
+function decode_tagged_value(r) {
+    let tag = r.u8();
+
+    switch (tag) {
+        case TAG_NONE:
+            return None;
+        case TAG_FALSE:
             return false;
+        case TAG_TRUE:
+            return true;
+        case TAG_UINT:
+            return r.varint();
+        case TAG_NEGATIVE_INT: {
+            let n = r.varint();
+
+            if (n === 0) {
+                r.fail('negative zero', 'non-canonical');
+            }
+
+            return -n;
+        }
+        case TAG_DOUBLE: {
+            let buf = r.read(8);
+            let n = buf.readDoubleLE(0);
+
+            // Integers go as varints, and a NaN has many encodings.
+            if (Number.isSafeInteger(n) || !encode(n).slice(1).equals(buf)) {
+                r.fail(`${n} isn't encoded as it would be`, 'non-canonical');
+            }
+
+            return n;
+        }
+        case TAG_STRING:
+            return str.decode(r);
+        case TAG_ARRAY:
+            return list_of(any_value).decode(r);
+        case TAG_OBJECT: {
+            let obj = {};
+            let last_key = None;
+
+            for (let n = read_count(r); n > 0; n--) {
+                let key = str.decode(r);
+
+                // Keys are sorted, so this also turns away duplicates.
+                if (last_key !== None && key <= last_key) {
+                    r.fail(`key ${key} is out of order`, 'non-canonical');
+                }
+
+                if (key === '__proto__') {
+                    r.fail('key __proto__ isn\'t allowed', 'unexpected-field');
+                }
+
+                obj[key] = decode_value(r);
+                last_key = key;
+            }
+
+            return obj;
+        }
+    }
+
+    let name = get_tagged_class(tag);
+
+    if (!name) {
+        r.fail(`unknown tag ${tag}`, 'unknown-type');
+    }
+
+    return instance_of(name).decode(r);
+}
+
+/**
+ * The encoding of `value`, without the format version. Ids are hashes of
+ * this.
+ */
+function encode(value) {
+    let w = new Writer();
+    encode_value(w, value);
+    return w.buffer();
+}
+
+/**
+ * `value` as it's stored and sent to peers.
+ */
+function serialize(value) {
+    return Buffer.concat([ Buffer.from([ SERIALIZATION_VERSION ]), encode(value) ]);
+}
+
+/**
+ * The value `serialize` made `buf` from, throwing a DecodeError if it
+ * couldn't have.
+ */
+function deserialize(buf) {
+    let r = new Reader(buf);
+    let version = r.u8();
+
+    if (version !== SERIALIZATION_VERSION) {
+        r.fail(`unknown serialization version ${version}`, 'bad-version');
+    }
+
+    let value = decode_value(r);
+
+    if (!r.done) {
+        r.fail('trailing data after value', 'trailing-data');
+    }
+
+    return value;
+}
+
+
+// Script
+// ----------------------------------------------------------------------------
+
+// Locking (`TxOut.script_pubkey`) and unlocking (`TxIn.unlock_script`) scripts
+// are hex-encoded programs for a small stack machine, a subset of Bitcoin's
+// script with the same opcode values. There are no loops, so every script
+// terminates.
+
+// Push an empty byte array (which is also the number zero and false).
+const OP_0 = 0x00;
+// Opcodes 0x01-0x4b push that many of the following bytes.
+const OP_PUSHDATA1 = 0x4c;
+const OP_PUSHDATA2 = 0x4d;
+const OP_1NEGATE = 0x4f;
+// OP_1 to OP_16 push the numbers 1 to 16.
+const OP_1 = 0x51;
+const OP_16 = 0x60;
+
+const OP_NOP = 0x61;
+const OP_IF = 0x63;
+const OP_NOTIF = 0x64;
+const OP_ELSE = 0x67;
+const OP_ENDIF = 0x68;
+const OP_VERIFY = 0x69;
+const OP_RETURN = 0x6a;
+
+const OP_DROP = 0x75;
+const OP_DUP = 0x76;
+const OP_SWAP = 0x7c;
+const OP_SIZE = 0x82;
+const OP_EQUAL = 0x87;
+const OP_EQUALVERIFY = 0x88;
+
+const OP_SHA256 = 0xa8;
+const OP_HASH160 = 0xa9;
+const OP_HASH256 = 0xaa;
+const OP_CHECKSIG = 0xac;
+const OP_CHECKSIGVERIFY = 0xad;
+const OP_CHECKMULTISIG = 0xae;
+const OP_CHECKMULTISIGVERIFY = 0xaf;
+
+// Fail unless the spending txn's locktime is at least the number on top of
+// the stack (see BIP65).
+const OP_CHECKLOCKTIMEVERIFY = 0xb1;
+
+const OPCODES = {
+    OP_0, OP_PUSHDATA1, OP_PUSHDATA2, OP_1NEGATE, OP_1, OP_16,
+    OP_NOP, OP_IF, OP_NOTIF, OP_ELSE, OP_ENDIF, OP_VERIFY, OP_RETURN,
+    OP_DROP, OP_DUP, OP_SWAP, OP_SIZE, OP_EQUAL, OP_EQUALVERIFY,
+    OP_SHA256, OP_HASH160, OP_HASH256, OP_CHECKSIG, OP_CHECKSIGVERIFY,
+    OP_CHECKMULTISIG, OP_CHECKMULTISIGVERIFY, OP_CHECKLOCKTIMEVERIFY
+};
+
+// The longest script we'll run, in bytes.
+const MAX_SCRIPT_SIZE = 10000;
+
+// The largest data push a script may make.
+//
+// realname MAX_SCRIPT_ELEMENT_SIZE
+const MAX_SCRIPT_ELEMENT_SIZE = 520;
+
+// The most non-push opcodes a single script may contain.
+const MAX_OPS_PER_SCRIPT = 201;
+
+// The deepest the stack may get while running a script.
+const MAX_STACK_SIZE = 1000;
+
+// The most pubkeys an OP_CHECKMULTISIG may check against. Each counts
+// towards MAX_OPS_PER_SCRIPT.
+const MAX_PUBKEYS_PER_MULTISIG = 20;
+
+// The most pubkeys in a multisig output we'll relay. Our pubkeys are pushed
+// as hex, so three is also about all that fits in a pay-to-script-hash
+// redeem script.
+const MAX_STANDARD_MULTISIG_PUBKEYS = 3;
+
+// The largest unlocking script we'll relay; enough for a sizable multisig.
+const MAX_STANDARD_UNLOCK_SCRIPT_SIZE = 1650;
+
+// The most bytes a data-carrier output we'll relay may carry.
+//
+// realname MAX_OP_RETURN_RELAY
+const MAX_NULL_DATA_SIZE = 80;
+
+const SCRIPT_TRUE = Buffer.from([ 1 ]);
+const SCRIPT_FALSE = Buffer.alloc(0);
+
+/**
+ * Assemble a script from opcodes (numbers) and data to push (Buffers), using
+ * the smallest push for each piece of data. Returns the script as hex.
+ */
+function compile_script(items) {
+    let chunks = items.map(item => {
+        if (!(item instanceof Buffer)) {
+            return Buffer.from([ item ]);
+        }
+
+        let size = len(item);
+
+        if (size === 0) {
+            return Buffer.from([ OP_0 ]);
+        }
+        else if (size < OP_PUSHDATA1) {
+            return Buffer.concat([ Buffer.from([ size ]), item ]);
+        }
+        else if (size <= 0xff) {
+            return Buffer.concat([ Buffer.from([ OP_PUSHDATA1, size ]), item ]);
+        }
+
+        let prefix = Buffer.from([ OP_PUSHDATA2, 0, 0 ]);
+        prefix.writeUInt16LE(size, 1);
+        return Buffer.concat([ prefix, item ]);
+    });
+
+    return Buffer.concat(chunks).toString('hex');
+}
+
+/**
+ * Split a hex script into its operations: `{ opcode, data }`, where `data` is
+ * the Buffer pushed by a push opcode and None otherwise. Throws a
+ * TxUnlockError if a push runs past the end of the script.
+ */
+function parse_script(script) {
+    let raw = Buffer.from(script || '', 'hex');
+    let ops = [];
+    let pos = 0;
+
+    while (pos < len(raw)) {
+        let opcode = raw[pos++];
+        let size = None;
+
+        if (opcode > OP_0 && opcode < OP_PUSHDATA1) {
+            size = opcode;
+        }
+        else if (opcode === OP_PUSHDATA1 && pos + 1 <= len(raw)) {
+            size = raw.readUInt8(pos);
+            pos += 1;
+        }
+        else if (opcode === OP_PUSHDATA2 && pos + 2 <= len(raw)) {
+            size = raw.readUInt16LE(pos);
+            pos += 2;
+        }
+        else if (opcode === OP_PUSHDATA1 || opcode === OP_PUSHDATA2) {
+            throw new TxUnlockError('script truncated');
+        }
+
+        if (size === None) {
+            ops.push({ opcode, data: opcode === OP_0 ? SCRIPT_FALSE : None });
+            continue;
+        }
+
+        if (pos + size > len(raw)) {
+            throw new TxUnlockError('script truncated');
+        }
+
+        ops.push({ opcode, data: raw.slice(pos, pos + size) });
+        pos += size;
+    }
+
+    return ops;
+}
+
+/**
+ * The data pushed by a script made only of pushes, or None for any other
+ * (or malformed) script.
+ */
+function get_script_pushes(script) {
+    let ops;
+
+    try {
+        ops = parse_script(script);
+    } catch (e) {
+        return None;
+    }
+
+    if (ops.some(op => op.data === None)) {
+        return None;
+    }
+
+    return ops.map(op => op.data);
+}
+
+/**
+ * Encode an integer the way script arithmetic expects: little-endian
+ * sign-and-magnitude, in as few bytes as possible.
+ *
+ * realname CScriptNum::serialize
+ */
+function encode_script_num(n) {
+    let negative = n < 0;
+    let abs = Math.abs(n);
+    let result = [];
+
+    while (abs > 0) {
+        result.push(abs & 0xff);
+        abs = Math.floor(abs / 256);
+    }
+
+    // The top bit of the last byte is the sign, so make room for it if need be.
+    if (len(result) && (result[len(result) - 1] & 0x80)) {
+        result.push(negative ? 0x80 : 0);
+    }
+    else if (negative) {
+        result[len(result) - 1] |= 0x80;
+    }
+
+    return Buffer.from(result);
+}
+
+/**
+ * The inverse of `encode_script_num`. Throws a TxUnlockError for numbers
+ * longer than `max_size` bytes or not minimally encoded.
+ *
+ * realname CScriptNum
+ */
+function decode_script_num(data, max_size = 4) {
+    if (len(data) > max_size) {
+        throw new TxUnlockError('script number overflow');
+    }
+
+    if (len(data) && (data[len(data) - 1] & 0x7f) === 0
+        && (len(data) === 1 || !(data[len(data) - 2] & 0x80))) {
+
+        throw new TxUnlockError('script number not minimally encoded');
+    }
+
+    let n = 0;
+
+    for (let i = len(data) - 1; i >= 0; i--) {
+        n = n * 256 + (i === len(data) - 1 ? data[i] & 0x7f : data[i]);
+    }
+
+    return len(data) && (data[len(data) - 1] & 0x80) ? -n : n;
+}
+
+/**
+ * Is `script` made only of pushes (including the small number opcodes)?
+ *
+ * realname CScript::IsPushOnly
+ */
+function is_push_only(script) {
+    try {
+        return parse_script(script).every(op => op.opcode <= OP_16);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Anything but an empty array, zeroes or negative zero is true.
+ *
+ * realname CastToBool
+ */
+function cast_to_bool(data) {
+    for (let i = 0; i < len(data); i++) {
+        if (data[i] !== 0) {
+            // Negative zero.
+            return !(i === len(data) - 1 && data[i] === 0x80);
+        }
+    }
+
+    return false;
+}
+
+function hash160(data) {
+    return new RIPEMD160().update(sha256(data)).digest();
+}
+
+/**
+ * Run `script` against `stack`, which it modifies in place. Anything that
+ * depends on the spending txn is handed to `checker`:
+ *
+ *  - `checker.check_sig(sig, pk)` gets the signature as hex and the pubkey as
+ *    we usually carry it around, and returns whether it matches.
+ *  - `checker.check_locktime(locktime)` returns whether the txn is locked
+ *    until at least `locktime`.
+ *
+ * Throws a TxUnlockError if the script fails.
+ *
+ * realname EvalScript
+ */
+function eval_script(script, stack, checker) {
+    if (len(script || '') / 2 > MAX_SCRIPT_SIZE) {
+        throw new TxUnlockError('script too large');
+    }
+
+    // Whether each enclosing IF branch is being executed.
+    let exec_stack = [];
+    let op_count = 0;
+
+    function pop() {
+        if (!len(stack)) {
+            throw new TxUnlockError('script stack underflow');
+        }
+
+        return stack.pop();
+    }
+
+    function top() {
+        if (!len(stack)) {
+            throw new TxUnlockError('script stack underflow');
+        }
+
+        return stack[len(stack) - 1];
+    }
+
+    function verify() {
+        if (!cast_to_bool(pop())) {
+            throw new TxUnlockError('script verify failed');
         }
     }
 
-    // Fix up side branches: remove new active, add old active.
-    side_branches.splice(branch_idx - 1, 1);
-    side_branches.push(old_active);
+    for (let { opcode, data } of parse_script(script)) {
+        let executing = exec_stack.every(x => x);
+
+        if (data !== None) {
+            if (len(data) > MAX_SCRIPT_ELEMENT_SIZE) {
+                throw new TxUnlockError('script push too large');
+            }
+
+            if (executing) {
+                stack.push(data);
+            }
+        }
+        else if (opcode > OP_16 && ++op_count > MAX_OPS_PER_SCRIPT) {
+            throw new TxUnlockError('script has too many operations');
+        }
+
+        if (data !== None || (!executing && (opcode < OP_IF || opcode > OP_ENDIF))) {
+            continue;
+        }
+
+        switch (opcode) {
+            case OP_1NEGATE:
+                stack.push(encode_script_num(-1));
+                break;
+
+            case OP_NOP:
+                break;
+
+            case OP_IF:
+            case OP_NOTIF: {
+                let branch = false;
+
+                if (executing) {
+                    branch = cast_to_bool(pop());
+                    branch = opcode === OP_IF ? branch : !branch;
+                }
+
+                exec_stack.push(branch);
+                break;
+            }
+
+            case OP_ELSE:
+                if (!len(exec_stack)) {
+                    throw new TxUnlockError('unbalanced script conditional');
+                }
+
+                exec_stack.push(!exec_stack.pop());
+                break;
+
+            case OP_ENDIF:
+                if (!len(exec_stack)) {
+                    throw new TxUnlockError('unbalanced script conditional');
+                }
+
+                exec_stack.pop();
+                break;
+
+            case OP_VERIFY:
+                verify();
+                break;
+
+            case OP_RETURN:
+                throw new TxUnlockError('script hit OP_RETURN');
+
+            case OP_DROP:
+                pop();
+                break;
+
+            case OP_DUP:
+                stack.push(top());
+                break;
+
+            case OP_SWAP: {
+                let a = pop();
+                let b = pop();
+                stack.push(a, b);
+                break;
+            }
+
+            case OP_SIZE:
+                stack.push(encode_script_num(len(top())));
+                break;
+
+            case OP_EQUAL:
+            case OP_EQUALVERIFY:
+                stack.push(pop().equals(pop()) ? SCRIPT_TRUE : SCRIPT_FALSE);
+
+                if (opcode === OP_EQUALVERIFY) {
+                    verify();
+                }
+                break;
+
+            case OP_SHA256:
+                stack.push(sha256(pop()));
+                break;
+
+            case OP_HASH160:
+                stack.push(hash160(pop()));
+                break;
+
+            case OP_HASH256:
+                stack.push(sha256(sha256(pop())));
+                break;
+
+            case OP_CHECKSIG:
+            case OP_CHECKSIGVERIFY: {
+                let pk = pop();
+                let sig = pop();
+                let valid = checker.check_sig(sig.toString('hex'), pk.toString('binary'));
+                stack.push(valid ? SCRIPT_TRUE : SCRIPT_FALSE);
+
+                if (opcode === OP_CHECKSIGVERIFY) {
+                    verify();
+                }
+                break;
+            }
+
+            case OP_CHECKMULTISIG:
+            case OP_CHECKMULTISIGVERIFY: {
+                let n = decode_script_num(pop());
+
+                if (n < 0 || n > MAX_PUBKEYS_PER_MULTISIG) {
+                    throw new TxUnlockError('bad multisig pubkey count');
+                }
+
+                op_count += n;
+
+                if (op_count > MAX_OPS_PER_SCRIPT) {
+                    throw new TxUnlockError('script has too many operations');
+                }
+
+                let pubkeys = [];
+                for (let i = 0; i < n; i++) {
+                    pubkeys.unshift(pop());
+                }
+
+                let m = decode_script_num(pop());
+
+                if (m < 0 || m > n) {
+                    throw new TxUnlockError('bad multisig signature count');
+                }
+
+                let sigs = [];
+                for (let i = 0; i < m; i++) {
+                    sigs.unshift(pop());
+                }
+
+                // Bitcoin's CHECKMULTISIG pops one element too many; we keep
+                // the quirk, but insist the extra element is empty.
+                if (len(pop())) {
+                    throw new TxUnlockError('multisig dummy element not empty');
+                }
+
+                // Signatures must appear in the same order as their pubkeys.
+                let matched = 0;
+
+                for (let pk of pubkeys) {
+                    if (matched < m && checker.check_sig(sigs[matched].toString('hex'), pk.toString('binary'))) {
+                        matched++;
+                    }
+                }
+
+                stack.push(matched === m ? SCRIPT_TRUE : SCRIPT_FALSE);
+
+                if (opcode === OP_CHECKMULTISIGVERIFY) {
+                    verify();
+                }
+                break;
+            }
+
+            case OP_CHECKLOCKTIMEVERIFY: {
+                // Locktimes past 2038 need a fifth byte.
+                let locktime = decode_script_num(top(), 5);
+
+                if (locktime < 0) {
+                    throw new TxUnlockError('negative locktime');
+                }
+
+                if (!checker.check_locktime(locktime)) {
+                    throw new TxUnlockError('locktime requirement not satisfied');
+                }
+                break;
+            }
+
+            default:
+                if (opcode >= OP_1 && opcode <= OP_16) {
+                    stack.push(encode_script_num(opcode - OP_1 + 1));
+                    break;
+                }
+
+                throw new TxUnlockError(`unknown opcode 0x${opcode.toString(16)}`);
+        }
+
+        if (len(stack) > MAX_STACK_SIZE) {
+            throw new TxUnlockError('script stack too deep');
+        }
+    }
+
+    if (len(exec_stack)) {
+        throw new TxUnlockError('unbalanced script conditional');
+    }
+
+    return stack;
+}
+
+/**
+ * Throw a TxUnlockError unless `unlock_script` unlocks `lock_script`: running
+ * one after the other on the same stack must leave true on top.
+ *
+ * A pay-to-script-hash `lock_script` only checks that the last push of
+ * `unlock_script` is the redeem script it commits to; the redeem script is
+ * then run on the rest of the unlocking pushes, and must succeed too.
+ *
+ * realname VerifyScript
+ */
+function verify_script(unlock_script, lock_script, checker) {
+    function check_result(stack) {
+        if (!len(stack) || !cast_to_bool(stack[len(stack) - 1])) {
+            throw new TxUnlockError('script evaluated to false');
+        }
+    }
+
+    let stack = eval_script(unlock_script, [], checker);
+    let redeem_stack = stack.slice();
+
+    eval_script(lock_script, stack, checker);
+    check_result(stack);
+
+    if (solve_script(lock_script).type !== 'scripthash') {
+        return;
+    }
+
+    if (!is_push_only(unlock_script)) {
+        throw new TxUnlockError('pay-to-script-hash unlock script not push-only');
+    }
+
+    let redeem_script = redeem_stack.pop().toString('hex');
+    eval_script(redeem_script, redeem_stack, checker);
+    check_result(redeem_stack);
+}
+
+// Standard scripts
+// ----------------------------------------------------------------------------
+
+/**
+ * The standard script paying to a pubkey hash `address`: the spender must
+ * show the pubkey hashing to it and a signature by that pubkey.
+ */
+function p2pkh_script(address) {
+    let pubkey_hash = bs58check.decode(address).slice(1);
+
+    return compile_script([
+        OP_DUP, OP_HASH160, pubkey_hash, OP_EQUALVERIFY, OP_CHECKSIG ]);
+}
+
+/**
+ * Unlocks a `p2pkh_script`. `sig` is hex and either may be None.
+ */
+function p2pkh_unlock_script(sig, pk) {
+    let pushes = [];
+
+    if (sig !== None) {
+        pushes.push(Buffer.from(sig, 'hex'));
+    }
+
+    if (pk !== None) {
+        pushes.push(Buffer.from(pk, 'binary'));
+    }
+
+    return compile_script(pushes);
+}
+
+/**
+ * A script that needs signatures by `m` of `pubkeys`, in the order given.
+ */
+function multisig_script(m, pubkeys) {
+    return compile_script([].concat(
+        OP_1 + m - 1,
+        pubkeys.map(pk => Buffer.from(pk, 'binary')),
+        OP_1 + len(pubkeys) - 1,
+        OP_CHECKMULTISIG));
+}
+
+/**
+ * Unlocks a `multisig_script`, or a pay-to-script-hash output with it as the
+ * redeem script when `p2sh` is set. `sigs` maps pubkeys to their (hex)
+ * signatures; it needs at least m of them.
+ */
+function multisig_unlock_script(redeem_script, sigs, p2sh = true) {
+    let { type, solutions } = solve_script(redeem_script);
+
+    if (type !== 'multisig') {
+        throw new TxUnlockError('not a multisig script');
+    }
+
+    let m = solutions[0];
+    let pubkeys = solutions.slice(1, -1).map(pk => pk.toString('binary'));
+    let ordered = pubkeys.filter(pk => sigs[pk]).map(pk => Buffer.from(sigs[pk], 'hex'));
+
+    if (len(ordered) < m) {
+        throw new TxUnlockError(`need ${m} signatures, have ${len(ordered)}`);
+    }
+
+    let pushes = [ SCRIPT_FALSE ].concat(ordered.slice(0, m));
+
+    if (p2sh) {
+        pushes.push(Buffer.from(redeem_script, 'hex'));
+    }
+
+    return compile_script(pushes);
+}
+
+/**
+ * A provably unspendable script carrying `data` (a Buffer), e.g. to anchor a
+ * document's hash on chain.
+ */
+function null_data_script(data) {
+    return compile_script([ OP_RETURN, data ]);
+}
+
+/**
+ * Whether nothing could ever unlock `script`: it starts with OP_RETURN or is
+ * too long to run. Outputs paying to it aren't worth keeping as UTXOs.
+ *
+ * realname CScript::IsUnspendable
+ */
+function is_unspendable(script) {
+    return script.slice(0, 2) === OP_RETURN.toString(16) || len(script) / 2 > MAX_SCRIPT_SIZE;
+}
+
+/**
+ * A script paying to whoever can show a redeem script hashing to
+ * `redeem_script`'s hash, and unlock it.
+ */
+function p2sh_script(redeem_script) {
+    return compile_script([
+        OP_HASH160, hash160(Buffer.from(redeem_script, 'hex')), OP_EQUAL ]);
+}
+
+/**
+ * A hash-time-locked script: `recipient` can spend it by revealing the
+ * preimage of the sha256 `hash`, or else `sender` can once `locktime` (a
+ * height or time, as for `Transaction.locktime`) has passed. Both are
+ * pubkey hash addresses.
+ */
+function htlc_script({ hash, recipient, sender, locktime }) {
+    let pubkey_hash = address => bs58check.decode(address).slice(1);
+
+    return compile_script([
+        OP_IF,
+            OP_SHA256, Buffer.from(hash, 'hex'), OP_EQUALVERIFY,
+            OP_DUP, OP_HASH160, pubkey_hash(recipient),
+        OP_ELSE,
+            encode_script_num(locktime), OP_CHECKLOCKTIMEVERIFY, OP_DROP,
+            OP_DUP, OP_HASH160, pubkey_hash(sender),
+        OP_ENDIF,
+        OP_EQUALVERIFY, OP_CHECKSIG ]);
+}
+
+/**
+ * Unlocks an `htlc_script` (as the redeem script of a pay-to-script-hash
+ * output): claims it if `preimage` is given, else refunds it. `sig` and
+ * `preimage` are hex.
+ */
+function htlc_unlock_script(redeem_script, sig, pk, preimage = None) {
+    let pushes = [ Buffer.from(sig, 'hex'), Buffer.from(pk, 'binary') ];
+
+    if (preimage !== None) {
+        pushes.push(Buffer.from(preimage, 'hex'), OP_1);
+    }
+    else {
+        pushes.push(OP_0);
+    }
+
+    return compile_script(pushes.concat(Buffer.from(redeem_script, 'hex')));
+}
+
+/**
+ * Match `script` against the standard templates, returning the template's
+ * type along with the data it commits to (`{ type, solutions }`): a pubkey
+ * or script hash; for multisig m, the pubkeys, then n; for an htlc the hash,
+ * the recipient's pubkey hash, the locktime and the sender's pubkey hash.
+ *
+ * realname Solver
+ */
+function solve_script(script) {
+    let nonstandard = { type: 'nonstandard', solutions: [] };
+    let ops;
+
+    try {
+        ops = parse_script(script);
+    } catch (e) {
+        return nonstandard;
+    }
+
+    let opcodes = ops.map(op => op.opcode);
+    let is_hash = op => op.data !== None && len(op.data) === 20;
+    let small_int = opcode => opcode >= OP_1 && opcode <= OP_16 ? opcode - OP_1 + 1 : None;
+
+    if (len(ops) === 5
+        && opcodes[0] === OP_DUP && opcodes[1] === OP_HASH160 && is_hash(ops[2])
+        && opcodes[3] === OP_EQUALVERIFY && opcodes[4] === OP_CHECKSIG) {
+
+        return { type: 'pubkeyhash', solutions: [ ops[2].data ] };
+    }
+
+    if (len(ops) === 3
+        && opcodes[0] === OP_HASH160 && is_hash(ops[1]) && opcodes[2] === OP_EQUAL) {
+
+        return { type: 'scripthash', solutions: [ ops[1].data ] };
+    }
+
+    if (len(ops) >= 1 && opcodes[0] === OP_RETURN && ops.slice(1).every(op => op.data !== None)) {
+        return { type: 'nulldata', solutions: ops.slice(1).map(op => op.data) };
+    }
+
+    let htlc = [
+        OP_IF, OP_SHA256, None, OP_EQUALVERIFY, OP_DUP, OP_HASH160, None,
+        OP_ELSE, None, OP_CHECKLOCKTIMEVERIFY, OP_DROP, OP_DUP, OP_HASH160, None,
+        OP_ENDIF, OP_EQUALVERIFY, OP_CHECKSIG ];
+
+    if (len(ops) === len(htlc)
+        && htlc.every((opcode, i) => opcode === None ? ops[i].data !== None : opcodes[i] === opcode)
+        && len(ops[2].data) === 32 && is_hash(ops[6]) && is_hash(ops[13])) {
+
+        let locktime;
+
+        try {
+            locktime = decode_script_num(ops[8].data, 5);
+        } catch (e) {
+            return nonstandard;
+        }
+
+        return { type: 'htlc', solutions: [ ops[2].data, ops[6].data, locktime, ops[13].data ] };
+    }
+
+    if (len(ops) >= 4 && opcodes[len(ops) - 1] === OP_CHECKMULTISIG) {
+        let m = small_int(opcodes[0]);
+        let n = small_int(opcodes[len(ops) - 2]);
+        let pubkeys = ops.slice(1, -2);
+
+        if (m !== None && n !== None && m <= n && len(pubkeys) === n
+            && pubkeys.every(op => op.data !== None && len(op.data))) {
+
+            return { type: 'multisig', solutions: [ m ].concat(pubkeys.map(op => op.data), n) };
+        }
+    }
+
+    return nonstandard;
+}
+
+/**
+ * The address `script` pays to on `network`, or None if it doesn't pay to a
+ * pubkey hash or script hash.
+ *
+ * realname ExtractDestination
+ */
+function script_to_address(script, network = NETWORK) {
+    let { type, solutions } = solve_script(script);
+    let version;
+
+    if (type === 'pubkeyhash') {
+        version = network.address_version;
+    }
+    else if (type === 'scripthash') {
+        version = network.script_address_version;
+    }
+    else {
+        return None;
+    }
+
+    return bs58check.encode(Buffer.concat([ Buffer.from([ version ]), solutions[0] ]));
+}
+
+/**
+ * The standard script paying to `address`, which may be a pubkey hash or a
+ * script hash address of our network.
+ *
+ * realname GetScriptForDestination
+ */
+function address_to_script(address) {
+    let decoded = bs58check.decode(address);
+
+    if (decoded[0] === NETWORK.script_address_version) {
+        return compile_script([ OP_HASH160, decoded.slice(1), OP_EQUAL ]);
+    }
+
+    return p2pkh_script(address);
+}
+
+// Chain
+// ----------------------------------------------------------------------------
+
+function make_genesis_block({ merkle_hash, timestamp, bits, nonce, to_address }) {
+    return new Block({
+        'version': 0,
+        'prev_block_hash': 'None',
+        'merkle_hash': merkle_hash,
+        'timestamp': timestamp,
+        'bits': bits,
+        'nonce': nonce,
+        'txns': [ new Transaction({
+            'txins': [ new TxIn({
+                'to_spend': null,
+                'unlock_sig': bytes(0),
+                'unlock_pk': null,
+                'sequence': 0
+            }) ],
+            'txouts': [ new TxOut({
+                'value': 5000000000,
+                'to_address': to_address
+            }) ],
+            'locktime': null
+        }) ]
+    });
+}
+
+// The first block of each network in `NETWORKS`.
+const genesis_blocks = {
+    main: make_genesis_block({
+        'merkle_hash': 'cceea1f364c6d9de981348124b7c318180df66ac863441ca937823b7e5765617',
+        'timestamp': 1501821412,
+        'bits': 0x1e010000,
+        'nonce': 10552132,
+        'to_address': '143UVyz7ooiAv1pMqbwPPpnH4BV9ifJGFF'
+    }),
+
+    test: make_genesis_block({
+        'merkle_hash': 'cceea1f364c6d9de981348124b7c318180df66ac863441ca937823b7e5765617',
+        'timestamp': 1532000000,
+        'bits': 0x1e100000,
+        'nonce': 599841,
+        'to_address': 'miZRo356cq9Rh8HyZAumDjzbvB5rchtwfb'
+    }),
+
+    regtest: make_genesis_block({
+        'merkle_hash': 'cceea1f364c6d9de981348124b7c318180df66ac863441ca937823b7e5765617',
+        'timestamp': 1532000000,
+        'bits': 0x207fffff,
+        'nonce': 1,
+        'to_address': 'r9H4dEMGRpF4gtpvpnaGZ7zFqivEQY7KdZ'
+    })
+};
+
+const genesis_block = genesis_blocks[NETWORK.name];
+
+// The highest proof-of-work, valid blockchain.
+//
+// realname chainActive
+const active_chain = [ genesis_block ];
+
+// Branches off of the main chain.
+const side_branches = [];
+
+// Synchronize access to the active chain and side branches.
+const chain_lock = {}; /* TODO: threading.RLock() */
+
+// Used to signify the active chain in `locate_block`.
+const ACTIVE_CHAIN_IDX = 0;
+
+// Validation status of a block in the `block_index`.
+//
+// Only the header has been checked (proof-of-work and difficulty); we don't
+// have the block's txns yet. See `accept_header`.
+const BLOCK_VALID_HEADER = 'valid-header';
+// The block hangs off a side branch; its txns haven't been checked yet.
+const BLOCK_VALID_TREE = 'valid-tree';
+// The block has been fully validated against the active chain.
+const BLOCK_VALID = 'valid';
+// The block failed full validation.
+const BLOCK_FAILED = 'failed';
+
+/**
+ * Metadata we keep about a connected block.
+ *
+ * realname CBlockIndex
+ */
+class BlockIndexEntry extends Map {
+    constructor({
+        block = null,
+        height = 0,
+        chain_idx = ACTIVE_CHAIN_IDX,
+        chainwork = new BN(0),
+        status = BLOCK_VALID_TREE
+    }) {
+
+        super([
+            ['block', block],
+            // The height of the block, counting from the genesis block.
+            ['height', height],
+            // The chain the block currently sits in (see `locate_block`), or
+            // None while it's being moved between chains or we only have its
+            // header.
+            ['chain_idx', chain_idx],
+            // The total work of the chain up to and including this block.
+            //
+            // realname nChainWork
+            ['chainwork', chainwork],
+            ['status', status]
+        ]);
+    }
+
+    get block() {
+        return this.get('block');
+    }
+
+    get height() {
+        return this.get('height');
+    }
+
+    get chain_idx() {
+        return this.get('chain_idx');
+    }
+
+    get chainwork() {
+        return this.get('chainwork');
+    }
+
+    get status() {
+        return this.get('status');
+    }
+
+    get prev_block_hash() {
+        return this.block.prev_block_hash;
+    }
+}
+
+// Every block we've connected to some chain, keyed by block id.
+//
+// realname mapBlockIndex
+const block_index = new Map();
+
+// The block each txn in the active chain was mined in, keyed by txid.
+const txn_index = new Map();
+
+// The UTXOs spent by each block in the active chain, in the order they were
+// spent, keyed by block id. Lets `disconnect_block` restore them without
+// digging through the chain.
+//
+// realname CBlockUndo
+const block_undo = new Map();
+
+// The id of the block with the most work we have a valid header for, whether
+// or not we have the block itself yet.
+//
+// realname pindexBestHeader
+let best_header = None;
+
+index_block(genesis_block, ACTIVE_CHAIN_IDX);
+
+function get_current_height() {
+    return len(active_chain);
+}
+
+function txn_iterator(chain) {
+    let txn = [];
+    for (let [ height, block ] of chain.entries()) {
+        for (let tx of block.txns) {
+            txn.push([ tx, block, height ]);
+        }
+    }
+
+    return txn;
+}
+
+/**
+ * Find a block by its id and return it along with its position in, and the
+ * index of, the chain containing it, as well as its cumulative chainwork.
+ */
+function locate_block(block_hash, chain = null) {
+    let entry = block_index.get(block_hash);
+    let not_found = [ None, None, None, None ];
+
+    if (!entry || entry.chain_idx === None) {
+        return not_found;
+    }
+
+    let found_in = get_chain(entry.chain_idx);
+
+    if (!found_in || !len(found_in) || chain && chain !== found_in) {
+        return not_found;
+    }
+
+    // Side branches don't start at the genesis block.
+    let base_height = entry.chain_idx === ACTIVE_CHAIN_IDX ? 0
+                    : block_index.get(found_in[0].id).height;
+    let pos = entry.height - base_height;
+
+    // Guard against the chains having been changed behind our back.
+    if (found_in[pos] !== entry.block) {
+        return not_found;
+    }
+
+    return [ entry.block, pos, entry.chain_idx, entry.chainwork ];
+}
+
+function get_chain(chain_idx) {
+    return chain_idx === ACTIVE_CHAIN_IDX ? active_chain : side_branches[ chain_idx - 1 ];
+}
+
+/**
+ * Find a txn in the active chain by its id and return it along with the block
+ * containing it and that block's height.
+ */
+function locate_txn(txid) {
+    let [ block, height ] = locate_block(txn_index.get(txid), active_chain);
+
+    if (!block) {
+        return [ None, None, None ];
+    }
+
+    return [ block.txns.find(tx => tx.id === txid), block, height ];
+}
+
+/**
+ * Add `block`, just appended to the chain with index `chain_idx`, to the
+ * `block_index`.
+ */
+function index_block(block, chain_idx) {
+    let prev = block_index.get(block.prev_block_hash);
+    let prev_work = prev ? prev.chainwork : new BN(0);
+
+    let entry = new BlockIndexEntry({
+        block: block,
+        height: prev ? prev.height + 1 : 0,
+        chain_idx: chain_idx,
+        chainwork: prev_work.add(get_block_proof(block.bits)),
+        status: chain_idx === ACTIVE_CHAIN_IDX ? BLOCK_VALID : BLOCK_VALID_TREE
+    });
+
+    block_index.set(block.id, entry);
+    update_best_header(entry);
+
+    if (chain_idx === ACTIVE_CHAIN_IDX) {
+        for (let tx of block.txns) {
+            txn_index.set(tx.id, block.id);
+        }
+    }
+}
+
+/**
+ * Check the timestamp, proof-of-work and difficulty of `header`, a
+ * BlockHeader (see `Block.strip_txns`), and add it to the `block_index` so we
+ * can go and fetch the rest of the block. Returns the header's index entry.
+ *
+ * realname AcceptBlockHeader
+ */
+function accept_header(header) {
+    let entry = block_index.get(header.id);
+
+    if (entry) {
+        if (entry.status === BLOCK_FAILED) {
+            throw new BlockValidationError('block marked invalid');
+        }
+
+        return entry;
+    }
+
+    let prev = block_index.get(header.prev_block_hash);
+
+    if (!prev) {
+        throw new BlockValidationError(`prev block ${header.prev_block_hash} of header not found`);
+    }
+
+    if (prev.status === BLOCK_FAILED) {
+        throw new BlockValidationError('prev block failed validation');
+    }
+
+    if (header.timestamp - Date.time() > Params.MAX_FUTURE_BLOCK_TIME) {
+        throw new BlockValidationError('Block timestamp too far in future');
+    }
+
+    if (!check_proof_of_work(header.id, header.bits)) {
+        throw new BlockValidationError("Block header doesn't satisfy bits");
+    }
+
+    if (header.timestamp <= get_median_time_past_of(header.prev_block_hash)) {
+        throw new BlockValidationError('timestamp too old');
+    }
+
+    if (get_next_work_required(header.prev_block_hash) !== header.bits) {
+        throw new BlockValidationError('bits is incorrect');
+    }
+
+    entry = new BlockIndexEntry({
+        block: header,
+        height: prev.height + 1,
+        chain_idx: None,
+        chainwork: prev.chainwork.add(get_block_proof(header.bits)),
+        status: BLOCK_VALID_HEADER
+    });
+
+    block_index.set(header.id, entry);
+    update_best_header(entry);
+
+    return entry;
+}
+
+function update_best_header(entry) {
+    if (!best_header || compare_chain_work(entry.block.id, best_header) > 0) {
+        best_header = entry.block.id;
+    }
+}
+
+function get_best_header() {
+    return best_header;
+}
+
+/**
+ * Pick the best header again from scratch, skipping any that are known to be
+ * invalid.
+ */
+function find_best_header() {
+    best_header = None;
+
+    for (let entry of block_index.values()) {
+        if (entry.status !== BLOCK_FAILED) {
+            update_best_header(entry);
+        }
+    }
+}
+
+/**
+ * A list of block ids going back from `block_hash` to the genesis block,
+ * densely at first and then exponentially sparser, which lets a peer find
+ * where its chain forks from ours.
+ *
+ * realname CChain::GetLocator
+ */
+function get_block_locator(block_hash) {
+    let locator = [];
+    let entry = block_index.get(block_hash);
+    let step = 1;
+
+    while (entry) {
+        locator.push(entry.block.id);
+
+        if (entry.height === 0) {
+            break;
+        }
+
+        let height = Math.max(entry.height - step, 0);
+        while (entry.height > height) {
+            entry = block_index.get(entry.prev_block_hash);
+        }
+
+        if (len(locator) > 10) {
+            step *= 2;
+        }
+    }
+
+    return locator;
+}
+
+/**
+ * Bring the chain index of every side branch block up to date after
+ * `side_branches` has been rearranged.
+ */
+function reindex_side_branches() {
+    for (let [ i, chain ] of side_branches.entries()) {
+        for (let block of chain) {
+            block_index.get(block.id).set('chain_idx', i + 1);
+        }
+    }
+}
+
+/**
+ * Return the cumulative work (as a BN) of the chain ending in `block_hash`.
+ */
+function get_chain_work(block_hash) {
+    let entry = block_index.get(block_hash);
+    return entry ? entry.chainwork : None;
+}
+
+/**
+ * Order two chain tips by their cumulative work. The tip with more work wins;
+ * on equal work the tip with the lower hash wins, so that every node picks the
+ * same chain regardless of the order it saw the blocks in.
+ *
+ * Returns a positive number if `a_hash` is the better tip.
+ */
+function compare_chain_work(a_hash, b_hash) {
+    let cmp = get_chain_work(a_hash).cmp(get_chain_work(b_hash));
+
+    if (cmp !== 0) {
+        return cmp;
+    }
+
+    return a_hash < b_hash ? 1 : (a_hash > b_hash ? -1 : 0);
+}
+
+/**
+ * Accept a block and return the chain index we append it to.
+ *
+ * `peer_hostname` is the peer the block came from, if any.
+ */
+
+function connect_block(block, doing_reorg = false, peer_hostname = None) {
+    // Only exit early on already seen in active_chain when reorging.
+    let search_chain = doing_reorg ? active_chain : None;
+    let chain_idx;
+    let entry = block_index.get(block.id);
+
+    if (entry && entry.status === BLOCK_FAILED) {
+        logger.debug(`ignore block marked invalid: ${block.id}`);
+        return None;
+    }
+
+    if (locate_block(block.id, search_chain)[0]) {
+        logger.debug(`ignore block already seen: ${block.id}`);
+        return None;
+    }
+
+    if (orphan_blocks.has(block.id)) {
+        logger.debug(`ignore orphan block already seen: ${block.id}`);
+        return None;
+    }
+
+    try {
+        [ block, chain_idx ] = validate_block(block);
+    } catch (e) {
+        logger.warn('block %s failed validation: %s', block.id, e.message);
+        if (e.to_orphan) {
+            logger.info(`saw orphan block ${block.id}`);
+            add_orphan_block(e.to_orphan, peer_hostname);
+
+            // Ask whoever sent the orphan for the headers we're missing,
+            // unless we have them already and the block is just early.
+            if (peer_hostname && !block_index.has(block.prev_block_hash)) {
+                logger.info(`[p2p] requesting headers before orphan ${block.id} from ${peer_hostname}`);
+                send_to_peer(new GetHeadersMsg({ locator: get_block_locator(best_header) }), peer_hostname);
+            }
+        }
+        else if (entry && entry.status === BLOCK_VALID_HEADER && e.intrinsic) {
+            // Don't download it again.
+            entry.set('status', BLOCK_FAILED);
+        }
+        return None;
+    }
+
+    // If `validate_block()` returned a non-existent chain index, we're
+    // creating a new side branch.
+    if (chain_idx !== ACTIVE_CHAIN_IDX && len(side_branches) < chain_idx) {
+        logger.info(`creating a new side branch (idx ${chain_idx}) for block ${block.id}`);
+        side_branches.push([]);
+    }
+
+    logger.info(`connecting block ${block.id} to chain ${chain_idx}`);
+    let chain = chain_idx === ACTIVE_CHAIN_IDX ? active_chain : side_branches[ chain_idx - 1 ];
+    chain.push(block);
+    index_block(block, chain_idx);
+
+    // If we added to the active chain, perform upkeep on utxo_set and mempool.
+    if (chain_idx === ACTIVE_CHAIN_IDX) {
+        let spent = [];
+
+        for (let tx of block.txns) {
+            rm_from_mempool(tx.id);
+            remove_mempool_conflicts(tx);
+
+            if (!tx.is_coinbase) {
+                for (let txin of tx.txins) {
+                    let { txid, txout_idx } = txin.to_spend;
+                    let utxo = utxo_set.get(txin.to_spend);
+
+                    assert(utxo, `Spent UTXO ${txid}:${txout_idx} missing from utxo_set.`);
+                    spent.push(utxo);
+                    rm_from_utxo(txid, txout_idx);
+                }
+            }
+
+            for (let [ i, txout ] of tx.txouts.entries()) {
+                add_to_utxo(txout, tx, i, tx.is_coinbase, len(chain));
+            }
+        }
+
+        block_undo.set(block.id, spent);
+    }
+
+    if (!doing_reorg && reorg_if_necessary() || chain_idx === ACTIVE_CHAIN_IDX) {
+        mine_interrupt.set();
+        logger.info(`block accepted height=${len(active_chain) - 1} txns=${len(block.txns)} ` +
+                    `chainwork=${get_chain_work(active_chain[len(active_chain) - 1].id).toString(16)}`);
+    }
+
+    // Peers still syncing from us will ask for what they need.
+    if (ibd_done.is_set()) {
+        for (let peer of peer_hostnames) {
+            send_to_peer(block, peer);
+        }
+    }
+
+    if (!doing_reorg) {
+        if (chain_idx === ACTIVE_CHAIN_IDX) {
+            for (let tx of block.txns) {
+                readmit_orphan_txns(tx);
+            }
+        }
+
+        connect_orphan_blocks(block.id);
+    }
+
+    return chain_idx;
+}
+
+function disconnect_block(block, chain = None) {
+    chain = chain || active_chain;
+    assert(block === chain[ chain.length - 1 ], 'Block being disconnected must be tip.');
+
+    let spent = block_undo.get(block.id);
+    assert(spent, `No undo data for block ${block.id}.`);
+    spent = spent.concat([]);
+
+    // Restore UTXO set to what it was before this block. Walk the block
+    // backwards so that outputs spent within the block are restored before
+    // the txn creating them is undone.
+    for (let tx of block.txns.concat([]).reverse()) {
+        for (let i = 0; i < len(tx.txouts); i++) {
+            rm_from_utxo(tx.id, i);
+        }
+
+        // Account for degenerate coinbase txins.
+        if (!tx.is_coinbase) {
+            for (let txin of tx.txins.concat([]).reverse()) {
+                let utxo = spent.pop();
+                utxo_set.set(utxo.outpoint, utxo);
+            }
+        }
+    }
+
+    for (let tx of block.txns) {
+        if (!tx.is_coinbase) {
+            add_to_mempool(tx);
+        }
+
+        if (txn_index.get(tx.id) === block.id) {
+            txn_index.delete(tx.id);
+        }
+    }
+
+    block_undo.delete(block.id);
+
+    // The block is in no chain until it's reconnected or moved to a side
+    // branch.
+    block_index.get(block.id).set('chain_idx', None);
+
+    logger.info(`block ${block.id} disconnected`);
+    return chain.pop()
+}
+
+/**
+ * Reorg onto the best side branch by `compare_chain_work`, if it beats the
+ * active chain. A branch with only as much work as the active chain replaces
+ * it if its tip has the lower hash.
+ */
+function reorg_if_necessary() {
+    let active_tip_id = active_chain[len(active_chain) - 1].id;
+
+    let candidates = side_branches.map((chain, idx) => {
+        return [ chain, idx + 1, chain[len(chain) - 1].id ];
+    }).filter(([ chain, branch_idx, tip_id ]) => {
+        return block_index.get(tip_id).status !== BLOCK_FAILED
+            && compare_chain_work(tip_id, active_tip_id) > 0;
+    }).sort((a, b) => compare_chain_work(b[2], a[2]));
+
+    // A successful reorg reshuffles `side_branches`, and the first branch to
+    // connect has the most work of those remaining, so stop there.
+    for (let [ chain, branch_idx, tip_id ] of candidates) {
+        let [ fork_block, fork_idx, _ ] = locate_block(chain[0].prev_block_hash, active_chain);
+        let active_height = len(active_chain);
+        let branch_height = len(chain) + fork_idx + 1;
+
+        logger.info(`attempting reorg of idx ${branch_idx - 1} to active_chain - new height of ${branch_height} (vs. ${active_height}), ` +
+                    `chainwork ${get_chain_work(tip_id).toString(16)} (vs. ${get_chain_work(active_tip_id).toString(16)})`);
+
+        if (try_reorg(chain, branch_idx, fork_idx)) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+function try_reorg(branch, branch_idx, fork_idx) {
+    /**
+     * Node NOT need
+     *
+     * // Use the global keyword so that we can actually swap out the reference
+     * // in case of a reorg.
+     * global active_chain
+     * global side_branches
+     */
+
+    let fork_block = active_chain[fork_idx];
+    let old_tip_id = active_chain[len(active_chain) - 1].id;
+
+    function* disconnect_to_fork() {
+        let last = len(active_chain) - 1;
+        while (active_chain[last].id !== fork_block.id) {
+            yield disconnect_block(active_chain[last]);
+            last = len(active_chain) - 1;
+        }
+    }
+
+    let old_active = [ ...disconnect_to_fork() ].reverse();
+
+    assert(branch[0].prev_block_hash === active_chain[len(active_chain) - 1].id);
+
+    function rollback_reorg() {
+        logger.info(`reorg of idx ${branch_idx} to active_chain failed`);
+
+        // Force the generator to eval.
+        [ ...disconnect_to_fork() ];
+
+        for (let block of old_active) {
+            assert(connect_block(block, true) === ACTIVE_CHAIN_IDX);
+        }
+
+        reindex_side_branches();
+    }
+
+    for (let [ i, block ] of branch.entries()) {
+        let connected_idx = connect_block(block, true);
+        if (connected_idx !== ACTIVE_CHAIN_IDX) {
+            // Don't consider this branch again unless it grows from before
+            // the bad block.
+            for (let bad of branch.slice(i)) {
+                block_index.get(bad.id).set('status', BLOCK_FAILED);
+            }
+
+            rollback_reorg();
+            return false;
+        }
+    }
+
+    assert(compare_chain_work(active_chain[len(active_chain) - 1].id, old_tip_id) > 0,
+           'Reorg must end on a chain with more work.');
+
+    // Fix up side branches: remove new active, add old active.
+    side_branches.splice(branch_idx - 1, 1);
+    side_branches.push(old_active);
+    reindex_side_branches();
+
+    logger.info('chain reorg! New height: %s, tip: %s', len(active_chain), active_chain[len(active_chain) - 1].id);
+
+    for (let block of branch) {
+        for (let tx of block.txns) {
+            readmit_orphan_txns(tx);
+        }
+    }
+
+    return true;
+}
+
+/**
+ * The median timestamp of the last `num_last_blocks` blocks of the active
+ * chain, ending at the block at `height` (the tip by default).
+ *
+ * Grep for: GetMedianTimePast.
+ */
+function get_median_time_past(num_last_blocks, height = len(active_chain) - 1) {
+    let last_n_blocks = active_chain.slice(
+        Math.max(height + 1 - num_last_blocks, 0), Math.max(height + 1, 0)).reverse();
+
+    if (!len(last_n_blocks)) {
+        return 0;
+    }
+
+    return last_n_blocks[Math.floor(len(last_n_blocks) / 2)].timestamp;
+}
+
+/**
+ * The median timestamp of the last `num_last_blocks` blocks ending at
+ * `block_hash`, following its own ancestors through the `block_index`
+ * whichever chain it's on.
+ */
+function get_median_time_past_of(block_hash, num_last_blocks = 11) {
+    let last_n_blocks = [];
+
+    for (let entry = block_index.get(block_hash);
+            entry && len(last_n_blocks) < num_last_blocks;
+            entry = block_index.get(entry.prev_block_hash)) {
+        last_n_blocks.push(entry.block);
+    }
+
+    if (!len(last_n_blocks)) {
+        return 0;
+    }
+
+    return last_n_blocks[Math.floor(len(last_n_blocks) / 2)].timestamp;
+}
+
+// Orphan blocks
+// ----------------------------------------------------------------------------
+
+// The most orphan blocks we hold onto at once.
+const MAX_ORPHAN_BLOCKS = 750;
+
+// The most orphan blocks we hold onto from a single peer.
+const MAX_ORPHAN_BLOCKS_PER_PEER = 100;
+
+// Drop orphan blocks whose parent hasn't shown up after this many seconds.
+const ORPHAN_BLOCK_EXPIRE_SECS = 20 * 60;
+
+// Blocks whose parent we haven't seen yet, keyed by block id, oldest first.
+// Each entry is `{ block, peer_hostname, time }`.
+//
+// realname mapOrphanBlocks
+const orphan_blocks = new Map();
+
+// The ids of the orphan blocks waiting on each missing parent, keyed by the
+// parent's hash.
+//
+// realname mapOrphanBlocksByPrev
+const orphan_blocks_by_prev = new Map();
+
+// Parents whose orphans are waiting to be connected; see
+// `connect_orphan_blocks`.
+const orphan_parents_queue = [];
+
+/**
+ * Hold onto a block whose parent is missing until the parent shows up.
+ */
+function add_orphan_block(block, peer_hostname = None, time = Date.time()) {
+    let block_id = block.id;
+
+    expire_orphan_blocks(time);
+
+    if (orphan_blocks.has(block_id)) {
+        return;
+    }
+
+    let from_peer = Array.from(orphan_blocks.values()).filter(o => {
+        return o.peer_hostname === peer_hostname;
+    });
+
+    if (len(from_peer) >= MAX_ORPHAN_BLOCKS_PER_PEER) {
+        logger.info(`[p2p] too many orphan blocks from ${peer_hostname}, evicting the oldest`);
+        rm_orphan_block(from_peer[0].block.id);
+    }
+
+    if (len(orphan_blocks) >= MAX_ORPHAN_BLOCKS) {
+        rm_orphan_block(orphan_blocks.keys().next().value);
+    }
+
+    orphan_blocks.set(block_id, { block, peer_hostname, time });
+
+    if (!orphan_blocks_by_prev.has(block.prev_block_hash)) {
+        orphan_blocks_by_prev.set(block.prev_block_hash, new Set());
+    }
+    orphan_blocks_by_prev.get(block.prev_block_hash).add(block_id);
+}
+
+function rm_orphan_block(block_id) {
+    let orphan = orphan_blocks.pop(block_id);
+
+    if (!orphan) {
+        return None;
+    }
+
+    let siblings = orphan_blocks_by_prev.get(orphan.block.prev_block_hash);
+    siblings.delete(block_id);
+
+    if (!len(siblings)) {
+        orphan_blocks_by_prev.delete(orphan.block.prev_block_hash);
+    }
+
+    return orphan;
+}
+
+function expire_orphan_blocks(now = Date.time()) {
+    // `orphan_blocks` is ordered oldest first.
+    for (let [ block_id, orphan ] of orphan_blocks) {
+        if (now - orphan.time < ORPHAN_BLOCK_EXPIRE_SECS) {
+            break;
+        }
+
+        logger.debug(`expiring orphan block ${block_id}`);
+        rm_orphan_block(block_id);
+    }
+}
+
+/**
+ * Connect the orphans waiting on `parent_hash`, then the orphans waiting on
+ * those, and so on.
+ *
+ * `connect_block` calls back into this for every block it connects, so the
+ * work is queued and drained by the outermost call rather than recursing
+ * once per generation of orphans.
+ */
+function connect_orphan_blocks(parent_hash) {
+    orphan_parents_queue.push(parent_hash);
+
+    if (len(orphan_parents_queue) > 1) {
+        return;
+    }
+
+    try {
+        while (len(orphan_parents_queue)) {
+            let waiting = orphan_blocks_by_prev.get(orphan_parents_queue[0]);
+
+            for (let block_id of Array.from(waiting || [])) {
+                let { block, peer_hostname } = rm_orphan_block(block_id);
+
+                logger.info(`connecting orphan block ${block_id}`);
+                connect_block(block, false, peer_hostname);
+            }
+
+            orphan_parents_queue.shift();
+        }
+    } finally {
+        // Don't leave the queue looking busy if `connect_block` blew up.
+        orphan_parents_queue.splice(0);
+    }
+}
+
+// Chain Persistance
+// ----------------------------------------------------------------------------
+const CHAIN_PATH = path.join(__dirname, process.env['TC_CHAIN_PATH'] || NETWORK.chain_path);
+
+function save_to_disk() {
+    logger.info(`saving chain with ${len(active_chain)} blocks`);
+    fs.writeFileSync(CHAIN_PATH, encode_socket_data(active_chain));
+}
+
+function load_from_disk() {
+    if (!fs.existsSync(CHAIN_PATH)) {
+        return;
+    }
+
+    try {
+        // TODO: read stream
+        let newBlocks = decode_socket_data(fs.readFileSync(CHAIN_PATH));
+
+        for (let block of newBlocks) {
+            connect_block(block);
+        }
+    } catch (e) {
+        logger.warn('load chain failed, starting from genesis: %s', e.message);
+    }
+}
+
+// UTXO set
+// ----------------------------------------------------------------------------
+
+/**
+ * A Map keyed by `OutPoint`s, compared by value.
+ */
+class OutPointMap extends Map {
+    set(k, v) {
+        super.set(this.toStr(k), v);
+    }
+
+    get(k) {
+        return super.get(this.toStr(k));
+    }
+
+    has(k) {
+        return super.has(this.toStr(k));
+    }
+
+    delete(k) {
+        return super.delete(this.toStr(k));
+    }
+
+    toStr(k) {
+        return [...k].toString();
+    }
+}
+
+class UTXOs extends OutPointMap {
+    toJSON() {
+        return Array.from(this.entries());
+    }
+}
+
+const utxo_set = new UTXOs;
+
+function add_to_utxo(txout, tx, idx, is_coinbase, height) {
+    if (is_unspendable(txout.script_pubkey)) {
+        logger.debug(`not adding unspendable txout ${tx.id}:${idx} to utxo_set`);
+        return;
+    }
+
+    let utxo = new UnspentTxOut({
+        value: txout.value,
+        script_pubkey: txout.script_pubkey,
+        txid: tx.id,
+        txout_idx: idx,
+        is_coinbase: is_coinbase,
+        height: height
+    });
+
+    logger.info(`adding tx outpoint ${JSON.stringify(utxo.outpoint)} to utxo_set`);
+    utxo_set.set(utxo.outpoint, utxo);
+}
+
+function rm_from_utxo(txid, txout_idx) {
+    utxo_set.delete(new OutPoint({ txid: txid, txout_idx: txout_idx }));
+}
+
+function find_utxo_in_list(txin, txns) {
+    let { txid, txout_idx } = txin.to_spend;
+    let txout;
+
+    try {
+        txout = txns.filter( t => {
+            return t.id === txid;
+        })[0].txouts[txout_idx];
+    } catch (e) {
+        return None;
+    }
+
+    return new UnspentTxOut({
+        value: txout.value,
+        script_pubkey: txout.script_pubkey,
+        txid: txid,
+        txout_idx: txout_idx,
+        is_coinbase: false,
+        height: -1
+    });
+}
+
+// Proof of work
+// ----------------------------------------------------------------------------
+
+/**
+ * Decode the compact form of a difficulty target, as used by `Block.bits`,
+ * into the 256-bit target. The top byte is the length of the target in bytes
+ * and the lower three bytes are its most significant bytes. Returns None for
+ * a negative or overflowing target.
+ *
+ * realname arith_uint256::SetCompact
+ */
+function bits_to_target(bits) {
+    let size = bits >>> 24;
+    let word = bits & 0x007fffff;
+    let target = size <= 3 ? new BN(word >>> (8 * (3 - size)))
+                           : new BN(word).ushln(8 * (size - 3));
+
+    if (word !== 0 && (bits & 0x00800000)) {
+        // Negative
+        return None;
+    }
+
+    if (word !== 0 && (size > 34 || (word > 0xff && size > 33) || (word > 0xffff && size > 32))) {
+        // Overflow
+        return None;
+    }
+
+    return target;
+}
+
+/**
+ * Encode a 256-bit difficulty target into its compact form. Precision beyond
+ * the three most significant bytes is lost.
+ *
+ * realname arith_uint256::GetCompact
+ */
+function target_to_bits(target) {
+    let size = target.byteLength();
+    let word = size <= 3 ? target.toNumber() << (8 * (3 - size))
+                         : target.ushrn(8 * (size - 3)).toNumber();
+
+    // The 0x00800000 bit is the sign, so move the mantissa down a byte if
+    // it would be set.
+    if (word & 0x00800000) {
+        word >>>= 8;
+        size += 1;
+    }
+
+    return ((size << 24) | word) >>> 0;
+}
+
+/**
+ * Whether `block_hash` satisfies the difficulty target encoded in `bits`, and
+ * that target is within the network's limit.
+ *
+ * realname CheckProofOfWork
+ */
+function check_proof_of_work(block_hash, bits) {
+    let target = bits_to_target(bits);
+
+    if (!target || target.isZero() || target.gt(bits_to_target(Params.POW_LIMIT_BITS))) {
+        return false;
+    }
+
+    return new BN(block_hash, 16).lte(target);
+}
+
+/**
+ * Return the ancestor of the block `block_hash` at `height`, walking back
+ * through the `block_index`.
+ *
+ * realname CBlockIndex::GetAncestor
+ */
+function get_ancestor(block_hash, height) {
+    let entry = block_index.get(block_hash);
+
+    while (entry && entry.height > height) {
+        entry = block_index.get(entry.prev_block_hash);
+    }
+
+    return entry && entry.height === height ? entry.block : None;
+}
+
+/**
+ * Based on the chain, return the compact difficulty target the block after
+ * `prev_block_hash` must satisfy.
+ */
+function get_next_work_required(prev_block_hash) {
+    if (prev_block_hash === 'None') {
+        return Params.INITIAL_DIFFICULTY_BITS;
+    }
+
+    let prev_entry = block_index.get(prev_block_hash);
+    let prev_block = prev_entry.block;
+    let prev_height = prev_entry.height;
+
+    if (Params.POW_NO_RETARGETING
+        || (prev_height + 1) % Params.DIFFICULTY_PERIOD_IN_BLOCKS !== 0) {
+        return prev_block.bits;
+    }
+
+    // realname CalculateNextWorkRequired
+    let period_start_block = get_ancestor(prev_block_hash, Math.max(
+            prev_height - (Params.DIFFICULTY_PERIOD_IN_BLOCKS - 1), 0));
+
+    let target_timespan = Params.DIFFICULTY_PERIOD_IN_SECS_TARGET;
+    let actual_time_taken = prev_block.timestamp - period_start_block.timestamp;
+
+    // Don't let a single period move the difficulty too far.
+    actual_time_taken = Math.max(actual_time_taken, Math.floor(target_timespan / Params.MAX_RETARGET_FACTOR));
+    actual_time_taken = Math.min(actual_time_taken, target_timespan * Params.MAX_RETARGET_FACTOR);
+
+    // Scale the target by how far off the period was; a period that went too
+    // fast gives a lower target, i.e. a higher difficulty.
+    let target = bits_to_target(prev_block.bits)
+        .mul(new BN(actual_time_taken))
+        .div(new BN(target_timespan));
+
+    let pow_limit = bits_to_target(Params.POW_LIMIT_BITS);
+    if (target.gt(pow_limit)) {
+        target = pow_limit;
+    }
+
+    return target_to_bits(target);
+}
+
+/**
+ * The expected number of hashes needed to solve a block with the given
+ * compact difficulty target, i.e. 2 ** 256 / (target + 1).
+ *
+ * realname GetBlockProof
+ */
+function get_block_proof(bits) {
+    let target = bits_to_target(bits);
+
+    if (!target || target.isZero()) {
+        return new BN(0);
+    }
+
+    return new BN(0).bincn(256).div(target.addn(1));
+}
+
+/**
+ * Given the txns in a Block, subtract the amount of coin output from the
+ * inputs. This is kept as a reward by the miner. The coinbase, if the block
+ * has one yet, doesn't count.
+ */
+function calculate_fees(block) {
+    return block.txns.filter(txn => !txn.is_coinbase).reduce((sum, txn) => {
+        return sum + get_txn_fee(txn, block.txns);
+    }, 0);
+}
+
+/**
+ * The newly minted coins a block at `height` may pay out in its coinbase.
+ *
+ * realname GetBlockSubsidy
+ */
+function get_block_subsidy(height) {
+    let halvings = Math.floor(height / Params.HALVE_SUBSIDY_AFTER_BLOCKS_NUM);
+
+    if (halvings >= 64) {
+        return 0;
+    }
+
+    return Math.floor(50 * Params.BELUSHIS_PER_COIN / Math.pow(2, halvings));
+}
+
+/**
+ * Construct a Block by pulling transactions from the mempool, then mine it.
+ */
+const assemble_and_solve_block = async function (pay_coinbase_to_addr, txns = None) {
+    let prev_block_hash = active_chain[len(active_chain) - 1].id;
+
+    let block = new Block({
+        'version': BLOCK_VERSION,
+        'prev_block_hash': prev_block_hash,
+        // Filled in once the txns are picked.
+        'merkle_hash': '0'.repeat(64),
+        // Blocks found within the same second (easily done on regtest) still
+        // have to be newer than the median time past.
+        'timestamp': Math.max(Date.time(), get_median_time_past(11) + 1),
+        'bits': get_next_work_required(prev_block_hash),
+        'nonce': 0,
+        'txns': txns || []
+    });
+
+    let fees;
+
+    if (!len(block.txns)) {
+        [ block, fees ] = select_from_mempool(block);
+    }
+    else {
+        fees = calculate_fees(block);
+    }
+
+    let height = len(active_chain);
+    let reward = get_block_subsidy(height) + fees;
+    let with_coinbase = [ Transaction.create_coinbase(pay_coinbase_to_addr, reward, height) ].concat(block.txns);
+
+    if (with_coinbase.some(txn => txn.has_witness)) {
+        with_coinbase[0] = Transaction.create_coinbase(
+            pay_coinbase_to_addr, reward, height, get_merkle_root_of_txns(with_coinbase, true, block.version).val);
+    }
+
+    block.set('txns', with_coinbase);
+    block.set('merkle_hash', get_merkle_root_of_txns(block.txns, false, block.version).val);
+
+    if (len(serialize(block)) > Params.MAX_BLOCK_SERIALIZED_SIZE) {
+        throw new Error('txns specified create a block too large');
+    }
+
+    return await mine(block);
+};
+
+class Child {
+    constructor(resolve, reject, file = 'worker.js') {
+        const bin = process.argv[0];
+        const options = { stdio: 'pipe', env: process.env };
+
+        this._resolve = resolve;
+        this._reject = reject;
+
+        this._worker = cp.spawn(bin, [ path.resolve(__dirname, file) ], options);
+        this._miner = new SocketMessageHandle(data => {
+            let { nonce, error } = data;
+            if (nonce === undefined) {
+                return reject(error);
+            }
+
+            resolve(nonce);
+        }, reject);
+
+        this.init();
+    }
+
+    init() {
+        this._worker.unref();
+        this._worker.stdin.unref();
+        this._worker.stdout.unref();
+        this._worker.stderr.unref();
+
+        this._worker.stdout.on('data', chunk => {
+            this._miner.read_all_from_socket(chunk);
+        });
+
+        let onError = this.destroy.bind(this);
+        this._worker.on('error', onError);
+        this._worker.stdin.on('error', onError);
+        this._worker.stdout.on('error', onError);
+    }
+
+    send(data) {
+        this._worker.stdin.write(encode_socket_data(data));
+    }
+
+    destroy(err = { message: 'interrupt' }) {
+        this._reject(err);
+        if (!this._worker.killed) {
+            this._worker.kill();
+        }
+    }
+}
+
+class Miner extends Set {
+    set() {
+        for (let child of this.values()) {
+            child.destroy();
+            this.delete(child);
+        }
+    }
+}
+
+// Signal to communicate to the mining thread that it should stop mining because
+// we've updated the chain with a new block.
+const mine_interrupt = new Miner();
+
+const mine = async function mine(block) {
+    let start = Date.time();
+
+    let nonce = await new Promise((resolve, reject) => {
+        let miner = new Child(resolve, reject);
+        mine_interrupt.add(miner);
+
+        miner.send({
+            'header': block.header().toString('hex'),
+            'bits': block.bits
+        });
+    }).catch(err => {
+        logger.error('mine error %s', err.message)
+        return -1;
+    });
+
+    if (nonce === -1) {
+        return None;
+    }
+
+    let duration = (Date.time() - start) || 0.001;
+    let khs = Math.floor((nonce / duration) / 1000);
+    logger.info('mined block! %d s - %d KH/s %d', duration, khs, nonce);
+
+    return new Block({
+        version: block.version,
+        prev_block_hash: block.prev_block_hash,
+        merkle_hash: block.merkle_hash,
+        timestamp: block.timestamp,
+        bits: block.bits,
+        nonce: nonce,
+        txns: block.txns
+    });
+};
+
+const mine_forever = async function mine_forever() {
+    // There's no point mining on an old tip.
+    await ibd_done.wait();
+
+    for (;;) {
+        let my_address = init_wallet()[2];
+        let block = await assemble_and_solve_block(my_address);
+
+        if (block) {
+            connect_block(block);
+            save_to_disk();
+        }
+    }
+};
+
+// Validation
+// ----------------------------------------------------------------------------
+
+// A locktime below this is a block height, otherwise a UNIX timestamp.
+const LOCKTIME_THRESHOLD = 500000000;
+
+// A txn whose txins all have this sequence number ignores its locktime.
+const SEQUENCE_FINAL = 0xffffffff;
+
+// Bits of `TxIn.sequence` that make up a relative timelock.
+//
+// If set, the sequence number isn't a relative timelock.
+const SEQUENCE_LOCKTIME_DISABLE_FLAG = 2 ** 31;
+// If set, the relative timelock is in units of 512 seconds; otherwise it's
+// in blocks.
+const SEQUENCE_LOCKTIME_TYPE_FLAG = 2 ** 22;
+const SEQUENCE_LOCKTIME_MASK = 0x0000ffff;
+const SEQUENCE_LOCKTIME_GRANULARITY = 9;
+
+/**
+ * Whether `txn` may be mined in a block at `height` whose predecessors have a
+ * median time past of `time`.
+ *
+ * realname IsFinalTx
+ */
+function is_final_txn(txn, height, time) {
+    let locktime = txn.locktime;
+
+    if (!locktime) {
+        return true;
+    }
+
+    if (locktime < (locktime < LOCKTIME_THRESHOLD ? height : time)) {
+        return true;
+    }
+
+    return txn.txins.every(txin => txin.sequence === SEQUENCE_FINAL);
+}
+
+/**
+ * Return the `[ height, time ]` after which the relative timelocks of the
+ * txins of `txn` are all satisfied, -1 meaning there's no such lock.
+ * `utxos` are the outputs spent by each txin, and `height` is the height of
+ * the block `txn` would go into.
+ *
+ * realname CalculateSequenceLocks
+ */
+function calculate_sequence_locks(txn, utxos, height) {
+    let min_height = -1;
+    let min_time = -1;
+
+    if (txn.is_coinbase) {
+        return [ min_height, min_time ];
+    }
+
+    for (let [ i, txin ] of txn.txins.entries()) {
+        let sequence = txin.sequence;
+
+        if (sequence & SEQUENCE_LOCKTIME_DISABLE_FLAG) {
+            continue;
+        }
+
+        // A UTXO's height is the length of the chain once it was created;
+        // one that isn't in a block yet (-1) is treated as being created by
+        // the next block.
+        let coin_height = utxos[i].height === -1 ? height : utxos[i].height - 1;
+        let value = sequence & SEQUENCE_LOCKTIME_MASK;
+
+        if (sequence & SEQUENCE_LOCKTIME_TYPE_FLAG) {
+            // Time locks count from the median time past of the block
+            // before the one creating the UTXO.
+            let coin_time = get_median_time_past(11, coin_height - 1);
+            min_time = Math.max(min_time, coin_time + value * 2 ** SEQUENCE_LOCKTIME_GRANULARITY - 1);
+        }
+        else {
+            min_height = Math.max(min_height, coin_height + value - 1);
+        }
+    }
+
+    return [ min_height, min_time ];
+}
+
+/**
+ * Throw a TxnValidationError unless `txn`, spending `utxos`, may go into the
+ * next block of the active chain. This holds both for the mempool and for
+ * blocks, since blocks are validated as they're connected to the tip.
+ */
+function check_txn_locks(txn, utxos) {
+    let height = get_current_height();
+    let time = get_median_time_past(11);
+
+    if (!is_final_txn(txn, height, time)) {
+        throw new TxnValidationError('txn locktime not reached');
+    }
+
+    let [ min_height, min_time ] = calculate_sequence_locks(txn, utxos, height);
+
+    if (min_height >= height || min_time >= time) {
+        throw new TxnValidationError('txn sequence locks not satisfied');
+    }
+}
+
+/**
+ * Validate a single transaction. Used in various contexts, so the
+ * parameters facilitate different uses.
+ */
+function validate_txn(txn, as_coinbase = false, siblings_in_block = None, allow_utxo_from_mempool = true) {
+    txn.validate_basics(as_coinbase);
+
+    let available_to_spend = 0;
+    let utxos = [];
+
+    for (let [ i, txin ] of txn.txins.entries()) {
+        let utxo = utxo_set.get(txin.to_spend);
+
+        if (siblings_in_block) {
+            utxo = utxo || find_utxo_in_list(txin, siblings_in_block);
+        }
+
+        if (allow_utxo_from_mempool) {
+            utxo = utxo || find_utxo_in_mempool(txin);
+        }
+
+        if (!utxo) {
+            throw new TxnValidationError(
+                `Could find no UTXO for TxIn[${i}] -- orphaning txn`,
+                txn);
+        }
+
+        if (utxo.is_coinbase
+            && (get_current_height() - utxo.height) < Params.COINBASE_MATURITY) {
+
+            throw new TxnValidationError('Coinbase UTXO not ready for spend');
+        }
+
+        try {
+            validate_signature_for_spend(txin, utxo, txn);
+        } catch (e) {
+            if (e instanceof TxUnlockError) {
+                throw new TxnValidationError(
+                    `TxIn[${i}] is not a valid spend of ${utxo.txid}:${utxo.txout_idx}: ${e.msg}`);
+            }
+
+            throw e;
+        }
+
+        available_to_spend += utxo.value;
+        utxos.push(utxo);
+    }
+
+    check_txn_locks(txn, utxos);
+
+    if (available_to_spend < txn.txouts.reduce((sum, i) => { return sum + i.value; }, 0)) {
+        throw new TxnValidationError('Spend value is more than available');
+    }
+
+    return txn;
+}
+
+/**
+ * Throw a TxUnlockError unless `txin`'s unlocking script satisfies the
+ * locking script of the `utxo` it spends.
+ */
+function validate_signature_for_spend(txin, utxo, txn) {
+    let txin_idx = txn.txins.indexOf(txin);
+
+    let checker = {
+        // Signatures end with a byte saying what they sign; see
+        // `build_spend_message`.
+        check_sig(sig, pk) {
+            let hashtype = parseInt(sig.slice(-2), 16);
+
+            if (len(sig) < 4 || !is_valid_hashtype(hashtype)) {
+                return false;
+            }
+
+            try {
+                let spend_msg = build_spend_message(txn, txin_idx, pk, hashtype);
+
+                let verifying_key = new rsasign.Signature({ "alg": 'SHA256withECDSA' });
+                verifying_key.init({ xy: pk, curve: 'secp256k1' });
+                verifying_key.updateString(spend_msg);
+
+                return verifying_key.verify(sig.slice(0, -2));
+            } catch (e) {
+                // A malformed pubkey or signature, or a SIGHASH_SINGLE
+                // without its txout, just doesn't match.
+                return false;
+            }
+        },
+
+        // The txn's own locktime is enforced by `check_txn_locks`, so it's
+        // enough that it's at least `locktime`, and of the same kind.
+        //
+        // realname CheckLockTime
+        check_locktime(locktime) {
+            let txn_locktime = txn.locktime || 0;
+
+            if ((locktime < LOCKTIME_THRESHOLD) !== (txn_locktime < LOCKTIME_THRESHOLD)) {
+                return false;
+            }
+
+            // A final txin would let the txn be mined regardless of its
+            // locktime.
+            return locktime <= txn_locktime && txin.sequence !== SEQUENCE_FINAL;
+        }
+    };
+
+    verify_script(txin.unlock_script, utxo.script_pubkey, checker);
+    return true;
+}
+
+// What a signature commits to, appended to it as a byte. The txin being
+// spent (its outpoint and sequence), the signing pubkey and the txn's
+// locktime are always signed. On top of that:
+
+// Every txout. Nobody can redirect the coins.
+const SIGHASH_ALL = 0x01;
+
+// No txouts. Whoever completes the txn decides where the coins go.
+const SIGHASH_NONE = 0x02;
+
+// Only the txout at the same index as the txin, which must exist.
+const SIGHASH_SINGLE = 0x03;
+
+// Combined with one of the above: only this txin is signed, so anyone may
+// add inputs (say, to crowdfund the txouts, or to pay a higher fee).
+// Otherwise every txin's outpoint is signed.
+const SIGHASH_ANYONECANPAY = 0x80;
+
+function is_valid_hashtype(hashtype) {
+    let base = hashtype & ~SIGHASH_ANYONECANPAY;
+    return base >= SIGHASH_ALL && base <= SIGHASH_SINGLE;
+}
+
+/**
+ * The message `pk` signs to spend `txn.txins[txin_idx]`, committing to the
+ * parts of `txn` picked by `hashtype`. Throws a TxUnlockError for a
+ * SIGHASH_SINGLE without a matching txout.
+ *
+ * realname SignatureHash
+ */
+function build_spend_message(txn, txin_idx, pk, hashtype = SIGHASH_ALL) {
+    let txin = txn.txins[txin_idx];
+    let base = hashtype & ~SIGHASH_ANYONECANPAY;
+    let outpoints = hashtype & SIGHASH_ANYONECANPAY ?
+        [ txin.to_spend ] : txn.txins.map(i => i.to_spend);
+    let txouts = txn.txouts;
+
+    if (base === SIGHASH_NONE) {
+        txouts = [];
+    }
+    else if (base === SIGHASH_SINGLE) {
+        if (txin_idx >= len(txn.txouts)) {
+            throw new TxUnlockError('SIGHASH_SINGLE without a matching txout');
+        }
+
+        txouts = [ txn.txouts[txin_idx] ];
+    }
+
+    return sha256d(Buffer.concat([
+        encode(outpoints), encode(txin.sequence), encode(pk), encode(txouts),
+        encode(txn.locktime || 0), encode(hashtype)
+    ]));
+}
+
+function validate_block(block) {
+    if (!len(block.txns)) {
+        throw new BlockValidationError('txns empty', None, false);
+    }
+
+    if (block.timestamp - Date.time() > Params.MAX_FUTURE_BLOCK_TIME) {
+        // It may not be for long.
+        throw new BlockValidationError('Block timestamp too far in future', None, false);
+    }
+
+    if (!check_proof_of_work(block.id, block.bits)) {
+        throw new BlockValidationError("Block header doesn't satisfy bits");
+    }
+
+    // Checked before anything about the txns, since until then we don't know
+    // they're the ones the header commits to: failing on txns swapped in on
+    // the way mustn't mark the header itself invalid.
+    let merkle_tree = build_merkle_tree(block.txns.map(t => t.id), block.version);
+
+    if (merkle_tree.val !== block.merkle_hash) {
+        throw new BlockValidationError('Merkle hash invalid', None, false);
+    }
+
+    // Repeating txns at the end of the block can leave its Merkle root as it
+    // was (see `is_merkle_tree_mutated`), and a block spending the same
+    // outputs twice is invalid though the header is fine.
+    //
+    // realname CVE-2012-2459
+    if (is_merkle_tree_mutated(merkle_tree)) {
+        throw new BlockValidationError('duplicate txns', None, false);
+    }
+
+    if (!block.txns[0].is_coinbase || block.txns.slice(1).some(t => t.is_coinbase)) {
+        throw new BlockValidationError('First txn must be coinbase and no more');
+    }
+
+    let i, txn;
+    try {
+        for ([ i, txn ] of block.txns.entries()) {
+            txn.validate_basics(i === 0);
+        }
+    } catch (e) {
+        if (e instanceof TxnValidationError) {
+            logger.warn(`Transaction ${txn} in ${block} failed to validate`);
+            throw new BlockValidationError(`Invalid txn ${txn.id}`);
+        }
+
+        throw e;
+    }
+
+    let prev_block_chain_idx;
+    let prev_block;
+    let height = 0;
+    if (block.prev_block_hash === 'None' && !len(active_chain)) {
+        // This is the genesis block.
+        prev_block_chain_idx = ACTIVE_CHAIN_IDX;
+    }
+    else {
+        [ prev_block, , prev_block_chain_idx ] = locate_block(block.prev_block_hash);
+
+        if (!prev_block) {
+            throw new BlockValidationError(
+                `prev block ${block.prev_block_hash} not found in any chain`,
+                block);
+        }
+
+        if (block_index.get(block.prev_block_hash).status === BLOCK_FAILED) {
+            throw new BlockValidationError('prev block failed validation');
+        }
+
+        // Against the block's own ancestors, which needn't be the active
+        // chain.
+        if (block.timestamp <= get_median_time_past_of(block.prev_block_hash)) {
+            throw new BlockValidationError('timestamp too old');
+        }
+
+        height = block_index.get(block.prev_block_hash).height + 1;
+    }
+
+    // Every branch has to follow the difficulty rules, not just the active
+    // chain.
+    if (get_next_work_required(block.prev_block_hash) !== block.bits) {
+        throw new BlockValidationError('bits is incorrect');
+    }
+
+    // Otherwise two coinbases paying the same amount to the same address
+    // would have the same txid.
+    //
+    // realname BIP34
+    if (block.txns[0].txins[0].unlock_sig !== bytes(height)) {
+        throw new BlockValidationError(`Coinbase doesn't commit to height ${height}`);
+    }
+
+    // `merkle_hash` only covers txids, so the coinbase commits to the
+    // witnesses too. Blocks without any needn't.
+    //
+    // realname BIP141
+    let witness_commitment = get_witness_commitment(block.txns[0]);
+
+    if ((witness_commitment || block.txns.some(txn => txn.has_witness)) &&
+            witness_commitment !== get_merkle_root_of_txns(block.txns, true, block.version).val) {
+        throw new BlockValidationError('Witness merkle hash invalid', None, false);
+    }
+
+    // No more validation for a block getting attached to a branch.
+    if (prev_block_chain_idx !== ACTIVE_CHAIN_IDX) {
+        return [ block, prev_block_chain_idx ];
+    }
+    // Prev. block found in active chain, but isn't tip => new fork.
+    else if (prev_block && prev_block !== active_chain[len(active_chain) - 1]) {
+        // Non-existent
+        return [ block , len(side_branches) + 1 ];
+    }
+
+    // Each txn is only checked against the UTXO set as it was before the
+    // block, so an output spent by an earlier txn in the block would look
+    // unspent.
+    //
+    // realname bad-txns-inputs-missingorspent
+    let spent = new OutPointMap();
+
+    for (let [ i, txn ] of block.txns.entries()) {
+        if (i === 0) {
+            continue;
+        }
+
+        for (let txin of txn.txins) {
+            if (spent.has(txin.to_spend)) {
+                throw new BlockValidationError(
+                    `${txn.id} spends ${txin.to_spend.txid}:${txin.to_spend.txout_idx}, already spent by ` +
+                    spent.get(txin.to_spend));
+            }
+
+            spent.set(txin.to_spend, txn.id);
+        }
+
+        try {
+            // Txns may spend the outputs of txns before them in the block.
+            validate_txn(txn, false, block.txns.slice(1, i), false);
+        } catch (e) {
+            if (e instanceof TxnValidationError) {
+                let msg = `${txn} failed to validate`;
+                logger.warn(msg)
+                throw new BlockValidationError(msg);
+            }
+
+            throw e;
+        }
+    }
+
+    let reward = block.txns[0].txouts.reduce((sum, txout) => sum + txout.value, 0);
+    if (reward > get_block_subsidy(height) + calculate_fees(block)) {
+        throw new BlockValidationError('Coinbase pays out more than the subsidy plus fees');
+    }
+
+    return [ block, prev_block_chain_idx ];
+}
+
+// Policy
+// ----------------------------------------------------------------------------
+
+// Which txns we're willing to relay and mine, on top of the consensus rules
+// `validate_txn` enforces. Policy is only checked as txns come into the
+// mempool, never by `validate_block`: a block with nonstandard txns is still
+// valid, so nodes with different policies agree on the chain.
+
+// Fee rates are in coins per 1000 serialized bytes.
+
+// The lowest fee rate we relay txns at by default, until evictions push it
+// up.
+//
+// realname DEFAULT_MIN_RELAY_TX_FEE
+const MIN_RELAY_FEE_RATE = 1000;
+
+// The rules we apply, each of which can be set through the environment or
+// changed while running.
+const policy = {
+    // The least a txout may be worth; anything less would cost more to
+    // spend than it's worth, and just bloat the UTXO set. Data-carrier
+    // txouts are exempt. Set with TC_DUST_THRESHOLD.
+    //
+    // realname GetDustThreshold
+    dust_threshold: Number(process.env['TC_DUST_THRESHOLD']) || 546,
+
+    // The largest txn we relay, in serialized bytes. Set with
+    // TC_MAX_STANDARD_TXN_SIZE.
+    //
+    // realname MAX_STANDARD_TX_WEIGHT
+    max_txn_size: Number(process.env['TC_MAX_STANDARD_TXN_SIZE']) || 100000,
+
+    // The lowest fee rate a txn may pay. Set with TC_MIN_RELAY_FEE_RATE.
+    //
+    // realname minRelayTxFee
+    min_relay_fee_rate: Number(process.env['TC_MIN_RELAY_FEE_RATE']) || MIN_RELAY_FEE_RATE,
+
+    // The `solve_script` types a txout may have. Set with TC_OUTPUT_TYPES,
+    // comma separated.
+    output_types: new Set((process.env['TC_OUTPUT_TYPES'] || 'pubkeyhash,scripthash,multisig,htlc,nulldata').split(','))
+};
+
+/**
+ * Throw a TxnPolicyError unless we're willing to relay and mine `txn`, as
+ * far as can be told without the outputs it spends.
+ *
+ * realname IsStandardTx
+ */
+function check_standard_txn(txn) {
+    if (txn.locktime !== None && !is_uint32(txn.locktime)) {
+        throw new TxnPolicyError(`Locktime ${txn.locktime} out of range`, 'bad-locktime');
+    }
+
+    let null_data_outputs = 0;
+
+    for (let [ i, txout ] of txn.txouts.entries()) {
+        let { type, solutions } = solve_script(txout.script_pubkey);
+
+        if (type === 'nonstandard') {
+            throw new TxnPolicyError(`TxOut[${i}] script is nonstandard`, 'scriptpubkey');
+        }
+
+        if (!policy.output_types.has(type)) {
+            throw new TxnPolicyError(`TxOut[${i}] is a ${type} output, which we don't relay`, 'scriptpubkey');
+        }
+
+        if (type === 'multisig' && len(solutions) - 2 > MAX_STANDARD_MULTISIG_PUBKEYS) {
+            throw new TxnPolicyError(`TxOut[${i}] multisig has too many pubkeys`, 'scriptpubkey');
+        }
+
+        if (type === 'nulldata') {
+            if (solutions.reduce((size, data) => size + len(data), 0) > MAX_NULL_DATA_SIZE) {
+                throw new TxnPolicyError(`TxOut[${i}] carries more than ${MAX_NULL_DATA_SIZE} bytes`, 'scriptpubkey');
+            }
+
+            if (++null_data_outputs > 1) {
+                throw new TxnPolicyError('More than one data-carrier txout', 'multi-op-return');
+            }
+        }
+        else if (txout.value < policy.dust_threshold) {
+            throw new TxnPolicyError(`TxOut[${i}] is dust (worth less than ${policy.dust_threshold})`, 'dust');
+        }
+    }
+
+    for (let [ i, txin ] of txn.txins.entries()) {
+        if (txin.sequence !== None && !is_uint32(txin.sequence)) {
+            throw new TxnPolicyError(`TxIn[${i}] sequence ${txin.sequence} out of range`, 'bad-sequence');
+        }
+
+        if (len(txin.unlock_script) / 2 > MAX_STANDARD_UNLOCK_SCRIPT_SIZE) {
+            throw new TxnPolicyError(`TxIn[${i}] unlock script too large`, 'scriptsig-size');
+        }
+
+        if (!is_push_only(txin.unlock_script)) {
+            throw new TxnPolicyError(`TxIn[${i}] unlock script isn't push-only`, 'scriptsig-not-pushonly');
+        }
+    }
+
+    if (len(serialize(txn)) > policy.max_txn_size) {
+        throw new TxnPolicyError(`Txn larger than ${policy.max_txn_size} bytes`, 'tx-size');
+    }
+}
+
+/**
+ * Throw a TxnPolicyError unless the unlocking scripts of `txn`, whose
+ * outputs must be in the UTXO set or the mempool, only carry canonically
+ * encoded signatures. Anyone relaying a txn could re-encode its signatures,
+ * so we only take the one encoding.
+ *
+ * realname AreInputsStandard
+ */
+function check_standard_inputs(txn) {
+    for (let [ i, txin ] of txn.txins.entries()) {
+        let utxo = utxo_set.get(txin.to_spend) || find_utxo_in_mempool(txin);
+        let pushes = parse_script(txin.unlock_script).map(op => op.data);
+        let { type } = solve_script(utxo.script_pubkey);
+
+        // The signatures go to the redeem script, pushed last.
+        if (type === 'scripthash') {
+            type = solve_script(pushes.pop().toString('hex')).type;
+        }
+
+        if (type === 'nonstandard' || type === 'scripthash') {
+            throw new TxnPolicyError(`TxIn[${i}] spends a nonstandard script`, 'bad-txns-nonstandard-inputs');
+        }
+
+        // Multisig signatures follow a dummy push; the other templates take
+        // a single signature first.
+        let sigs = type === 'multisig' ? pushes.slice(1) : pushes.slice(0, 1);
+
+        for (let sig of sigs) {
+            if (sig && len(sig) && !is_canonical_signature(sig.toString('hex'))) {
+                throw new TxnPolicyError(`TxIn[${i}] signature isn't canonically encoded`, 'non-canonical-signature');
+            }
+        }
+    }
+}
+
+/**
+ * Whether the hex signature `sig` is a strict DER encoding of an ECDSA
+ * signature, followed by a defined hash type byte.
+ *
+ * realname IsValidSignatureEncoding
+ */
+function is_canonical_signature(sig) {
+    let buf = Buffer.from(sig, 'hex');
+
+    if (len(buf) < 9 || len(buf) > 73 || !is_valid_hashtype(buf[len(buf) - 1])) {
+        return false;
+    }
+
+    // 0x30 [total length] 0x02 [R length] [R] 0x02 [S length] [S] [hashtype]
+    let r_len = buf[3];
+    let s_len = buf[5 + r_len];
+
+    if (buf[0] !== 0x30 || buf[1] !== len(buf) - 3 || r_len === 0 || 5 + r_len >= len(buf)
+            || r_len + s_len + 7 !== len(buf) || s_len === 0) {
+        return false;
+    }
+
+    for (let [ tag, start, size ] of [ [ 2, 4, r_len ], [ 4 + r_len, 6 + r_len, s_len ] ]) {
+        // Integers are positive, without needless leading zero bytes.
+        if (buf[tag] !== 0x02 || buf[start] & 0x80
+                || size > 1 && buf[start] === 0x00 && !(buf[start + 1] & 0x80)) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+function is_uint32(n) {
+    return Number.isInteger(n) && n >= 0 && n <= 0xffffffff;
+}
+
+// mempool
+// ----------------------------------------------------------------------------
+
+// Set of yet-unmined transactions.
+const mempool = new Map();
+
+// The id of the mempool txn spending each outpoint, so conflicting spends can
+// be found. Only add to or remove from the mempool through `add_to_mempool`
+// and `rm_from_mempool` to keep this in step.
+//
+// realname mapNextTx
+const mempool_spends = new OutPointMap();
+
+// A txin with a sequence number up to this signals the txn may be replaced
+// by one paying a higher fee (see BIP125).
+const MAX_BIP125_RBF_SEQUENCE = 0xfffffffd;
+
+// The most mempool txns a single replacement may evict.
+const MAX_REPLACEMENT_EVICTIONS = 100;
+
+// The most serialized bytes of txns the mempool holds; past that, the
+// lowest-paying are evicted. Set with TC_MAX_MEMPOOL_SIZE.
+const MAX_MEMPOOL_SIZE = Number(process.env['TC_MAX_MEMPOOL_SIZE']) || 50 * 1000 * 1000;
+
+// Drop mempool txns that haven't been mined after this many seconds.
+const MEMPOOL_EXPIRY_SECS = 14 * 24 * 60 * 60;
+
+// How far above the fee rate of evicted txns the minimum fee rate goes.
+//
+// realname DEFAULT_INCREMENTAL_RELAY_FEE
+const INCREMENTAL_RELAY_FEE_RATE = 1000;
+
+// Once raised, the minimum fee rate halves every this many seconds (faster
+// while the mempool is mostly empty).
+//
+// realname CTxMemPool::ROLLING_FEE_HALFLIFE
+const ROLLING_FEE_HALFLIFE_SECS = 12 * 60 * 60;
+
+// The most mempool txns a txn may descend from, counting itself.
+const MAX_MEMPOOL_ANCESTORS = 25;
+
+// The most mempool txns, counting itself, that may descend from a mempool
+// txn.
+const MAX_MEMPOOL_DESCENDANTS = 25;
+
+// When each mempool txn came in, its serialized size, the fee it pays (None
+// if its inputs couldn't be found) and the count, size and fees of it and
+// its descendants together (see `update_descendant_totals`), keyed by txid.
+// Kept in step with the mempool by `add_to_mempool` and `rm_from_mempool`.
+//
+// realname CTxMemPoolEntry
+const mempool_entries = new Map();
+
+// The serialized size of all the txns in the mempool, kept in step the same
+// way.
+//
+// realname CTxMemPool::totalTxSize
+let mempool_usage = 0;
+
+// The minimum fee rate as raised by the last eviction, and when it was last
+// decayed; see `get_min_fee_rate`.
+const rolling_min_fee = { rate: 0, time: Date.time() };
+
+// The most orphan txns we hold onto at once.
+const MAX_ORPHAN_TXNS = 100;
+
+// The most orphan txns we hold onto from a single peer, so one peer can't
+// push out everyone else's.
+const MAX_ORPHAN_TXNS_PER_PEER = 25;
+
+// Orphan txns bigger than this (in serialized bytes) are dropped outright.
+const MAX_ORPHAN_TXN_SIZE = 100000;
+
+// Drop orphan txns whose parents haven't shown up after this many seconds.
+const ORPHAN_TXN_EXPIRE_SECS = 20 * 60;
+
+// Set of orphaned (i.e. has inputs referencing yet non-existent UTXOs)
+// transactions, keyed by txid, oldest first. Each entry is
+// `{ txn, peer_hostname, time }`.
+//
+// realname mapOrphanTransactions
+const orphan_txns = new Map();
+
+// The ids of the orphan txns waiting on each missing outpoint.
+//
+// realname mapOrphanTransactionsByPrev
+const orphan_txns_by_prev = new OutPointMap();
+
+// Parent txns whose orphans are waiting to be retried; see
+// `readmit_orphan_txns`.
+const orphan_txns_queue = [];
+
+function find_utxo_in_mempool(txin) {
+    let { txid, txout_idx } = txin.to_spend;
+    let tx = mempool.get(txid);
+    let txout = tx && tx.txouts[txout_idx];
+
+    if (!txout) {
+        logger.debug("Couldn't find utxo in mempool for %s", txin);
+        return None;
+    }
+
+    return new UnspentTxOut({
+        value: txout.value,
+        script_pubkey: txout.script_pubkey,
+        txid: txid,
+        is_coinbase: false,
+        height: -1,
+        txout_idx: txout_idx
+    });
+}
+
+function add_to_mempool(txn, time = Date.time()) {
+    let size = len(serialize(txn));
+
+    mempool.set(txn.id, txn);
+    mempool_entries.set(txn.id, {
+        time: time,
+        size: size,
+        fee: get_txn_fee(txn)
+    });
+    mempool_usage += size;
+
+    for (let txin of txn.txins) {
+        mempool_spends.set(txin.to_spend, txn.id);
+    }
+
+    // A txn put back from a disconnected block can come after its children,
+    // whose fees we couldn't tell until now.
+    let changed = new Set([ txn.id ]);
+
+    for (let txid of get_mempool_descendants(txn.id)) {
+        let entry = mempool_entries.get(txid);
+
+        if (entry.fee === None) {
+            entry.fee = get_txn_fee(mempool.get(txid));
+            changed.add(txid);
+        }
+    }
+
+    for (let txid of Array.from(changed)) {
+        get_mempool_ancestors(mempool.get(txid), changed);
+    }
+
+    for (let txid of changed) {
+        update_descendant_totals(txid);
+    }
+}
+
+function rm_from_mempool(txid) {
+    let txn = mempool.get(txid);
+
+    if (!txn) {
+        return None;
+    }
+
+    let ancestors = get_mempool_ancestors(txn);
+
+    mempool.delete(txid);
+    mempool_usage -= mempool_entries.get(txid).size;
+    mempool_entries.delete(txid);
+
+    for (let txin of txn.txins) {
+        if (mempool_spends.get(txin.to_spend) === txid) {
+            mempool_spends.delete(txin.to_spend);
+        }
+    }
+
+    for (let ancestor of ancestors) {
+        update_descendant_totals(ancestor);
+    }
+
+    return txn;
+}
+
+/**
+ * Recount the mempool txn `txid` and its descendants after one of them came
+ * or went. The limits on chains of unconfirmed txns keep this short.
+ *
+ * realname CTxMemPool::UpdateForDescendants
+ */
+function update_descendant_totals(txid) {
+    let totals = { desc_count: 0, desc_size: 0, desc_fee: 0 };
+
+    for (let id of get_mempool_descendants(txid)) {
+        let entry = mempool_entries.get(id);
+
+        totals.desc_count += 1;
+        totals.desc_size += entry.size;
+        // As far as we can tell, txns whose inputs are gone pay nothing.
+        totals.desc_fee += entry.fee || 0;
+    }
+
+    Object.assign(mempool_entries.get(txid), totals);
+}
+
+/**
+ * Empty the mempool, along with everything kept in step with it.
+ */
+function clear_mempool() {
+    mempool.clear();
+    mempool_entries.clear();
+    mempool_spends.clear();
+    mempool_usage = 0;
+    rolling_min_fee.rate = 0;
+    rolling_min_fee.time = Date.time();
+}
+
+/**
+ * The id of the mempool txn spending `outpoint`, if any.
+ */
+function get_mempool_spender(outpoint) {
+    // Coinbase txins spend nothing.
+    if (!outpoint) {
+        return None;
+    }
+
+    let txid = mempool_spends.get(outpoint);
+    return txid && mempool.has(txid) ? txid : None;
+}
+
+/**
+ * The ids of the mempool txn `txid` and every mempool txn spending its
+ * outputs, directly or not.
+ *
+ * realname CTxMemPool::CalculateDescendants
+ */
+function get_mempool_descendants(txid, descendants = new Set()) {
+    let txn = mempool.get(txid);
+
+    if (!txn || descendants.has(txid)) {
+        return descendants;
+    }
+
+    descendants.add(txid);
+
+    for (let i = 0; i < len(txn.txouts); i++) {
+        let child = get_mempool_spender(new OutPoint({ txid: txid, txout_idx: i }));
+
+        if (child) {
+            get_mempool_descendants(child, descendants);
+        }
+    }
+
+    return descendants;
+}
+
+/**
+ * The ids of the mempool txns `txn` spends outputs of, directly or not.
+ *
+ * realname CTxMemPool::CalculateMemPoolAncestors
+ */
+function get_mempool_ancestors(txn, ancestors = new Set()) {
+    for (let txin of txn.txins) {
+        let parent = txin.to_spend && mempool.get(txin.to_spend.txid);
+
+        if (parent && !ancestors.has(parent.id)) {
+            ancestors.add(parent.id);
+            get_mempool_ancestors(parent, ancestors);
+        }
+    }
+
+    return ancestors;
+}
+
+/**
+ * Drop the mempool txns spending the same outputs as `txn`, along with
+ * their descendants, e.g. once `txn` has been mined.
+ *
+ * realname CTxMemPool::removeConflicts
+ */
+function remove_mempool_conflicts(txn) {
+    for (let txin of txn.txins) {
+        let conflict = get_mempool_spender(txin.to_spend);
+
+        if (!conflict || conflict === txn.id) {
+            continue;
+        }
+
+        for (let txid of get_mempool_descendants(conflict)) {
+            logger.info(`removing txn ${txid} from mempool: conflicts with ${txn.id}`);
+            rm_from_mempool(txid);
+        }
+    }
+}
+
+/**
+ * The fee `txn` pays: what its inputs are worth less what its outputs are.
+ * Inputs are looked up in the UTXO set, then among `siblings_in_block` if
+ * given, else in the mempool. None if some input can't be found.
+ */
+function get_txn_fee(txn, siblings_in_block = None) {
+    let spent = 0;
+
+    for (let txin of txn.txins) {
+        let utxo = utxo_set.get(txin.to_spend) || (siblings_in_block ?
+            find_utxo_in_list(txin, siblings_in_block) : find_utxo_in_mempool(txin));
+
+        if (!utxo) {
+            return None;
+        }
+
+        spent += utxo.value;
+    }
+
+    return spent - txn.txouts.reduce((sum, txout) => sum + txout.value, 0);
+}
+
+/**
+ * Does `txn` let itself be replaced in the mempool?
+ *
+ * realname SignalsOptInRBF
+ */
+function signals_rbf(txn) {
+    return txn.txins.some(txin => txin.sequence <= MAX_BIP125_RBF_SEQUENCE);
+}
+
+/**
+ * Throw a TxnPolicyError unless `txn` may replace the mempool txns
+ * `conflicts`, which spend some of the same outputs. Otherwise return the
+ * ids of the txns it'd evict: the conflicts and all their descendants.
+ *
+ * Each conflict has to signal replaceability, and `txn` has to pay a higher
+ * fee rate than each, and a higher fee than everything it evicts together,
+ * so replacements can't be used to flood the network for free.
+ *
+ * realname MemPoolAccept::ReplacementChecks
+ */
+function check_replacement(txn, conflicts) {
+    let evicted = new Set();
+
+    for (let txid of conflicts) {
+        if (!signals_rbf(mempool.get(txid))) {
+            throw new TxnPolicyError(`txn conflicts with irreplaceable txn ${txid}`, 'txn-mempool-conflict');
+        }
+
+        get_mempool_descendants(txid, evicted);
+    }
+
+    if (len(evicted) > MAX_REPLACEMENT_EVICTIONS) {
+        throw new TxnPolicyError(`replacement would evict ${len(evicted)} txns`, 'too-many-replacements');
+    }
+
+    for (let txin of txn.txins) {
+        if (evicted.has(txin.to_spend.txid)) {
+            throw new TxnPolicyError('replacement spends a txn it replaces', 'replacement-spends-conflict');
+        }
+    }
+
+    let fee = get_txn_fee(txn);
+    let fee_rate = fee / len(serialize(txn));
+
+    for (let txid of conflicts) {
+        let conflict = mempool.get(txid);
+
+        if (fee_rate <= get_txn_fee(conflict) / len(serialize(conflict))) {
+            throw new TxnPolicyError(`replacement fee rate isn't higher than txn ${txid}'s`, 'insufficient-fee');
+        }
+    }
+
+    let evicted_fees = Array.from(evicted).reduce((sum, txid) => sum + get_txn_fee(mempool.get(txid)), 0);
+
+    if (fee <= evicted_fees) {
+        throw new TxnPolicyError(`replacement fee ${fee} isn't higher than the ${evicted_fees} it evicts`, 'insufficient-fee');
+    }
+
+    return evicted;
+}
+
+function get_fee_rate(fee, size) {
+    return fee * 1000 / size;
+}
+
+/**
+ * The serialized size of all the txns in the mempool.
+ */
+function get_mempool_usage() {
+    return mempool_usage;
+}
+
+/**
+ * The lowest fee rate a txn must pay to get into the mempool: the minimum
+ * relay fee rate, or more if txns had to be evicted lately to make room.
+ *
+ * realname CTxMemPool::GetMinFee
+ */
+function get_min_fee_rate(now = Date.time(), max_size = MAX_MEMPOOL_SIZE) {
+    if (!rolling_min_fee.rate) {
+        return policy.min_relay_fee_rate;
+    }
+
+    let halflife = ROLLING_FEE_HALFLIFE_SECS;
+    let usage = get_mempool_usage();
+
+    if (usage < max_size / 4) {
+        halflife /= 4;
+    }
+    else if (usage < max_size / 2) {
+        halflife /= 2;
+    }
+
+    rolling_min_fee.rate /= 2 ** (Math.max(now - rolling_min_fee.time, 0) / halflife);
+    rolling_min_fee.time = now;
+
+    if (rolling_min_fee.rate < INCREMENTAL_RELAY_FEE_RATE / 2) {
+        rolling_min_fee.rate = 0;
+    }
+
+    return Math.max(rolling_min_fee.rate, policy.min_relay_fee_rate);
+}
+
+/**
+ * Check `txn`, on its way into the mempool, pays at least the minimum fee
+ * rate and doesn't make for too long a chain of unconfirmed txns.
+ */
+function check_mempool_limits(txn, now = Date.time()) {
+    let fee_rate = get_fee_rate(get_txn_fee(txn), len(serialize(txn)));
+    let min_fee_rate = get_min_fee_rate(now);
+
+    if (fee_rate < min_fee_rate) {
+        throw new TxnPolicyError(`Fee rate ${fee_rate} below mempool minimum ${min_fee_rate}`, 'min-fee-not-met');
+    }
+
+    let ancestors = get_mempool_ancestors(txn);
+
+    if (len(ancestors) + 1 > MAX_MEMPOOL_ANCESTORS) {
+        throw new TxnPolicyError(`Too many unconfirmed ancestors (${len(ancestors)})`, 'too-long-mempool-chain');
+    }
+
+    for (let txid of ancestors) {
+        if (mempool_entries.get(txid).desc_count + 1 > MAX_MEMPOOL_DESCENDANTS) {
+            throw new TxnPolicyError(`Too many unconfirmed descendants of ${txid}`, 'too-long-mempool-chain');
+        }
+    }
+}
+
+/**
+ * Drop the mempool txns that have waited too long to be mined, along with
+ * their descendants.
+ *
+ * realname CTxMemPool::Expire
+ */
+function expire_mempool(now = Date.time()) {
+    let expired = new Set();
+
+    for (let [ txid, entry ] of mempool_entries) {
+        if (now - entry.time >= MEMPOOL_EXPIRY_SECS) {
+            get_mempool_descendants(txid, expired);
+        }
+    }
+
+    for (let txid of expired) {
+        logger.debug(`expiring mempool txn ${txid}`);
+        rm_from_mempool(txid);
+    }
+
+    return expired;
+}
+
+/**
+ * Evict mempool txns until the mempool fits in `max_size` bytes, each time
+ * taking the txn whose fee rate, counting its descendants (which go with
+ * it), is lowest. The minimum fee rate is raised above what was evicted, so
+ * the same txns can't just come back in.
+ *
+ * realname CTxMemPool::TrimToSize
+ */
+function trim_mempool(max_size = MAX_MEMPOOL_SIZE, now = Date.time()) {
+    let evicted = new Set();
+
+    while (mempool_usage > max_size) {
+        let worst = None;
+
+        for (let [ txid, entry ] of mempool_entries) {
+            let fee_rate = get_fee_rate(entry.desc_fee, entry.desc_size);
+
+            if (!worst || fee_rate < worst.fee_rate) {
+                worst = { txid, fee_rate };
+            }
+        }
+
+        rolling_min_fee.rate = Math.max(rolling_min_fee.rate, worst.fee_rate + INCREMENTAL_RELAY_FEE_RATE);
+        rolling_min_fee.time = now;
+
+        for (let txid of get_mempool_descendants(worst.txid)) {
+            logger.info(`evicting txn ${txid} from full mempool`);
+            rm_from_mempool(txid);
+            evicted.add(txid);
+        }
+    }
+
+    return evicted;
+}
+
+/**
+ * Expire old txns, then trim the mempool down to `max_size` bytes.
+ *
+ * realname LimitMempoolSize
+ */
+function limit_mempool_size(now = Date.time(), max_size = MAX_MEMPOOL_SIZE) {
+    expire_mempool(now);
+    trim_mempool(max_size, now);
+}
+
+/**
+ * A binary heap of items, where `first(a, b)` says whether `a` comes out
+ * before `b`.
+ */
+class Heap {
+    constructor(first) {
+        this.first = first;
+        this.items = [];
+    }
+
+    get length() {
+        return len(this.items);
+    }
+
+    push(item) {
+        let items = this.items;
+        let i = items.push(item) - 1;
+
+        while (i > 0) {
+            let parent = (i - 1) >> 1;
+
+            if (!this.first(items[i], items[parent])) {
+                break;
+            }
+
+            [ items[i], items[parent] ] = [ items[parent], items[i] ];
+            i = parent;
+        }
+    }
+
+    pop() {
+        let items = this.items;
+        let top = items[0];
+        let last = items.pop();
+
+        if (!len(items)) {
+            return top;
+        }
+
+        items[0] = last;
+
+        for (let i = 0; ;) {
+            let next = i;
+
+            for (let child of [ 2 * i + 1, 2 * i + 2 ]) {
+                if (child < len(items) && this.first(items[child], items[next])) {
+                    next = child;
+                }
+            }
+
+            if (next === i) {
+                break;
+            }
 
-    logger.info('chain reorg! New height: %s, tip: %s', len(active_chain), active_chain[len(active_chain) - 1].id);
+            [ items[i], items[next] ] = [ items[next], items[i] ];
+            i = next;
+        }
 
-    return true;
+        return top;
+    }
 }
 
+// Room left in a block template for the coinbase, which is added once the
+// template is filled.
+const COINBASE_RESERVED_SIZE = 1000;
+
 /**
- * Grep for: GetMedianTimePast.
+ * Fill a Block with transactions from the mempool, returning it along with
+ * the fees they pay.
+ *
+ * Each txn is considered as a package with its ancestors not yet in the
+ * block, and the package with the highest fee rate goes in first. That way a
+ * child paying a high fee gets its low-fee parent mined too
+ * (child-pays-for-parent). Packages too big for the space left are skipped,
+ * so smaller ones behind them can still fill the block.
+ *
+ * realname BlockAssembler::addPackageTxs
  */
-function get_median_time_past(num_last_blocks) {
-    // TODO: improve
-    let copy_chain = active_chain.concat([]);
-    let last_n_blocks = copy_chain.reverse().slice(0, num_last_blocks);
+function select_from_mempool(block) {
+    let max_size = Params.MAX_BLOCK_SERIALIZED_SIZE - COINBASE_RESERVED_SIZE;
+    let block_size = len(serialize(block));
+    let txns = block.txns.concat([]);
+    let total_fees = 0;
+
+    let added = new Set(txns.map(tx => tx.id));
+    // Txns that can't go in this block, nor can their descendants.
+    let failed = new Set();
+    let fees = new Map();
+
+    for (let [ txid, tx ] of mempool) {
+        let fee = get_txn_fee(tx);
+
+        if (fee === None) {
+            logger.debug(`Couldn't find UTXOs for txn ${txid}`);
+            failed.add(txid);
+            continue;
+        }
 
-    if (!len(last_n_blocks)) {
-        return 0;
+        fees.set(txid, fee);
     }
 
-    return last_n_blocks[Math.floor(len(last_n_blocks) / 2)].timestamp;
-}
+    let get_size = txid => mempool_entries.get(txid).size;
 
-// Chain Persistance
-// ----------------------------------------------------------------------------
-const CHAIN_PATH = path.join(__dirname, process.env['TC_CHAIN_PATH'] || 'chain.dat');
+    // Each txn as a package with its ancestors not yet in the block, and
+    // their fee and size together. Worked out once, then only updated for
+    // the descendants of what goes in.
+    //
+    // realname CTxMemPoolModifiedEntry
+    let packages = new Map();
 
-function save_to_disk() {
-    logger.info(`saving chain with ${len(active_chain)} blocks`);
-    fs.writeFileSync(CHAIN_PATH, encode_socket_data(active_chain));
-}
+    // Packages by fee rate, highest first; ties go to the txn that's been in
+    // the mempool longest. A package that's changed since it was pushed is
+    // pushed again, and the old entry skipped.
+    let queue = new Heap((a, b) => a.fee * b.size > b.fee * a.size ||
+                                   a.fee * b.size === b.fee * a.size && a.order < b.order);
 
-function load_from_disk() {
-    if (!fs.existsSync(CHAIN_PATH)) {
-        return;
-    }
+    for (let [ order, txid ] of Array.from(fees.keys()).entries()) {
+        let ancestors = get_mempool_ancestors(mempool.get(txid));
 
-    try {
-        // TODO: read stream
-        let data = fs.readFileSync(CHAIN_PATH);
-        let dataLen = data.readUInt32BE(0);
-        let newBlocks = deserialize(data.slice(4).toString());
+        for (let id of added) {
+            ancestors.delete(id);
+        }
 
-        for (let block of newBlocks) {
-            connect_block(block);
+        if (Array.from(ancestors).some(id => failed.has(id))) {
+            failed.add(txid);
+            continue;
         }
-    } catch (e) {
-        logger.warn('load chain failed, starting from genesis');
-    }
-}
 
-// UTXO set
-// ----------------------------------------------------------------------------
+        let pkg = {
+            txid: txid,
+            order: order,
+            ancestors: ancestors,
+            // Ancestors have fewer ancestors, so this orders parents before
+            // children.
+            depth: len(ancestors),
+            fee: fees.get(txid),
+            size: get_size(txid)
+        };
 
-class UTXOs extends Map {
-    set(k, v) {
-        super.set(this.toStr(k), v);
-    }
+        for (let id of ancestors) {
+            pkg.fee += fees.get(id);
+            pkg.size += get_size(id);
+        }
 
-    get(k) {
-        return super.get(this.toStr(k));
+        packages.set(txid, pkg);
+        queue.push({ txid, order, fee: pkg.fee, size: pkg.size });
     }
 
-    has(k) {
-        return super.has(this.toStr(k));
-    }
+    // Txns can end up in the mempool before their locks are up, e.g. after a
+    // reorg; leave them for a later block.
+    function check_locks(txid) {
+        let tx = mempool.get(txid);
+        let utxos = tx.txins.map(txin => {
+            return utxo_set.get(txin.to_spend) || find_utxo_in_mempool(txin);
+        });
 
-    delete(k) {
-        return super.delete(this.toStr(k));
-    }
+        try {
+            check_txn_locks(tx, utxos);
+        } catch (e) {
+            if (e instanceof TxnValidationError) {
+                logger.debug(`skipping txn ${txid}: ${e.message}`);
+                return false;
+            }
 
-    toStr(k) {
-        return [...k].toString();
-    }
+            throw e;
+        }
 
-    toJSON() {
-        return Array.from(this.entries());
+        return true;
     }
-}
 
-const utxo_set = new UTXOs;
+    while (len(queue)) {
+        let { txid, fee, size } = queue.pop();
+        let pkg = packages.get(txid);
 
-function add_to_utxo(txout, tx, idx, is_coinbase, height) {
-    let utxo = new UnspentTxOut({
-        value: txout.value,
-        to_address: txout.to_address,
-        txid: tx.id,
-        txout_idx: idx,
-        is_coinbase: is_coinbase,
-        height: height
-    });
+        if (added.has(txid) || failed.has(txid) || fee !== pkg.fee || size !== pkg.size) {
+            continue;
+        }
 
-    logger.info(`adding tx outpoint ${JSON.stringify(utxo.outpoint)} to utxo_set`);
-    utxo_set.set(utxo.outpoint, utxo);
-}
+        let ids = Array.from(pkg.ancestors).concat([ txid ]);
 
-function rm_from_utxo(txid, txout_idx) {
-    utxo_set.delete(new OutPoint({ txid: txid, txout_idx: txout_idx }));
-}
+        // The block only fills up, so a package that doesn't fit now never
+        // will.
+        if (ids.some(id => failed.has(id)) || block_size + size > max_size) {
+            failed.add(txid);
+            continue;
+        }
 
-function find_utxo_in_list(txin, txns) {
-    let { txid, txout_idx } = txin.to_spend;
-    let txout;
+        ids.sort((a, b) => packages.get(a).depth - packages.get(b).depth);
 
-    try {
-        txout = txns.filter( t => {
-            return t.id === txid;
-        })[0].txouts[txout_idx];
-    } catch (e) {
-        return None;
-    }
+        let locked = ids.find(id => !check_locks(id));
 
-    return new UnspentTxOut({
-        value: txout.value,
-        to_address: txout.to_address,
-        txid: tx.id,
-        txout_idx: txout_idx,
-        is_coinbase: false,
-        height: -1
-    });
-}
+        if (locked) {
+            failed.add(locked);
+            failed.add(txid);
+            continue;
+        }
 
-// Proof of work
-// ----------------------------------------------------------------------------
+        for (let id of ids) {
+            logger.debug(`added tx ${id} to block`);
+            txns.push(mempool.get(id));
+            added.add(id);
+        }
 
-/**
- * Based on the chain, return the number of difficulty bits the next block
- * must solve.
- */
-function get_next_work_required(prev_block_hash) {
-    if (prev_block_hash === 'None') {
-        return Params.INITIAL_DIFFICULTY_BITS;
-    }
+        block_size += size;
+        total_fees += fee;
 
-    let [ prev_block, prev_height, _ ] = locate_block(prev_block_hash);
+        // The descendants still waiting no longer need what went in.
+        //
+        // realname BlockAssembler::UpdatePackagesForAdded
+        let changed = new Set();
 
-    if ((prev_height + 1) % Params.DIFFICULTY_PERIOD_IN_BLOCKS !== 0) {
-        return prev_block.bits;
-    }
+        for (let id of ids) {
+            for (let desc of get_mempool_descendants(id)) {
+                let desc_pkg = packages.get(desc);
 
-    // with chain_lock:
-    //     # #realname CalculateNextWorkRequired
-    let period_start_block = active_chain[Math.max(
-            prev_height - (Params.DIFFICULTY_PERIOD_IN_BLOCKS - 1), 0)];
+                if (added.has(desc) || !desc_pkg || !desc_pkg.ancestors.has(id)) {
+                    continue;
+                }
 
-    let actual_time_taken = prev_block.timestamp - period_start_block.timestamp;
+                desc_pkg.ancestors.delete(id);
+                desc_pkg.fee -= fees.get(id);
+                desc_pkg.size -= get_size(id);
+                changed.add(desc_pkg);
+            }
+        }
 
-    if (actual_time_taken < Params.DIFFICULTY_PERIOD_IN_SECS_TARGET) {
-        // Increase the difficulty
-        return prev_block.bits + 1;
-    }
-    else if (actual_time_taken > Params.DIFFICULTY_PERIOD_IN_SECS_TARGET) {
-        return prev_block.bits - 1;
-    }
-    else {
-        // Wow, that's unlikely.
-        return prev_block.bits;
+        for (let desc_pkg of changed) {
+            queue.push({ txid: desc_pkg.txid, order: desc_pkg.order, fee: desc_pkg.fee, size: desc_pkg.size });
+        }
     }
+
+    let newblock = new Block({
+        version: block.version,
+        prev_block_hash: block.prev_block_hash,
+        merkle_hash: block.merkle_hash,
+        timestamp: block.timestamp,
+        bits: block.bits,
+        nonce: block.nonce,
+        txns: txns
+    });
+
+    return [ newblock, total_fees ];
 }
 
 /**
- * Given the txns in a Block, subtract the amount of coin output from the
- * inputs. This is kept as a reward by the miner.
+ * `peer_hostname` is the peer the txn came from, if any. Returns a
+ * RejectMsg saying why, if the txn didn't make it in.
  */
-function calculate_fees(block) {
-    let fee = 0;
+function add_txn_to_mempool(txn, peer_hostname = None) {
+    if (mempool.has(txn.id)) {
+        logger.info(`txn ${txn.id} already seen`);
+        return new RejectMsg({ txid: txn.id, reason: 'txn-already-in-mempool', msg: 'Already in the mempool' });
+    }
+
+    let evicted = new Set();
+
+    try {
+        // A txn spending an output twice conflicts with itself, and would
+        // have its fee counted twice over.
+        txn.validate_basics();
+        check_standard_txn(txn);
+        txn = validate_txn(txn);
+        check_standard_inputs(txn);
+        check_mempool_limits(txn);
+
+        let conflicts = new Set(txn.txins.map(txin => get_mempool_spender(txin.to_spend)).filter(txid => txid));
+
+        if (len(conflicts)) {
+            evicted = check_replacement(txn, conflicts);
+        }
+    } catch (e) {
+        if (e.to_orphan) {
+            logger.info(`txn ${e.to_orphan.id} submitted as orphan`);
+            add_orphan_txn(e.to_orphan, peer_hostname);
+            return;
+        }
 
-    function utxo_from_block(txin) {
-        let tx = block.txns.filter(t => {
-            return t.id === txin.to_spend.txid;
-        }).map(t => t.txouts);
+        // Nothing a peer sends should take the node down, so it gets told
+        // that something went wrong instead.
+        if (!(e instanceof TxnValidationError)) {
+            if (!peer_hostname) {
+                throw e;
+            }
 
-        if (len(tx)) {
-            return tx[0][txin.to_spend.txout_idx];
+            logger.error(`txn ${txn.id} from ${peer_hostname} failed unexpectedly: %o`, e);
+            return new RejectMsg({ txid: txn.id, reason: 'error', msg: 'Unexpected error' });
         }
 
-        return None;
+        logger.warn('txn rejected: %o', e);
+        return new RejectMsg({
+            txid: txn.id,
+            reason: e.reason || 'invalid',
+            msg: e.msg.slice(0, MAX_MESSAGE_STRING_SIZE)
+        });
     }
 
-    function find_utxo(txin) {
-        return utxo_set.get(txin.to_spend) || utxo_from_block(txin);
+    for (let txid of evicted) {
+        logger.info(`txn ${txid} replaced by ${txn.id}`);
+        rm_from_mempool(txid);
     }
 
-    for (let txn of block.txns) {
-        let spent = txn.txins.reduce((sum, i) => {
-            return sum + find_utxo(i).value;
-        }, 0);
+    add_to_mempool(txn);
+    limit_mempool_size();
 
-        let sent = txn.txouts.reduce((sum, o) => {
-            return sum + o.value;
-        }, 0);
-
-        fee += (spent - sent);
+    if (!mempool.has(txn.id)) {
+        logger.info(`txn ${txn.id} rejected: mempool full`);
+        return new RejectMsg({ txid: txn.id, reason: 'mempool-full', msg: 'Mempool full' });
     }
 
-    return fee;
-}
-
-function get_block_subsidy() {
-    let halvings = Math.floor(len(active_chain) / Params.HALVE_SUBSIDY_AFTER_BLOCKS_NUM);
+    logger.info(`txn ${txn.id} added to mempool`);
 
-    if (halvings >= 64) {
-        return 0;
+    for (let peer of peer_hostnames) {
+        send_to_peer(txn, peer);
     }
 
-    return Math.floor(50 * Params.BELUSHIS_PER_COIN / Math.pow(2, halvings));
+    readmit_orphan_txns(txn);
 }
 
 /**
- * Construct a Block by pulling transactions from the mempool, then mine it.
+ * Hold onto a txn spending outputs we haven't seen yet, indexed by each of
+ * the outpoints it's waiting on.
  */
-const assemble_and_solve_block = async function (pay_coinbase_to_addr, txns = None) {
-    let prev_block_hash = active_chain[len(active_chain) - 1].id;
+function add_orphan_txn(txn, peer_hostname = None, time = Date.time()) {
+    let txid = txn.id;
 
-    let block = new Block({
-        'version': 0,
-        'prev_block_hash': prev_block_hash,
-        'merkle_hash': '',
-        'timestamp': Date.time(),
-        'bits': get_next_work_required(prev_block_hash),
-        'nonce': 0,
-        'txns': txns || []
-    });
+    expire_orphan_txns(time);
 
-    if (!len(block.txns)) {
-        block = select_from_mempool(block);
+    if (orphan_txns.has(txid)) {
+        return;
     }
 
-    let fees = calculate_fees(block);
-    let coinbase_txn = Transaction.create_coinbase(
-        pay_coinbase_to_addr, (get_block_subsidy() + fees), len(active_chain));
-
-    block.set('txns', [ coinbase_txn ].concat(block.txns));
-    block.set('merkle_hash',get_merkle_root_of_txns(block.txns).val);
-
-    if (len(serialize(block)) > Params.MAX_BLOCK_SERIALIZED_SIZE) {
-        throw new Error('txns specified create a block too large');
+    if (len(serialize(txn)) > MAX_ORPHAN_TXN_SIZE) {
+        logger.info(`ignoring large orphan txn ${txid}`);
+        return;
     }
 
-    return await mine(block);
-};
+    let from_peer = Array.from(orphan_txns.values()).filter(o => {
+        return o.peer_hostname === peer_hostname;
+    });
 
-class Child {
-    constructor(resolve, reject, file = 'worker.js') {
-        const bin = process.argv[0];
-        const options = { stdio: 'pipe', env: process.env };
+    if (len(from_peer) >= MAX_ORPHAN_TXNS_PER_PEER) {
+        logger.info(`[p2p] too many orphan txns from ${peer_hostname}, evicting the oldest`);
+        rm_orphan_txn(from_peer[0].txn.id);
+    }
 
-        this._resolve = resolve;
-        this._reject = reject;
+    if (len(orphan_txns) >= MAX_ORPHAN_TXNS) {
+        let oldest = orphan_txns.keys().next().value;
+        logger.debug(`orphan txn pool full, evicting ${oldest}`);
+        rm_orphan_txn(oldest);
+    }
 
-        this._worker = cp.spawn(bin, [ path.resolve(__dirname, file) ], options);
-        this._miner = new SocketMessageHandle(data => {
-            let { nonce, error } = data;
-            if (nonce === undefined) {
-                return reject(error);
-            }
+    orphan_txns.set(txid, { txn, peer_hostname, time });
 
-            resolve(nonce);
-        });
+    for (let txin of txn.txins) {
+        if (utxo_set.has(txin.to_spend) || find_utxo_in_mempool(txin)) {
+            continue;
+        }
 
-        this.init();
+        if (!orphan_txns_by_prev.has(txin.to_spend)) {
+            orphan_txns_by_prev.set(txin.to_spend, new Set());
+        }
+        orphan_txns_by_prev.get(txin.to_spend).add(txid);
     }
+}
 
-    init() {
-        this._worker.unref();
-        this._worker.stdin.unref();
-        this._worker.stdout.unref();
-        this._worker.stderr.unref();
-
-        this._worker.stdout.on('data', chunk => {
-            this._miner.read_all_from_socket(chunk);
-        });
+function rm_orphan_txn(txid) {
+    let orphan = orphan_txns.pop(txid);
 
-        let onError = this.destroy.bind(this);
-        this._worker.on('error', onError);
-        this._worker.stdin.on('error', onError);
-        this._worker.stdout.on('error', onError);
+    if (!orphan) {
+        return None;
     }
 
-    send(data) {
-        this._worker.stdin.write(encode_socket_data(data));
-    }
+    for (let txin of orphan.txn.txins) {
+        let waiting = orphan_txns_by_prev.get(txin.to_spend);
 
-    destroy(err = { message: 'interrupt' }) {
-        this._reject(err);
-        if (!this._worker.killed) {
-            this._worker.kill();
+        if (waiting) {
+            waiting.delete(txid);
+
+            if (!len(waiting)) {
+                orphan_txns_by_prev.delete(txin.to_spend);
+            }
         }
     }
+
+    return orphan;
 }
 
-class Miner extends Set {
-    set() {
-        for (let child of this.values()) {
-            child.destroy();
-            this.delete(child);
+function expire_orphan_txns(now = Date.time()) {
+    // `orphan_txns` is ordered oldest first.
+    for (let [ txid, orphan ] of orphan_txns) {
+        if (now - orphan.time < ORPHAN_TXN_EXPIRE_SECS) {
+            break;
         }
+
+        logger.debug(`expiring orphan txn ${txid}`);
+        rm_orphan_txn(txid);
     }
 }
 
-// Signal to communicate to the mining thread that it should stop mining because
-// we've updated the chain with a new block.
-const mine_interrupt = new Miner();
-
-const mine = async function mine(block) {
-    let start = Date.time();
-
-    let nonce = await new Promise((resolve, reject) => {
-        let miner = new Child(resolve, reject);
-        mine_interrupt.add(miner);
-
-        miner.send({
-            'header': [
-                block.version,
-                block.prev_block_hash,
-                block.merkle_hash,
-                block.timestamp,
-                block.bits,
-                block.nonce
-            ],
-            'bits': block.bits
-        });
-    }).catch(err => {
-        logger.error('mine error %s', err.message)
-        return -1;
-    });
+/**
+ * Retry the orphans waiting on outputs of `parent`, which has just entered
+ * the mempool or been connected in a block. Orphans that get in go on to
+ * readmit their own dependents; the work is queued and drained by the
+ * outermost call.
+ */
+function readmit_orphan_txns(parent) {
+    orphan_txns_queue.push(parent);
 
-    if (nonce === -1) {
-        return None;
+    if (len(orphan_txns_queue) > 1) {
+        return;
     }
 
-    let duration = (Date.time() - start) || 0.001;
-    let khs = Math.floor((nonce / duration) / 1000);
-    logger.info('mined block! %d s - %d KH/s %d', duration, khs, nonce);
+    try {
+        while (len(orphan_txns_queue)) {
+            let tx = orphan_txns_queue[0];
+
+            for (let i = 0; i < len(tx.txouts); i++) {
+                let waiting = orphan_txns_by_prev.get(new OutPoint({ txid: tx.id, txout_idx: i }));
 
-    return new Block({
-        version: block.version,
-        prev_block_hash: block.prev_block_hash,
-        merkle_hash: block.merkle_hash,
-        timestamp: block.timestamp,
-        bits: block.bits,
-        nonce: nonce,
-        txns: block.txns
-    });
-};
+                for (let txid of Array.from(waiting || [])) {
+                    let { txn, peer_hostname } = rm_orphan_txn(txid);
 
-const mine_forever = async function mine_forever() {
-    for (;;) {
-        let my_address = init_wallet()[2];
-        let block = await assemble_and_solve_block(my_address);
+                    logger.info(`retrying orphan txn ${txid}`);
+                    add_txn_to_mempool(txn, peer_hostname);
+                }
+            }
 
-        if (block) {
-            connect_block(block);
-            save_to_disk();
+            orphan_txns_queue.shift();
         }
+    } finally {
+        orphan_txns_queue.splice(0);
     }
-};
+}
 
-// Validation
+// Merkle trees
 // ----------------------------------------------------------------------------
 
+class MerkleNode extends Map {
+    constructor({ val = '', children = [] }) {
+        super([
+            ['val', val],
+            ['children', children]
+        ]);
+    }
+
+    get val() {
+        return this.get('val');
+    }
+
+    get children() {
+        return this.get('children');
+    }
+}
+
+// Stands in for the coinbase's wtxid, as the coinbase holds the root of the
+// witness Merkle tree.
+const COINBASE_WTXID = '0'.repeat(64);
+
+// Blocks from this version on hash the leaves of their Merkle trees apart
+// from the inner nodes, each with its own prefix byte, so that no leaf can
+// pass for an inner node or the other way around.
+//
+// realname RFC 6962
+const TAGGED_MERKLE_VERSION = 1;
+
+const MERKLE_LEAF_PREFIX = '00';
+const MERKLE_NODE_PREFIX = '01';
+
+// The version of the blocks we mine.
+//
+// realname CBlockHeader::CURRENT_VERSION
+const BLOCK_VERSION = TAGGED_MERKLE_VERSION;
+
 /**
- * Validate a single transaction. Used in various contexts, so the
- * parameters facilitate different uses.
+ * How the Merkle tree of a block of `version` hashes a leaf, and a pair of
+ * nodes into their parent. All values are hex.
  */
-function validate_txn(txn, as_coinbase = false, siblings_in_block = None, allow_utxo_from_mempool = true) {
-    txn.validate_basics(as_coinbase);
+function get_merkle_hashers(version = 0) {
+    let prefixes = version >= TAGGED_MERKLE_VERSION ?
+        [ MERKLE_LEAF_PREFIX, MERKLE_NODE_PREFIX ] : [ '', '' ];
+
+    return {
+        leaf: l => sha256d(Buffer.from(prefixes[0] + l, 'hex')),
+        node: (l, r) => sha256d(Buffer.from(prefixes[1] + l + r, 'hex'))
+    };
+}
 
-    let available_to_spend = 0;
+/**
+ * The Merkle root of the ids of `txns` or, with `witness`, of their wtxids,
+ * for a block of `version`.
+ */
+function get_merkle_root_of_txns(txns, witness = false, version = 0) {
+    return build_merkle_tree(txns.map(t => {
+        if (!witness) {
+            return t.id;
+        }
 
-    for (let [ i, txin ] of txn.txins.entries()) {
-        let utxo = utxo_set.get(txin.to_spend);
+        return t.is_coinbase ? COINBASE_WTXID : t.wtxid;
+    }), version);
+}
 
-        if (siblings_in_block) {
-            utxo = utxo || find_utxo_in_list(txin, siblings_in_block);
-        }
+/**
+ * The witness Merkle root the `coinbase` commits to, if any.
+ */
+function get_witness_commitment(coinbase) {
+    let pushes = get_script_pushes(coinbase.txins[0].unlock_script);
+    return pushes && len(pushes) > 1 ? pushes[1].toString('hex') : None;
+}
 
-        if (allow_utxo_from_mempool) {
-            utxo = utxo || find_utxo_in_mempool(txin);
-        }
+/**
+ * Builds a Merkle tree and returns the root given some leaf values: hashes
+ * (txids) as hex, hashed as in a block of `version`. A level with an odd
+ * number of nodes pairs the last one with itself; that goes for every level,
+ * where only the leaves used to be padded and blocks such as ones with 6
+ * txns couldn't be validated at all.
+ */
+function build_merkle_tree(leaves, version = 0) {
+    let { leaf, node } = get_merkle_hashers(version);
 
-        if (!utxo) {
-            throw new TxnValidationError(
-                `Could find no UTXO for TxIn[${i}] -- orphaning txn`,
-                txn);
+    function find_root(nodes) {
+        if (len(nodes) % 2 == 1) {
+            nodes = nodes.concat([ nodes[len(nodes) - 1] ]);
         }
 
-        if (utxo.is_coinbase
-            && (get_current_height() - utxo.height) < Params.COINBASE_MATURITY) {
+        let newlevel = _chunks(nodes, 2).map(pair => {
+            let [ i1, i2 ] = pair;
+            return new MerkleNode({
+                val: node(i1.val, i2.val),
+                children: [i1, i2]
+            });
+        });
 
-            throw new TxnValidationError('Coinbase UTXO not ready for spend');
+        if (newlevel.length > 1) {
+            return find_root(newlevel);
         }
 
-        try {
-            validate_signature_for_spend(txin, utxo, txn);
-        } catch (e) {
-            if (e instanceof TxUnlockError) {
-                throw new TxnValidationError(`${txin} is not a valid spend of ${utxo}`);
-            }
+        return newlevel[0];
+    }
 
-            throw e;
-        }
+    return find_root(leaves.map(l => {
+        return new MerkleNode({ val: leaf(l) });
+    }));
+}
 
-        available_to_spend += utxo.value;
+/**
+ * The root of the Merkle tree of `leaves`, built as for version 0 blocks
+ * (see `build_merkle_tree`).
+ */
+function get_merkle_root(...leaves) {
+    return build_merkle_tree(leaves);
+}
+
+/**
+ * Could the txns under `root` have been repeated without changing it? As the
+ * last node of an odd level is paired with itself, the txns [ 1, 2, 3 ] have
+ * the same root as [ 1, 2, 3, 3 ], and [ 1, 2, 3, 4, 5, 6 ] as
+ * [ 1, 2, 3, 4, 5, 6, 5, 6 ]. Those show as a pair of distinct but equal
+ * nodes.
+ *
+ * realname ComputeMerkleRoot `mutated`
+ */
+function is_merkle_tree_mutated(root) {
+    if (!len(root.children)) {
+        return false;
     }
 
-    if (available_to_spend < txn.txouts.reduce((sum, i) => { return sum + i.value; }, 0)) {
-        throw new TxnValidationError('Spend value is more than available');
+    let [ left, right ] = root.children;
+
+    if (left !== right && left.val === right.val) {
+        return true;
     }
 
-    return txn;
+    return is_merkle_tree_mutated(left) || (left !== right && is_merkle_tree_mutated(right));
 }
 
-function validate_signature_for_spend(txin, utxo, txn) {
-    let pubkey_as_addr = pubkey_to_address(txin.unlock_pk);
-
-    if (pubkey_as_addr != utxo.to_address) {
-        throw new TxUnlockError("Pubkey doesn't match");
+/**
+ * Proof that the txn `txid` is in the block with `header`. `branch` holds the
+ * hashes paired with the txn's on the way up the Merkle tree, lowest first,
+ * and the bits of `index`, the txn's position in the block, say on which
+ * side each goes.
+ *
+ * realname CMerkleBlock
+ */
+class MerkleProof extends Map {
+    constructor({ txid, header, index, branch }) {
+        super([
+            ['txid', txid],
+            ['header', header],
+            ['index', index],
+            ['branch', branch]
+        ]);
     }
 
-    let spend_msg = build_spend_message(
-        txin.to_spend, txin.unlock_pk, txin.sequence, txn.txouts);
+    get txid() {
+        return this.get('txid');
+    }
 
-    let verifying_key = new rsasign.Signature({ "alg": 'SHA256withECDSA' });
-    verifying_key.init({ xy: txin.unlock_pk, curve: 'secp256k1' });
-    verifying_key.updateString(spend_msg);
+    get header() {
+        return this.get('header');
+    }
 
-    if (verifying_key.verify(txin.unlock_sig)) {
-        return true;
+    get index() {
+        return this.get('index');
     }
-    else {
-        throw new TxUnlockError("Signature doesn't match");
+
+    get branch() {
+        return this.get('branch');
     }
 }
 
 /**
- * This should be ~roughly~ equivalent to SIGHASH_ALL.
+ * The hashes paired with the `index`th leaf's on the way up to the Merkle
+ * root of `leaves` in a block of `version`, lowest first.
  */
-function build_spend_message(to_spend, pk, sequence, txouts) {
-    return sha256d(serialize(to_spend) + sequence + pk + serialize(txouts));
-}
+function get_merkle_branch(leaves, index, version = 0) {
+    let branch = [];
+    let node = build_merkle_tree(leaves, version);
+    let depth = 0;
 
-function validate_block(block) {
-    if (!len(block.txns)) {
-        throw new BlockValidationError('txns empty');
+    for (let n = node; len(n.children); n = n.children[0]) {
+        depth++;
     }
 
-    if (block.timestamp - Date.time() > Params.MAX_FUTURE_BLOCK_TIME) {
-        throw new BlockValidationError('Block timestamp too far in future');
+    // Down from the root, taking the bits of `index` highest first.
+    while (depth--) {
+        let bit = (index >> depth) & 1;
+        branch.unshift(node.children[1 - bit].val);
+        node = node.children[bit];
     }
 
-    let a = new BN(block.id, 16);
-    let b = new BN(0);
+    return branch;
+}
 
-    if (a.gt(b.bincn(256 - block.bits))) {
-        throw new BlockValidationError("Block header doesn't satisfy bits");
-    }
+/**
+ * The Merkle root that `branch` (see `get_merkle_branch`) leads to from the
+ * `index`th leaf, `leaf`, in a block of `version`.
+ */
+function get_merkle_root_from_branch(leaf, index, branch, version = 0) {
+    let hashers = get_merkle_hashers(version);
+    let val = hashers.leaf(leaf);
 
-    if (!block.txns[0].is_coinbase) {
-        throw new BlockValidationError('First txn must be coinbase and no more');
+    for (let h of branch) {
+        val = index & 1 ? hashers.node(h, val) : hashers.node(val, h);
+        index >>= 1;
     }
 
-    let i, txn;
-    try {
-        for ([ i, txn ] of block.txns.entries()) {
-            txn.validate_basics(i === 0);
-        }
-    } catch (e) {
-        if (e instanceof TxnValidationError) {
-            logger.warn(`Transaction ${txn} in ${block} failed to validate`);
-            throw new BlockValidationError(`Invalid txn ${txn.id}`);
-        }
+    return val;
+}
 
-        throw e;
+/**
+ * A MerkleProof that the txn `txid` is in `block`, or None if it isn't.
+ */
+function make_merkle_proof(block, txid) {
+    let txids = block.txns.map(t => t.id);
+    let index = txids.indexOf(txid);
+
+    if (index === -1) {
+        return None;
     }
 
-    if (get_merkle_root_of_txns(block.txns).val !== block.merkle_hash) {
-        throw new BlockValidationError('Merkle hash invalid');
+    return new MerkleProof({
+        txid: txid,
+        header: block.strip_txns(),
+        index: index,
+        branch: get_merkle_branch(txids, index, block.version)
+    });
+}
+
+/**
+ * Does `proof` show its txn to be in a block with its header, and does that
+ * header carry the proof-of-work it claims? Needs nothing but the proof, so
+ * whoever checks it only has to know the header is in the chain they follow.
+ *
+ * Only blocks from TAGGED_MERKLE_VERSION on can prove their txns: in older
+ * ones, the two hashes under an inner node make a 64-byte "txn" whose id is
+ * that node's, so a branch could prove a txn that was never mined.
+ *
+ * realname verifytxoutproof
+ */
+function verify_merkle_proof(proof) {
+    let header = proof.header;
+
+    if (header.version < TAGGED_MERKLE_VERSION) {
+        return false;
     }
 
-    if (block.timestamp <= get_median_time_past(11)) {
-        throw new BlockValidationError('timestamp too old');
+    // Each level of the tree takes a bit of the index, so there can't be any
+    // left over.
+    if (proof.index >= 2 ** len(proof.branch)) {
+        return false;
     }
 
-    let prev_block_chain_idx;
-    let prev_block;
-    let prev_block_height;
-    if (block.prev_block_hash === 'None' && !len(active_chain)) {
-        // This is the genesis block.
-        prev_block_chain_idx = ACTIVE_CHAIN_IDX;
+    if (!check_proof_of_work(header.id, header.bits)) {
+        return false;
     }
-    else {
-        [ prev_block, prev_block_height, prev_block_chain_idx ] = locate_block(
-            block.prev_block_hash);
 
-        if (!prev_block) {
-            throw new BlockValidationError(
-                `prev block ${block.prev_block_hash} not found in any chain`,
-                block);
-        }
+    let root = get_merkle_root_from_branch(proof.txid, proof.index, proof.branch, header.version);
+    return root === header.merkle_hash;
+}
 
-        // No more validation for a block getting attached to a branch.
-        if (prev_block_chain_idx !== ACTIVE_CHAIN_IDX) {
-            return [ block, prev_block_chain_idx ];
-        }
-        // Prev. block found in active chain, but isn't tip => new fork.
-        else if (prev_block !== active_chain[len(active_chain) - 1]) {
-            // Non-existent
-            return [ block , prev_block_chain_idx + 1 ];
-        }
+// Initial block download
+// ----------------------------------------------------------------------------
+
+// The most headers a HeadersMsg carries.
+//
+// realname MAX_HEADERS_RESULTS
+const MAX_HEADERS_RESULTS = 2000;
+
+// The most blocks we ask a single peer for at once.
+const MAX_BLOCKS_IN_TRANSIT_PER_PEER = 16;
+
+// Ask another peer for a block if it hasn't shown up after this many seconds.
+const BLOCK_DOWNLOAD_TIMEOUT_SECS = 60;
+
+// Give up on the initial block download when it hasn't made progress for
+// this many seconds, and carry on with the chain we have.
+const IBD_STALL_SECS = 60;
+
+// The blocks we've asked peers for, keyed by id. Each entry is
+// `{ peer_hostname, time }`.
+//
+// realname mapBlocksInFlight
+const blocks_in_flight = new Map();
+
+// Peers that sent us less than a full batch of headers, i.e. that we've got
+// all the headers of.
+const headers_synced_peers = new Set();
+
+// When we last got new headers or blocks during the initial block download.
+let last_ibd_progress = Date.time();
+
+/**
+ * A flag others can wait on until it's set.
+ *
+ * realname threading.Event
+ */
+class Event {
+    constructor() {
+        this.flag = false;
+        this.waiters = [];
     }
 
-    if (get_next_work_required(block.prev_block_hash) !== block.bits) {
-        throw new BlockValidationError('bits is incorrect');
+    is_set() {
+        return this.flag;
     }
 
-    for (let txn of block.txns.slice(1)) {
-        try {
-            validate_txn(txn, block.txns.slice(1), false);
-        } catch (e) {
-            if (e instanceof TxnValidationError) {
-                let msg = `${txn} failed to validate`;
-                logger.warn(msg)
-                throw new BlockValidationError(msg);
-            }
+    set() {
+        this.flag = true;
 
-            throw e;
+        for (let resolve of this.waiters.splice(0)) {
+            resolve();
         }
     }
 
-    return [ block, prev_block_chain_idx ];
+    wait() {
+        if (this.flag) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => this.waiters.push(resolve));
+    }
 }
 
-// mempool
-// ----------------------------------------------------------------------------
+// Signal when the initial block download has completed.
+const ibd_done = new Event();
 
-// Set of yet-unmined transactions.
-const mempool = new Map();
+/**
+ * The headers of the blocks in the active chain after the first block of
+ * `locator` that's in it.
+ */
+function find_headers_for_locator(locator) {
+    // If we don't recognize any of the blocks, start at the genesis block.
+    let start = 1;
 
-// Set of orphaned (i.e. has inputs referencing yet non-existent UTXOs)
-// transactions.
-const orphan_txns = [];
+    for (let block_id of locator) {
+        let [ block, height ] = locate_block(block_id, active_chain);
 
-function find_utxo_in_mempool(txin) {
-    let { txid, idx } = txin.to_spend;
-    let txout;
+        if (block) {
+            start = height + 1;
+            break;
+        }
+    }
 
-    console.log(txid, idx);
+    return active_chain.slice(start, start + MAX_HEADERS_RESULTS).map(b => b.strip_txns());
+}
 
-    try {
-        txout = mempool.get(txid).txouts[idx];
-    } catch (e) {
-        logger.debug("Couldn't find utxo in mempool for %s", txin);
-        return None;
+/**
+ * Start fetching headers from every peer.
+ */
+function start_headers_sync() {
+    for (let peer of peer_hostnames) {
+        send_to_peer(new GetHeadersMsg({ locator: get_block_locator(best_header) }), peer);
     }
-
-    return new UnspentTxOut({
-        value: txout.value,
-        to_address: txout.to_address,
-        txid: txid,
-        is_coinbase: false,
-        height: -1,
-        txout_idx: idx
-    });
 }
 
 /**
- * Fill a Block with transactions from the mempool.
+ * Accept the headers a peer sent us, ask it for more if there may be more,
+ * and go fetch the blocks.
  */
-function select_from_mempool(block) {
-    let added_to_block = new Set();
+function process_headers(headers, peer_hostname = None) {
+    let last = None;
 
-    function check_block_size(block) {
-        return len(serialize(block)) < Params.MAX_BLOCK_SERIALIZED_SIZE;
-    }
+    for (let header of headers) {
+        try {
+            last = accept_header(header);
+        } catch (e) {
+            if (!(e instanceof BlockValidationError)) {
+                throw e;
+            }
 
-    function try_add_to_block(block, txid) {
-        if (added_to_block.has(txid)) {
-            return block;
+            logger.warn(`[p2p] ignoring headers from ${peer_hostname}: ${header.id} ${e.message}`);
+            return;
         }
+    }
 
-        let tx = mempool.get(txid);
+    if (len(headers)) {
+        last_ibd_progress = Date.time();
+    }
 
-        // For any txin that can't be found in the main chain, find its
-        // transaction in the mempool (if it exists) and add it to the block.
-        for (const txin of tx.txins) {
+    if (len(headers) === MAX_HEADERS_RESULTS) {
+        let locator = get_block_locator(last.block.id);
+        send_to_peer(new GetHeadersMsg({ locator: locator }), peer_hostname);
+    }
+    else if (peer_hostname) {
+        headers_synced_peers.add(peer_hostname);
+    }
 
-            if (utxo_set.has(txin.to_spend)) {
-                continue;
-            }
+    download_blocks();
+    check_ibd_done();
+}
 
-            let in_mempool = find_utxo_in_mempool(txin);
+/**
+ * The ids of the blocks on the way to the best header that we only have the
+ * header of, lowest first.
+ */
+function get_blocks_to_download() {
+    let ids = [];
+    let entry = block_index.get(best_header);
 
-            if (!in_mempool) {
-                logger.debug(`Couldn't find UTXO for ${txin}`);
-                return null;
-            }
+    while (entry && entry.status === BLOCK_VALID_HEADER) {
+        ids.push(entry.block.id);
+        entry = block_index.get(entry.prev_block_hash);
+    }
 
-            block = try_add_to_block(block, in_mempool.txid);
-            if (!block) {
-                logger.debug("Couldn't add parent")
-                return null;
-            }
+    // A block on the way turned out to be invalid, and so is everything
+    // built on it; find another best header.
+    if (entry && entry.status === BLOCK_FAILED) {
+        for (let block_id of ids) {
+            block_index.get(block_id).set('status', BLOCK_FAILED);
         }
 
-        let newblock = new Block({
-            version: block.version,
-            prev_block_hash: block.prev_block_hash,
-            merkle_hash: block.merkle_hash,
-            timestamp: block.timestamp,
-            bits: block.bits,
-            nonce: block.nonce,
-            txns: block.txns.concat([ tx ])
-        });
+        find_best_header();
+        return get_blocks_to_download();
+    }
+
+    return ids.filter(id => !orphan_blocks.has(id)).reverse();
+}
 
-        if (check_block_size(newblock)) {
-            logger.debug(`added tx ${tx.id} to block`);
-            added_to_block.add(txid);
-            return newblock;
+/**
+ * Hand out the blocks we still need to `peers`, with at most `max_per_peer`
+ * in transit from each, and record them in `blocks_in_flight`. Returns the
+ * ids to request from each peer.
+ */
+function assign_block_downloads(peers, now = Date.time(), max_per_peer = MAX_BLOCKS_IN_TRANSIT_PER_PEER) {
+    for (let [ block_id, { peer_hostname, time } ] of blocks_in_flight) {
+        if (now - time > BLOCK_DOWNLOAD_TIMEOUT_SECS) {
+            logger.info(`[p2p] block ${block_id} from ${peer_hostname} timed out`);
+            blocks_in_flight.delete(block_id);
         }
-
-        return block;
     }
 
-    for (const txid of mempool.keys()) {
-        let newblock = try_add_to_block(block, txid);
+    let wanted = get_blocks_to_download().filter(id => !blocks_in_flight.has(id));
+    let assigned = new Map();
 
-        if (check_block_size(newblock)) {
-            block = newblock;
+    for (let peer of peers) {
+        let in_transit = Array.from(blocks_in_flight.values())
+            .filter(f => f.peer_hostname === peer).length;
+        let block_ids = wanted.splice(0, Math.max(max_per_peer - in_transit, 0));
+
+        for (let block_id of block_ids) {
+            blocks_in_flight.set(block_id, { peer_hostname: peer, time: now });
         }
-        else {
-            break;
+
+        if (len(block_ids)) {
+            assigned.set(peer, block_ids);
         }
     }
 
-    return block;
+    return assigned;
 }
 
-function add_txn_to_mempool(txn) {
-    if (mempool.has(txn.id)) {
-        logger.info(`txn ${txn.id} already seen`);
-        return;
+/**
+ * Request the blocks we still need from all of our peers in parallel.
+ */
+function download_blocks(now = Date.time()) {
+    for (let [ peer, block_ids ] of assign_block_downloads(Array.from(peer_hostnames), now)) {
+        logger.info(`[p2p] requesting ${len(block_ids)} blocks from ${peer}`);
+        send_to_peer(new GetDataMsg({ block_ids: block_ids }), peer);
     }
+}
 
-    try {
-        txn = validate_txn(txn);
-    } catch (e) {
-        if (e.to_orphan) {
-            logger.info(`txn ${e.to_orphan.id} submitted as orphan`);
-            orphan_txns.push(e.to_orphan);
-            return;
-        }
-
-        logger.warn('txn rejected: %o', e);
-        return;
+/**
+ * Set `ibd_done` once we've got all the headers some peer has and the blocks
+ * up to the best of them, or once we've stopped making progress.
+ */
+function check_ibd_done(now = Date.time()) {
+    if (ibd_done.is_set()) {
+        return true;
     }
 
-    logger.info(`txn ${txn.id} added to mempool`);
-    mempool.set(txn.id, txn);
+    let tip_id = active_chain[len(active_chain) - 1].id;
+    let headers_synced = !len(peer_hostnames) || len(headers_synced_peers) > 0;
 
-    for (let peer of peer_hostnames) {
-        send_to_peer(txn, peer);
+    if (headers_synced && get_chain_work(tip_id).gte(get_chain_work(best_header))) {
+        logger.info(`[p2p] initial block download complete at height ${len(active_chain) - 1}`);
+        ibd_done.set();
+    }
+    else if (now - last_ibd_progress > IBD_STALL_SECS) {
+        logger.warn('[p2p] initial block download stalled, carrying on with what we have');
+        ibd_done.set();
     }
+
+    return ibd_done.is_set();
 }
 
-// Merkle trees
+// Peer-to-peer
 // ----------------------------------------------------------------------------
 
-class MerkleNode extends Map {
-    constructor({ val = '', children = [] }) {
-        super([
-            ['val', val],
-            ['children', children]
-        ]);
-    }
+const peer_hostnames = new Set((process.env['TC_PEERS'] || '').split(',').filter(p => p));
 
-    get val() {
-        return this.get('val');
-    }
+// A peer is banned once its misbehavior score reaches this.
+//
+// realname DEFAULT_BANSCORE_THRESHOLD
+const BAN_SCORE = 100;
 
-    get children() {
-        return this.get('children');
+// How long a ban lasts.
+//
+// realname DEFAULT_MISBEHAVING_BANTIME
+const BAN_TIME_SECS = 24 * 60 * 60;
+
+// How much a message we can't decode adds to the sender's misbehavior
+// score, by DecodeError reason. A frame can get cut short on the way, so
+// it takes a run of bad messages to get a peer banned; input no honest node
+// would encode counts for more.
+const DECODE_MISBEHAVIOR_SCORES = new Map([
+    // Just another version of the format.
+    [ 'bad-version', 0 ],
+    [ 'truncated', 10 ],
+    [ 'bad-message-size', 20 ],
+    [ 'trailing-data', 20 ],
+    [ 'oversized', 20 ],
+    [ 'malformed', 20 ],
+    [ 'too-deep', 50 ],
+    [ 'bad-type', 50 ],
+    [ 'unknown-type', 50 ],
+    [ 'unexpected-field', 50 ],
+    [ 'unexpected-message', 50 ],
+    [ 'out-of-range', 50 ],
+    [ 'non-canonical', 50 ]
+]);
+
+// The misbehavior score of each peer that has misbehaved.
+const peer_misbehavior = new Map();
+
+// When the ban on each banned peer ends.
+const banned_peers = new Map();
+
+/**
+ * Add `howmuch` to the peer's misbehavior score, banning it once the score
+ * reaches BAN_SCORE. Returns whether the peer is now banned.
+ *
+ * realname Misbehaving
+ */
+function misbehaving(peer_hostname, howmuch, reason) {
+    let score = (peer_misbehavior.get(peer_hostname) || 0) + howmuch;
+
+    logger.warn(`[p2p] peer ${peer_hostname} misbehaving (${reason}), score ${score}`);
+
+    if (score < BAN_SCORE) {
+        peer_misbehavior.set(peer_hostname, score);
+        return false;
     }
-}
 
-function get_merkle_root_of_txns(txns) {
-    return get_merkle_root.apply(null, txns.map(t => t.id));
+    logger.warn(`[p2p] banning peer ${peer_hostname} for ${BAN_TIME_SECS} seconds`);
+    peer_misbehavior.delete(peer_hostname);
+    peer_hostnames.delete(peer_hostname);
+    banned_peers.set(peer_hostname, Date.time() + BAN_TIME_SECS);
+
+    return true;
 }
 
 /**
- * Builds a Merkle tree and returns the root given some leaf values.
+ * Penalise a peer for a message that failed to decode with `err`. Returns
+ * whether the peer is now banned.
  */
-function get_merkle_root(...leaves) {
-    if (len(leaves) % 2 == 1) {
-        leaves.push(leaves[len(leaves) - 1]);
-    }
-
-    function find_root(nodes) {
-        let newlevel = _chunks(nodes, 2).map(node => {
-            let [ i1, i2 ] = node;
-            return new MerkleNode({
-                val: sha256d(i1.val + i2.val),
-                children: [i1, i2]
-            });
-        });
+function misbehaving_decode(peer_hostname, err) {
+    let howmuch = DECODE_MISBEHAVIOR_SCORES.has(err.reason) ?
+        DECODE_MISBEHAVIOR_SCORES.get(err.reason) : DECODE_MISBEHAVIOR_SCORES.get('malformed');
 
-        if (newlevel.length > 1) {
-            return find_root(newlevel);
-        }
+    return howmuch > 0 && misbehaving(peer_hostname, howmuch, err.reason);
+}
 
-        return newlevel[0];
+function is_banned(peer_hostname, now = Date.time()) {
+    if (banned_peers.get(peer_hostname) > now) {
+        return true;
     }
 
-    return find_root(leaves.map(l => {
-        return new MerkleNode({ val: sha256d(l) });
-    }));
+    banned_peers.delete(peer_hostname);
+    return false;
 }
 
-// Peer-to-peer
-// ----------------------------------------------------------------------------
+/**
+ * See https://bitcoin.org/en/developer-guide#headers-first
+ * Request the headers of the blocks following the first block of `locator`
+ * (see `get_block_locator`) that's in the peer's active chain.
+ */
+class GetHeadersMsg extends Map {
+    constructor({ locator }) {
+        super([
+            ['locator', locator]
+        ]);
+    }
 
-const peer_hostnames = new Set((process.env['TC_PEERS'] || '').split(',').filter(p => p));
+    get locator() {
+        return this.get('locator');
+    }
 
-// Signal when the initial block download has completed.
-const ibd_done = {}; /*threading.Event()*/
+    handle(sock, peer_hostname) {
+        logger.info(`[p2p] recv getheaders from ${peer_hostname}`);
+
+        let headers = find_headers_for_locator(this.locator);
+
+        logger.debug(`[p2p] sending ${len(headers)} headers to ${peer_hostname}`);
+        send_to_peer(new HeadersMsg({ headers: headers }), peer_hostname);
+    }
+}
 
 /**
- * See https://bitcoin.org/en/developer-guide#blocks-first
- * Request blocks during initial sync
+ * Convey block headers to a peer who is syncing. A full batch of
+ * MAX_HEADERS_RESULTS means there may be more.
  */
-class GetBlocksMsg extends Map {
-    constructor({ from_blockid, CHUNK_SIZE = 50 }) {
+class HeadersMsg extends Map {
+    constructor({ headers }) {
         super([
-            ['from_blockid', from_blockid],
-            ['CHUNK_SIZE', CHUNK_SIZE]
+            ['headers', headers]
         ]);
     }
 
-    get from_blockid() {
-        return this.get('from_blockid');
+    get headers() {
+        return this.get('headers');
     }
 
-    get CHUNK_SIZE() {
-        return this.get('CHUNK_SIZE');
+    handle(sock, peer_hostname) {
+        logger.info(`[p2p] recv ${len(this.headers)} headers from ${peer_hostname}`);
+        process_headers(this.headers, peer_hostname);
     }
+}
 
-    handle(sock, peer_hostname) {
-        logger.info(`[p2p] recv getblocks from ${peer_hostname}`);
+/**
+ * Request full blocks by id.
+ */
+class GetDataMsg extends Map {
+    constructor({ block_ids }) {
+        super([
+            ['block_ids', block_ids]
+        ]);
+    }
 
-        let [ _, height, __ ] = locate_block(this.from_blockid, active_chain);
+    get block_ids() {
+        return this.get('block_ids');
+    }
 
-        // If we don't recognize the requested hash as part of the active
-        // chain, start at the genesis block.
-        height = height || 1;
+    handle(sock, peer_hostname) {
+        logger.info(`[p2p] recv getdata for ${len(this.block_ids)} blocks from ${peer_hostname}`);
 
-        let blocks = active_chain.slice(height, height + this.CHUNK_SIZE);
+        let blocks = this.block_ids.map(id => locate_block(id)[0]).filter(b => b);
 
-        logger.debug(`[p2p] sending ${len(blocks)} to ${peer_hostname}`);
+        logger.debug(`[p2p] sending ${len(blocks)} blocks to ${peer_hostname}`);
         send_to_peer(new InvMsg({ blocks: blocks }), peer_hostname);
     }
 }
 
 /**
- * Convey blocks to a peer who is doing initial sync
+ * Convey blocks to a peer who asked for them with a GetDataMsg.
  */
 class InvMsg extends Map {
     constructor({ blocks }) {
@@ -1441,26 +5642,19 @@ class InvMsg extends Map {
     }
 
     handle(sock, peer_hostname) {
-        logger.info(`[p2p] recv inv from ${peer_hostname}`);
-
-        let new_blocks = this.blocks.filter(b => {
-            return !locate_block(b.id)[0];
-        });
+        logger.info(`[p2p] recv ${len(this.blocks)} blocks from ${peer_hostname}`);
 
-        if (!len(new_blocks)) {
-            logger.info('[p2p] initial block download complete');
-            return;
+        for (let block of this.blocks) {
+            blocks_in_flight.delete(block.id);
+            connect_block(block, false, peer_hostname);
         }
 
-        for (let block of new_blocks) {
-            connect_block(block);
+        if (len(this.blocks)) {
+            last_ibd_progress = Date.time();
         }
 
-        let new_tip_id = active_chain[len(active_chain) - 1].id;
-        logger.info(`[p2p] continuing initial block download at ${new_tip_id}`);
-
-        // "Recursive" call to continue the initial block sync.
-        send_to_peer(new GetBlocksMsg({ from_blockid: new_tip_id }));
+        download_blocks();
+        check_ibd_done();
     }
 }
 
@@ -1490,6 +5684,46 @@ class GetMempoolMsg extends Map {
     }
 }
 
+/**
+ * Get a txn from the mempool, or None if it isn't there.
+ */
+class GetMempoolTxnMsg extends Map {
+    constructor({ txid }) {
+        super([
+            ['txid', txid]
+        ]);
+    }
+
+    get txid() {
+        return this.get('txid');
+    }
+
+    handle(sock, peer_hostname) {
+        sock.end(encode_socket_data(mempool.get(this.txid) || None));
+    }
+}
+
+/**
+ * How full the mempool is: how many txns it holds, their serialized size,
+ * the most it may hold, and the fee rate a txn must pay to get in.
+ *
+ * realname getmempoolinfo
+ */
+class GetMempoolInfoMsg extends Map {
+    constructor() {
+        super();
+    }
+
+    handle(sock, peer_hostname) {
+        sock.end(encode_socket_data({
+            size: len(mempool),
+            bytes: get_mempool_usage(),
+            max_bytes: MAX_MEMPOOL_SIZE,
+            min_fee_rate: get_min_fee_rate()
+        }));
+    }
+}
+
 /**
  * Get the active chain in its entirety.
  */
@@ -1503,6 +5737,62 @@ class GetActiveChainMsg extends Map {
     }
 }
 
+/**
+ * Get a MerkleProof that a txn is in the active chain, or None if it isn't.
+ *
+ * realname gettxoutproof
+ */
+class GetMerkleProofMsg extends Map {
+    constructor({ txid }) {
+        super([
+            ['txid', txid]
+        ]);
+    }
+
+    get txid() {
+        return this.get('txid');
+    }
+
+    handle(sock, peer_hostname) {
+        let [ , block ] = locate_txn(this.txid);
+        sock.end(encode_socket_data(block ? make_merkle_proof(block, this.txid) : None));
+    }
+}
+
+/**
+ * Why a txn sent to us didn't make it into the mempool, sent back to whoever
+ * sent it. `reason` is a short code (see `check_standard_txn` and friends),
+ * `msg` the details.
+ *
+ * realname reject (BIP61)
+ */
+class RejectMsg extends Map {
+    constructor({ txid, reason, msg }) {
+        super([
+            ['txid', txid],
+            ['reason', reason],
+            ['msg', msg]
+        ]);
+    }
+
+    get txid() {
+        return this.get('txid');
+    }
+
+    get reason() {
+        return this.get('reason');
+    }
+
+    get msg() {
+        return this.get('msg');
+    }
+
+    handle(sock, peer_hostname) {
+        logger.info(`txn ${this.txid} rejected by peer ${peer_hostname} (${this.reason}): ${this.msg}`);
+        sock.end();
+    }
+}
+
 class AddPeerMsg extends Map {
     constructor({ peer_hostname }) {
         super([
@@ -1515,24 +5805,32 @@ class AddPeerMsg extends Map {
     }
 
     handle(sock, peer_hostname) {
-        peer_hostnames.add(this.peer_hostname);
+        if (!is_banned(this.peer_hostname)) {
+            peer_hostnames.add(this.peer_hostname);
+        }
     }
 }
 
 class SocketMessageHandle {
-    constructor(handle) {
+    constructor(handle, on_error = null) {
         this.total = 0;
         this.pending = [];
-        this.waiting = 4;
+        this.waiting = 8;
         this.isHeader = true;
+        this.closed = false;
         this.handle = handle;
+        this.on_error = on_error;
     }
 
     read_all_from_socket(data) {
+        if (this.closed) {
+            return;
+        }
+
         this.total += data.length;
         this.pending.push(data);
 
-        while (this.total >= this.waiting) {
+        while (!this.closed && this.total >= this.waiting) {
             this._parse(this._read(this.waiting));
         };
     }
@@ -1582,14 +5880,51 @@ class SocketMessageHandle {
         }
 
         if (this.isHeader) {
+            if (data.toString('hex', 0, 4) !== NETWORK.magic) {
+                return this.close(new Error(`not a ${NETWORK.name} network message`));
+            }
+
             this.isHeader = false;
-            this.waiting = data.readUInt32BE(0);
+            this.waiting = data.readUInt32BE(4);
+
+            if (this.waiting === 0 || this.waiting > MAX_MESSAGE_SIZE) {
+                return this.close(new DecodeError(`message of ${this.waiting} bytes`, 'bad-message-size'));
+            }
+
             return;
         }
 
+        let value;
+
+        try {
+            value = deserialize(data);
+        } catch (e) {
+            return this.close(e);
+        }
+
         this.isHeader = true;
-        this.waiting = 4;
-        this.handle(deserialize(data.toString()));
+        this.waiting = 8;
+
+        // Whatever the message does, the rest of the node carries on.
+        try {
+            this.handle(value);
+        } catch (e) {
+            return this.close(e);
+        }
+    }
+
+    close(err) {
+        this.closed = true;
+        this.pending = [];
+        this.total = 0;
+        this.waiting = 8;
+
+        if (this.on_error) {
+            this.on_error(err);
+        }
+        else {
+            logger.warn(`dropping message: ${err.message}`);
+        }
     }
 }
 
@@ -1645,23 +5980,68 @@ const send_to_peer = async function send_to_peer(data, peer = None) {
 }
 
 /**
- * Our protocol is: first 4 bytes signify msg length.
+ * Our protocol is: first 4 bytes are the network's magic, the next 4 signify
+ * msg length.
  */
 function encode_socket_data(data) {
-    let to_send = Buffer.from(serialize(data), 'utf8');
-    let len = to_send.length + 4;
+    let to_send = serialize(data);
+    let len = to_send.length + 8;
     let buf = Buffer.allocUnsafe(len);
 
-    buf.writeUInt32BE(len - 4, 0);
-    to_send.copy(buf, 4);
+    buf.write(NETWORK.magic, 0, 4, 'hex');
+    buf.writeUInt32BE(len - 8, 4);
+    to_send.copy(buf, 8);
 
     return buf;
 }
 
+/**
+ * The inverse of `encode_socket_data` for a single, complete message.
+ */
+function decode_socket_data(buf) {
+    if (buf.toString('hex', 0, 4) !== NETWORK.magic) {
+        throw new Error(`not a ${NETWORK.name} network message`);
+    }
+
+    return deserialize(buf.slice(8, 8 + buf.readUInt32BE(4)));
+}
+
+// All a peer may send us as a whole message. Any value decodes, but a bare
+// object or list of whatever keys and values would mean nothing to us.
+const PEER_MESSAGE_TYPES = [
+    Transaction,
+    Block,
+    GetHeadersMsg,
+    HeadersMsg,
+    GetDataMsg,
+    InvMsg,
+    GetUTXOsMsg,
+    GetMempoolMsg,
+    GetMempoolTxnMsg,
+    GetMempoolInfoMsg,
+    GetActiveChainMsg,
+    GetMerkleProofMsg,
+    RejectMsg,
+    AddPeerMsg
+];
+
+function is_peer_message(data) {
+    return PEER_MESSAGE_TYPES.some(cls => data instanceof cls);
+}
+
 function tcp_server(port, host = '0.0.0.0') {
     return net.createServer((socket) => {
+        if (is_banned(socket.remoteAddress)) {
+            return socket.destroy();
+        }
+
         const message = new SocketMessageHandle(data => {
             let peer_hostname = socket.remoteAddress;
+
+            if (!is_peer_message(data)) {
+                throw new DecodeError('not a message a peer sends', 'unexpected-message');
+            }
+
             peer_hostnames.add(peer_hostname);
 
             if (data.handle && data.handle instanceof Function) {
@@ -1670,14 +6050,29 @@ function tcp_server(port, host = '0.0.0.0') {
             }
             else if (data instanceof Transaction) {
                 logger.info(`received txn ${data.id} from peer ${peer_hostname}`);
-                add_txn_to_mempool(data);
-                socket.end();
+                let reject = add_txn_to_mempool(data, peer_hostname);
+
+                if (reject) {
+                    socket.end(encode_socket_data(reject));
+                }
+                else {
+                    socket.end();
+                }
             }
             else if (data instanceof Block) {
                 logger.info(`received block ${data.id} from peer ${peer_hostname}`);
-                connect_block(data);
+                connect_block(data, false, peer_hostname);
                 socket.end();
             }
+        }, err => {
+            logger.warn(`[p2p] dropping ${socket.remoteAddress}: ${err.message}`);
+
+            // Anything else is our own failing, not the peer's.
+            if (err instanceof DecodeError) {
+                misbehaving_decode(socket.remoteAddress, err);
+            }
+
+            socket.destroy();
         });
 
         socket.on('data', (chunk) => {
@@ -1691,14 +6086,27 @@ function tcp_server(port, host = '0.0.0.0') {
 
 const WALLET_PATH = process.env['TC_WALLET_PATH'] || 'wallet.dat';
 
-function pubkey_to_address(pubkey) {
+function pubkey_to_address(pubkey, version = NETWORK.address_version) {
     let bPubkey = Buffer.from(bytes(pubkey), 'hex');
-    let bPrefix = Buffer.from(bytes('\x00'), 'hex');
+    let bPrefix = Buffer.from([ version ]);
+
+    return bs58check.encode(Buffer.concat([bPrefix, hash160(bPubkey)]));
+}
 
-    let sha = sha256(bPubkey);
-    let ripe = new RIPEMD160().update(sha).digest();
+/**
+ * Is `address` well-formed and for the network we're running on?
+ */
+function is_valid_address(address) {
+    let decoded;
+
+    try {
+        decoded = bs58check.decode(address);
+    } catch (e) {
+        return false;
+    }
 
-    return bs58check.encode(Buffer.concat([bPrefix, ripe]));
+    return len(decoded) === 21 && (
+        decoded[0] === NETWORK.address_version || decoded[0] === NETWORK.script_address_version);
 }
 
 function init_wallet(wallet = null) {
@@ -1740,17 +6148,45 @@ class BaseException extends Error {
 class TxUnlockError extends BaseException {
 }
 
+// A value that can't be serialized, or bytes that can't be deserialized;
+// `reason` is a short code for what was wrong.
+class SerializationError extends BaseException {
+    constructor(msg, reason = 'malformed') {
+        super(msg);
+        this.reason = reason;
+    }
+}
+
+// Bytes, usually a peer's, that aren't a value we could have serialized.
+class DecodeError extends SerializationError {
+}
+
+// `reason`, if given, is a short code for which rule the txn broke.
 class TxnValidationError extends BaseException {
-    constructor(msg, to_orphan) {
+    constructor(msg, to_orphan, reason) {
         super(msg);
         this.to_orphan = to_orphan;
+        this.reason = reason;
+    }
+}
+
+// A txn that's valid, but that we won't relay.
+class TxnPolicyError extends TxnValidationError {
+    constructor(msg, reason) {
+        super(msg, None, reason);
     }
 }
 
 class BlockValidationError extends BaseException {
-    constructor(msg, to_orphan) {
+    constructor(msg, to_orphan, intrinsic = true) {
         super(msg);
         this.to_orphan = to_orphan;
+        // Whether the block is invalid whenever and however it's checked.
+        // If not -- the txns don't match what the header commits to and may
+        // have been tampered with on the way, or the timestamp is only too
+        // far ahead for now -- a block with the same header might still be
+        // valid.
+        this.intrinsic = intrinsic;
     }
 }
 
@@ -1759,17 +6195,26 @@ class BlockValidationError extends BaseException {
  */
 const CLASSES_MAP = new Map([
     Block,
+    BlockHeader,
     TxIn,
     TxOut,
     Transaction,
     UnspentTxOut,
+    UTXOs,
     OutPoint,
-    GetBlocksMsg,
+    GetHeadersMsg,
+    HeadersMsg,
+    GetDataMsg,
     InvMsg,
     GetUTXOsMsg,
     GetMempoolMsg,
+    GetMempoolTxnMsg,
+    GetMempoolInfoMsg,
     GetActiveChainMsg,
-    AddPeerMsg
+    RejectMsg,
+    AddPeerMsg,
+    MerkleProof,
+    GetMerkleProofMsg
 ].map(cls => [ cls.name, cls ]));
 
 function len(o) {
@@ -1784,13 +6229,35 @@ function bytes(o) {
     return Buffer.from(o + '', 'binary').toString('hex');
 }
 
-function serialize(obj) {
+/**
+ * Objects as JSON, with their class names as `_type`; for debugging and RPC
+ * output. `serialize` is what's hashed, stored and sent to peers.
+ */
+function to_json(obj) {
     return JSON.stringify(obj);
 }
 
-function deserialize(serialized) {
+/**
+ * The inverse of `to_json`. Objects with a `_type` have to be of a class in
+ * `SCHEMAS` and have exactly its fields, which are checked as `serialize`
+ * checks them. Throws a DecodeError otherwise.
+ */
+function from_json(serialized) {
 
     function _type(T, args) {
+        let schema = SCHEMAS.get(T);
+
+        if (!schema || !schema.fields) {
+            throw new DecodeError(`can't read a ${T} from JSON`, 'unknown-type');
+        }
+
+        let expected = schema.fields.map(([ name ]) => name).sort();
+        let found = Object.keys(args).sort();
+
+        if (expected.join() !== found.join()) {
+            throw new DecodeError(`${T} has fields ${found}, not ${expected}`, 'unexpected-field');
+        }
+
         return new (CLASSES_MAP.get(T))(args);
     }
 
@@ -1809,6 +6276,9 @@ function deserialize(serialized) {
                 if (k === '_type') {
                     T = v;
                 }
+                else if (k === '__proto__') {
+                    throw new DecodeError('key __proto__ isn\'t allowed', 'unexpected-field');
+                }
                 else {
                     obj[k] = contents_to_objs(v);
                 }
@@ -1824,7 +6294,20 @@ function deserialize(serialized) {
         return o;
     }
 
-    return contents_to_objs(JSON.parse(serialized));
+    let value;
+
+    try {
+        value = contents_to_objs(JSON.parse(serialized));
+        encode(value);
+    } catch (e) {
+        if (e instanceof DecodeError) {
+            throw e;
+        }
+
+        throw new DecodeError(e.message, e.reason || 'malformed');
+    }
+
+    return value;
 }
 
 function sha256(s, encoding = null) {
@@ -1849,6 +6332,8 @@ function _chunks(l, n) {
 
 // Expose
 // ----------------------------------------------------------------------------
+exports.NETWORKS = NETWORKS;
+exports.NETWORK = NETWORK;
 exports.Params = Params;
 exports.OutPoint = OutPoint;
 exports.UnspentTxOut = UnspentTxOut;
@@ -1856,20 +6341,44 @@ exports.TxIn = TxIn;
 exports.TxOut = TxOut;
 exports.Transaction = Transaction;
 exports.Block = Block;
+exports.BlockHeader = BlockHeader;
+exports.HEADER_NONCE_OFFSET = HEADER_NONCE_OFFSET;
 exports.init_wallet = init_wallet;
 
-exports.GetBlocksMsg = GetBlocksMsg;
+exports.GetHeadersMsg = GetHeadersMsg;
+exports.HeadersMsg = HeadersMsg;
+exports.GetDataMsg = GetDataMsg;
 exports.InvMsg = InvMsg;
 exports.GetUTXOsMsg = GetUTXOsMsg;
 exports.GetMempoolMsg = GetMempoolMsg;
+exports.GetMempoolTxnMsg = GetMempoolTxnMsg;
+exports.GetMempoolInfoMsg = GetMempoolInfoMsg;
 exports.GetActiveChainMsg = GetActiveChainMsg;
+exports.RejectMsg = RejectMsg;
 exports.AddPeerMsg = AddPeerMsg;
+exports.GetMerkleProofMsg = GetMerkleProofMsg;
 
 exports.txn_iterator = txn_iterator;
 exports.build_spend_message = build_spend_message;
+exports.SIGHASH_ALL = SIGHASH_ALL;
+exports.SIGHASH_NONE = SIGHASH_NONE;
+exports.SIGHASH_SINGLE = SIGHASH_SINGLE;
+exports.SIGHASH_ANYONECANPAY = SIGHASH_ANYONECANPAY;
 exports.encode_socket_data = encode_socket_data;
+exports.decode_socket_data = decode_socket_data;
 exports.SocketMessageHandle = SocketMessageHandle;
+exports.MAX_MESSAGE_SIZE = MAX_MESSAGE_SIZE;
+exports.misbehaving = misbehaving;
+exports.misbehaving_decode = misbehaving_decode;
+exports.is_peer_message = is_peer_message;
+exports.is_banned = is_banned;
+exports.BAN_SCORE = BAN_SCORE;
 exports.deserialize = deserialize;
+exports.encode = encode;
+exports.to_json = to_json;
+exports.from_json = from_json;
+exports.SerializationError = SerializationError;
+exports.DecodeError = DecodeError;
 exports.serialize = serialize;
 
 exports.active_chain = active_chain;
@@ -1879,17 +6388,103 @@ exports.mempool = mempool;
 exports.utxo_set = utxo_set;
 
 exports.pubkey_to_address = pubkey_to_address;
+exports.is_valid_address = is_valid_address;
+exports.genesis_blocks = genesis_blocks;
 exports.sha256d = sha256d;
 exports.bytes = bytes;
 exports.get_merkle_root = get_merkle_root;
+exports.get_merkle_root_of_txns = get_merkle_root_of_txns;
+exports.build_merkle_tree = build_merkle_tree;
+exports.is_merkle_tree_mutated = is_merkle_tree_mutated;
+exports.TAGGED_MERKLE_VERSION = TAGGED_MERKLE_VERSION;
+exports.BLOCK_VERSION = BLOCK_VERSION;
+exports.MerkleProof = MerkleProof;
+exports.get_merkle_branch = get_merkle_branch;
+exports.get_merkle_root_from_branch = get_merkle_root_from_branch;
+exports.make_merkle_proof = make_merkle_proof;
+exports.verify_merkle_proof = verify_merkle_proof;
 exports.get_median_time_past = get_median_time_past;
+exports.get_median_time_past_of = get_median_time_past_of;
 exports.connect_block = connect_block;
 exports.add_to_utxo = add_to_utxo;
 exports.reorg_if_necessary = reorg_if_necessary;
+exports.locate_block = locate_block;
+exports.locate_txn = locate_txn;
+exports.block_index = block_index;
+exports.BlockIndexEntry = BlockIndexEntry;
+exports.block_undo = block_undo;
+exports.orphan_blocks = orphan_blocks;
+exports.add_orphan_block = add_orphan_block;
+exports.expire_orphan_blocks = expire_orphan_blocks;
+exports.add_txn_to_mempool = add_txn_to_mempool;
+exports.get_txn_fee = get_txn_fee;
+exports.MAX_BIP125_RBF_SEQUENCE = MAX_BIP125_RBF_SEQUENCE;
+exports.MIN_RELAY_FEE_RATE = MIN_RELAY_FEE_RATE;
+exports.MEMPOOL_EXPIRY_SECS = MEMPOOL_EXPIRY_SECS;
+exports.get_mempool_usage = get_mempool_usage;
+exports.add_to_mempool = add_to_mempool;
+exports.clear_mempool = clear_mempool;
+exports.get_min_fee_rate = get_min_fee_rate;
+exports.expire_mempool = expire_mempool;
+exports.trim_mempool = trim_mempool;
+exports.orphan_txns = orphan_txns;
+exports.add_orphan_txn = add_orphan_txn;
+exports.expire_orphan_txns = expire_orphan_txns;
+exports.get_chain_work = get_chain_work;
+exports.get_block_proof = get_block_proof;
+exports.bits_to_target = bits_to_target;
+exports.target_to_bits = target_to_bits;
+exports.check_proof_of_work = check_proof_of_work;
+exports.get_next_work_required = get_next_work_required;
+exports.LOCKTIME_THRESHOLD = LOCKTIME_THRESHOLD;
+exports.SEQUENCE_FINAL = SEQUENCE_FINAL;
+exports.SEQUENCE_LOCKTIME_DISABLE_FLAG = SEQUENCE_LOCKTIME_DISABLE_FLAG;
+exports.SEQUENCE_LOCKTIME_TYPE_FLAG = SEQUENCE_LOCKTIME_TYPE_FLAG;
+exports.is_final_txn = is_final_txn;
+exports.calculate_sequence_locks = calculate_sequence_locks;
+exports.select_from_mempool = select_from_mempool;
+exports.get_block_subsidy = get_block_subsidy;
+exports.calculate_fees = calculate_fees;
+exports.accept_header = accept_header;
+exports.get_best_header = get_best_header;
+exports.get_block_locator = get_block_locator;
+exports.find_headers_for_locator = find_headers_for_locator;
+exports.process_headers = process_headers;
+exports.blocks_in_flight = blocks_in_flight;
+exports.assign_block_downloads = assign_block_downloads;
+exports.check_ibd_done = check_ibd_done;
+exports.ibd_done = ibd_done;
+exports.MAX_HEADERS_RESULTS = MAX_HEADERS_RESULTS;
+exports.OPCODES = OPCODES;
+exports.compile_script = compile_script;
+exports.parse_script = parse_script;
+exports.encode_script_num = encode_script_num;
+exports.decode_script_num = decode_script_num;
+exports.eval_script = eval_script;
+exports.verify_script = verify_script;
+exports.p2pkh_script = p2pkh_script;
+exports.p2pkh_unlock_script = p2pkh_unlock_script;
+exports.p2sh_script = p2sh_script;
+exports.multisig_script = multisig_script;
+exports.multisig_unlock_script = multisig_unlock_script;
+exports.address_to_script = address_to_script;
+exports.htlc_script = htlc_script;
+exports.htlc_unlock_script = htlc_unlock_script;
+exports.solve_script = solve_script;
+exports.null_data_script = null_data_script;
+exports.is_unspendable = is_unspendable;
+exports.MAX_NULL_DATA_SIZE = MAX_NULL_DATA_SIZE;
+exports.script_to_address = script_to_address;
+exports.check_standard_txn = check_standard_txn;
+exports.check_standard_inputs = check_standard_inputs;
+exports.is_canonical_signature = is_canonical_signature;
+exports.policy = policy;
+exports.TxnPolicyError = TxnPolicyError;
+exports.TxUnlockError = TxUnlockError;
 
 // Main
 // ----------------------------------------------------------------------------
-const PORT = process.env['TC_PORT'] || 9999;
+const PORT = process.env['TC_PORT'] || NETWORK.port;
 
 (function main() {
     if (module.parent) {
@@ -1898,17 +6493,20 @@ const PORT = process.env['TC_PORT'] || 9999;
 
     load_from_disk();
 
-    logger.info('[p2p] listening on %d', PORT);
+    logger.info('[p2p] listening on %d (%s network)', PORT, NETWORK.name);
     tcp_server(PORT);
 
     if (len(peer_hostnames)) {
         logger.info('start initial block download from %d peers', len(peer_hostnames));
-        send_to_peer(new GetBlocksMsg(active_chain[len(active_chain) - 1].id));
-
-        // Wait a maximum of 60 seconds for IBD to complete.
-        setTimeout(mine_forever, 60000);
-    }
-    else {
-        mine_forever();
+        start_headers_sync();
     }
+
+    // Re-request blocks that timed out, and notice a stalled download.
+    setInterval(() => {
+        download_blocks();
+        check_ibd_done();
+    }, 5000);
+
+    check_ibd_done();
+    mine_forever();
 })();
@@ -8,11 +8,14 @@ const mine = new tc.SocketMessageHandle(data => {
 
     let nonce = 0;
     let max = 0xffffffff;
-    let target = (new BN(0)).bincn(256 - bits);
+    let target = tc.bits_to_target(bits);
+
+    // The same bytes `Block.header` gives, with the nonce rewritten in place.
+    header = Buffer.from(header, 'hex');
 
     while (nonce <= max) {
-        header[5] = nonce;
-        if (new BN(sha256d(header.join('')), 16).lte(target)) {
+        header.writeUInt32LE(nonce, tc.HEADER_NONCE_OFFSET);
+        if (new BN(sha256d(header), 16).lte(target)) {
             return send_to_parent({ 'nonce': nonce });
         }
 